@@ -0,0 +1,180 @@
+import { GLBWriter, GL_ARRAY_BUFFER, GL_ELEMENT_ARRAY_BUFFER, GL_TRIANGLES } from './GLBWriter.js';
+import { readVisualMesh } from './MeshExporter.js';
+
+/**
+ * Records a body's deformed render mesh (see MeshExporter's readVisualMesh) at a fixed rate of
+ * simulated time, and writes the recording as
+ *  - a binary glTF whose mesh has one morph target per frame and an animation stepping through
+ *    them (toGLB), or
+ *  - a PC2 point cache, the positions of every vertex per frame (toPointCache), which Blender,
+ *    Houdini and the common game engine importers read.
+ *
+ * Attach it to a PhysicsScene to sample after the scene's steps:
+ *   let baker = new AnimationBaker(body, { frameRate: 30, endTime: 10 }).attach(scene);
+ *   ...once baker.isDone: baker.detach(); download(baker.toGLB());
+ */
+export class AnimationBaker {
+    /**
+     * @param {object} body any backend (see SoftBodyBackend.js) or a headless SoftBodySolver
+     * @param {object} [options]
+     * @param {number} [options.frameRate=30]        samples per second of simulated time
+     * @param {number} [options.startTime=0]         the simulated time of the first sample
+     * @param {number} [options.endTime=Infinity]    no samples are taken after this time
+     * @param {'float32'|'int16'} [options.quantization='float32'] how the glTF morph target offsets are
+     *        stored; int16 halves their size (KHR_mesh_quantization). PC2 files are always float32.
+     */
+    constructor(body, options = {}) {
+        options = Object.assign({ frameRate: 30, startTime: 0.0, endTime: Infinity, quantization: 'float32' }, options);
+        if (options.quantization !== 'float32' && options.quantization !== 'int16') {
+            throw new Error('AnimationBaker: unknown quantization ' + options.quantization);
+        }
+        this.body         = body;
+        this.frameRate    = options.frameRate;
+        this.startTime    = options.startTime;
+        this.endTime      = options.endTime;
+        this.quantization = options.quantization;
+        this.frames       = []; // The vertex positions of each sample
+        this.times        = [];
+        this.triIds       = null;
+        this.normals      = null;
+        this.scene        = null;
+    }
+
+    /**
+     * Samples after every step of `scene` that reaches the next sample time; a step takes one sample at
+     * most, so the frame rate may not exceed the scene's steps per second of simulated time
+     */
+    attach(scene) {
+        let stepRate = 1.0 / (scene.physicsParams.timeStep * scene.physicsParams.timeScale);
+        if (this.frameRate > stepRate + 1.0e-9) {
+            throw new Error('AnimationBaker: a frame rate of ' + this.frameRate + ' is above the scene\'s ' +
+                stepRate + ' steps per simulated second');
+        }
+        this.detach();
+        this.scene    = scene;
+        this.callback = scene.on('afterStep', () => this.sampleIfDue(scene.time));
+        return this;
+    }
+
+    detach() {
+        if (!this.scene) { return; }
+        this.scene.off('afterStep', this.callback);
+        this.scene = null;
+    }
+
+    /** The simulated time at which the next sample is due */
+    get nextTime() { return this.startTime + this.frames.length / this.frameRate; }
+
+    /** Whether every sample up to endTime has been taken */
+    get isDone() { return this.nextTime > this.endTime + 1.0e-9; }
+
+    /** Takes a sample if `time` has reached the next sample time; returns whether it did */
+    sampleIfDue(time) {
+        if (this.isDone || time < this.nextTime - 1.0e-9) { return false; }
+        this.sample(time);
+        return true;
+    }
+
+    /** Records the body's current render mesh */
+    sample(time) {
+        let mesh = readVisualMesh(this.body);
+        if (!this.triIds) {
+            this.triIds  = mesh.triIds;
+            this.normals = mesh.normals;
+        } else if (mesh.positions.length !== this.frames[0].length) {
+            throw new Error('AnimationBaker: the render mesh changed size while recording');
+        }
+        this.frames.push(mesh.positions);
+        this.times.push(time);
+    }
+
+    /**
+     * The first frame as the mesh, with every later frame as a morph target, and an animation
+     * that blends from one target to the next (a single frame is written as a static mesh)
+     * @returns {ArrayBuffer}
+     */
+    toGLB() {
+        if (this.frames.length === 0) { throw new Error('AnimationBaker: nothing was recorded'); }
+        let writer = new GLBWriter('TetSim AnimationBaker');
+        let base = this.frames[0], numTargets = this.frames.length - 1;
+
+        // int16 offsets are normalized to [-1, 1], so the node scales everything back up by the largest offset
+        let scale = 1.0;
+        if (this.quantization === 'int16' && numTargets > 0) {
+            writer.useExtension('KHR_mesh_quantization', true);
+            let maxOffset = 0.0;
+            for (let frame of this.frames) {
+                for (let i = 0; i < base.length; i++) { maxOffset = Math.max(maxOffset, Math.abs(frame[i] - base[i])); }
+            }
+            scale = maxOffset > 0.0 ? maxOffset : 1.0;
+        }
+
+        let targets = [];
+        for (let f = 1; f < this.frames.length; f++) {
+            let offsets = this.quantization === 'int16' ? new Int16Array(base.length) : new Float32Array(base.length);
+            for (let i = 0; i < base.length; i++) {
+                let offset = (this.frames[f][i] - base[i]) / scale;
+                offsets[i] = this.quantization === 'int16' ? Math.round(offset * 32767) : offset;
+            }
+            targets.push({ POSITION: writer.addAccessor(offsets, 'VEC3',
+                { target: GL_ARRAY_BUFFER, bounds: true, normalized: this.quantization === 'int16' }) });
+        }
+        let positions = base;
+        if (scale !== 1.0) { positions = base.map((x) => x / scale); }
+
+        let primitive = {
+            attributes: {
+                POSITION: writer.addAccessor(positions, 'VEC3', { target: GL_ARRAY_BUFFER, bounds: true }),
+                NORMAL  : writer.addAccessor(this.normals, 'VEC3', { target: GL_ARRAY_BUFFER })
+            },
+            indices: writer.addAccessor(this.triIds, 'SCALAR', { target: GL_ELEMENT_ARRAY_BUFFER }),
+            mode   : GL_TRIANGLES
+        };
+        let mesh = { name: 'baked', primitives: [primitive] };
+        // glTF does not allow empty morph target lists or animation samplers
+        if (numTargets > 0) {
+            primitive.targets = targets;
+            mesh.weights = new Array(numTargets).fill(0);
+            mesh.extras  = { targetNames: targets.map((_, f) => 'frame' + (f + 1)) };
+        }
+        let node = writer.addMesh(mesh, scale !== 1.0 ? { scale: [scale, scale, scale] } : {});
+        if (numTargets === 0) { return writer.write(); }
+
+        // Frame f shows target f - 1 fully (frame 0 is the mesh itself)
+        let times   = Float32Array.from(this.times, (t) => t - this.times[0]);
+        let weights = new Float32Array(this.frames.length * numTargets);
+        for (let f = 1; f < this.frames.length; f++) { weights[f * numTargets + (f - 1)] = 1.0; }
+        writer.json.animations = [{
+            name    : 'baked',
+            samplers: [{
+                input        : writer.addAccessor(times, 'SCALAR', { bounds: true }),
+                output       : writer.addAccessor(weights, 'SCALAR'),
+                interpolation: 'LINEAR'
+            }],
+            channels: [{ sampler: 0, target: { node: node, path: 'weights' } }]
+        }];
+        return writer.write();
+    }
+
+    /**
+     * The recording as a PC2 point cache: a 32 byte header ('POINTCACHE2', version, point count,
+     * start frame, frames per sample, sample count) followed by x, y, z float32s per point per sample
+     * @returns {ArrayBuffer}
+     */
+    toPointCache() {
+        let numPoints = this.frames.length > 0 ? this.frames[0].length / 3 : 0;
+        let buffer = new ArrayBuffer(32 + 12 * numPoints * this.frames.length);
+        let view = new DataView(buffer);
+        new Uint8Array(buffer).set(new TextEncoder().encode('POINTCACHE2'), 0); // zero terminated by the fresh buffer
+        view.setInt32  (12, 1, true);
+        view.setInt32  (16, numPoints, true);
+        view.setFloat32(20, this.startTime * this.frameRate, true);
+        view.setFloat32(24, 1.0, true);
+        view.setInt32  (28, this.frames.length, true);
+        let offset = 32;
+        for (let frame of this.frames) {
+            for (let i = 0; i < frame.length; i++, offset += 4) { view.setFloat32(offset, frame[i], true); }
+        }
+        return buffer;
+    }
+}
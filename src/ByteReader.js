@@ -0,0 +1,66 @@
+const decoder = new TextDecoder();
+
+/**
+ * Reads mesh files that mix ASCII fields with raw binary data (.msh, legacy .vtk, ...).
+ * ASCII is read as whitespace separated tokens or whole lines; binary values are read
+ * at the current offset with the reader's endianness.
+ */
+export class ByteReader {
+    /**
+     * @param {ArrayBuffer|Uint8Array|string} data
+     * @param {string} name prefixes error messages, e.g. 'GmshLoader'
+     */
+    constructor(data, name) {
+        if (typeof data === 'string') { data = new TextEncoder().encode(data); }
+        this.bytes        = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view         = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset       = 0;
+        this.littleEndian = true;
+        this.name         = name;
+    }
+
+    /** The next whitespace separated word, or null at the end of the file */
+    token() {
+        let bytes = this.bytes;
+        while (this.offset < bytes.length && bytes[this.offset] <= 32) { this.offset++; }
+        if (this.offset >= bytes.length) { return null; }
+        let start = this.offset;
+        while (this.offset < bytes.length && bytes[this.offset] > 32) { this.offset++; }
+        return decoder.decode(bytes.subarray(start, this.offset));
+    }
+
+    number() {
+        let token = this.token();
+        let value = Number(token);
+        if (token === null || Number.isNaN(value)) { throw new Error(this.name + ': expected a number, got "' + token + '"'); }
+        return value;
+    }
+
+    /** The rest of the current line */
+    line() {
+        let start = this.offset;
+        while (this.offset < this.bytes.length && this.bytes[this.offset] !== 10) { this.offset++; }
+        let text = decoder.decode(this.bytes.subarray(start, this.offset));
+        this.offset++;
+        return text.replace(/\r$/, '');
+    }
+
+    skipLine() { this.line(); }
+
+    expect(word) {
+        let token = this.token();
+        if (token !== word) { throw new Error(this.name + ': expected ' + word + ', got "' + token + '"'); }
+    }
+
+    skipPast(word) {
+        let index = new TextDecoder('latin1').decode(this.bytes.subarray(this.offset)).indexOf(word);
+        this.offset = index < 0 ? this.bytes.length : this.offset + index + word.length;
+    }
+
+    int32()   { let v = this.view.getInt32  (this.offset, this.littleEndian); this.offset += 4; return v; }
+    uint32()  { let v = this.view.getUint32 (this.offset, this.littleEndian); this.offset += 4; return v; }
+    int64()   { let v = Number(this.view.getBigInt64 (this.offset, this.littleEndian)); this.offset += 8; return v; }
+    uint64()  { let v = Number(this.view.getBigUint64(this.offset, this.littleEndian)); this.offset += 8; return v; }
+    float32() { let v = this.view.getFloat32(this.offset, this.littleEndian); this.offset += 4; return v; }
+    float64() { let v = this.view.getFloat64(this.offset, this.littleEndian); this.offset += 8; return v; }
+}
@@ -0,0 +1,169 @@
+/**
+ * Analytic rigid obstacles for a PhysicsScene (physicsParams.colliders): particles that end up inside
+ * one are pushed out to its surface, with the same "simple friction" as the floor.
+ *
+ * Each shape is defined in its own frame, which can be moved at any time with setPosition() / setRotation(),
+ * or made to follow a three.js object with follow(); the scene syncs followers before every substep.
+ * Only plain arrays are used, so they work with the headless solver as well:
+ *   physicsParams.colliders.push(new SphereCollider(0.3).setPosition(0.0, 0.3, 0.0),
+ *                                new BoxCollider([1.0, 0.1, 0.5]).follow(rampMesh));
+ */
+
+/** The shader's index for each analytic type of collider (see SoftBodyGPUSimulation's collision pass; MeshCollider.js has its own) */
+export const colliderTypes = { sphere: 0, box: 1, capsule: 2, plane: 3 };
+
+export class Collider {
+    /**
+     * @param {string} type one of colliderTypes
+     * @param {number[]} shape up to 3 sizes, see the subclasses
+     */
+    constructor(type, shape) {
+        this.isCollider = true;
+        this.type     = type;
+        this.shape    = new Float32Array(3);
+        this.shape.set(shape);
+        this.position = new Float32Array(3);
+        this.rotation = new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]); // Column-major, like THREE.Matrix3.elements
+        this.object   = null;
+        this.enabled  = true;
+
+        this.normal      = new Float32Array(3); // The world space normal of the last projectOut()
+        this.local       = new Float32Array(3);
+        this.localNormal = new Float32Array(3);
+    }
+
+    setPosition(x, y, z) {
+        this.position[0] = x; this.position[1] = y; this.position[2] = z;
+        return this;
+    }
+
+    /** Orients the collider with a unit quaternion */
+    setRotation(x, y, z, w) {
+        let r = this.rotation;
+        r[0] = 1 - 2 * (y * y + z * z); r[3] = 2 * (x * y - z * w);     r[6] = 2 * (x * z + y * w);
+        r[1] = 2 * (x * y + z * w);     r[4] = 1 - 2 * (x * x + z * z); r[7] = 2 * (y * z - x * w);
+        r[2] = 2 * (x * z - y * w);     r[5] = 2 * (y * z + x * w);     r[8] = 1 - 2 * (x * x + y * y);
+        return this;
+    }
+
+    /** Makes the collider follow a THREE.Object3D's world position and rotation (its scale is ignored) */
+    follow(object) {
+        this.object = object;
+        this.update();
+        return this;
+    }
+
+    /** Copies the followed object's transform, if any */
+    update() {
+        if (!this.object) { return; }
+        this.object.updateWorldMatrix(true, false);
+        let e = this.object.matrixWorld.elements;
+        for (let c = 0; c < 3; c++) {
+            let length = Math.hypot(e[4 * c], e[4 * c + 1], e[4 * c + 2]) || 1.0;
+            for (let r = 0; r < 3; r++) { this.rotation[3 * c + r] = e[4 * c + r] / length; }
+        }
+        this.setPosition(e[12], e[13], e[14]);
+    }
+
+    /**
+     * Moves particle i of `pos` (3 floats per particle) out to the surface if it is inside
+     * @returns {boolean} whether it was moved; if so, `normal` holds the outward surface normal
+     */
+    projectOut(pos, i) {
+        let r = this.rotation, l = this.local, n = this.localNormal;
+        this.toLocal(pos, i, l);
+
+        let depth = this.penetration(l, n);
+        if (depth <= 0.0) { return false; }
+
+        for (let k = 0; k < 3; k++) {
+            this.normal[k] = r[k] * n[0] + r[3 + k] * n[1] + r[6 + k] * n[2];
+            pos[3 * i + k] += this.normal[k] * depth;
+        }
+        return true;
+    }
+
+    /** Writes particle i of `pos` in the collider's frame into out */
+    toLocal(pos, i, out) {
+        let r = this.rotation;
+        let dx = pos[3 * i] - this.position[0], dy = pos[3 * i + 1] - this.position[1], dz = pos[3 * i + 2] - this.position[2];
+        out[0] = r[0] * dx + r[1] * dy + r[2] * dz;
+        out[1] = r[3] * dx + r[4] * dy + r[5] * dz;
+        out[2] = r[6] * dx + r[7] * dy + r[8] * dz;
+    }
+
+    /**
+     * How deep the local point p is inside the shape (0 when outside); writes the local outward normal into n
+     * @abstract
+     */
+    penetration(p, n) { return 0.0; }
+}
+
+/** A ball of `radius` around the position */
+export class SphereCollider extends Collider {
+    constructor(radius = 0.5) { super('sphere', [radius]); }
+
+    penetration(p, n) {
+        let length = Math.hypot(p[0], p[1], p[2]);
+        let depth  = this.shape[0] - length;
+        if (depth <= 0.0) { return 0.0; }
+        if (length > 0.0) { n[0] = p[0] / length; n[1] = p[1] / length; n[2] = p[2] / length; }
+        else              { n[0] = 0.0;           n[1] = 1.0;           n[2] = 0.0;           }
+        return depth;
+    }
+}
+
+/** A box with the given half extents along its local axes; particles leave through the nearest face */
+export class BoxCollider extends Collider {
+    constructor(halfExtents = [0.5, 0.5, 0.5]) { super('box', halfExtents); }
+
+    penetration(p, n) {
+        let axis = 0, q = -Infinity;
+        for (let k = 0; k < 3; k++) {
+            let qk = Math.abs(p[k]) - this.shape[k];
+            if (qk >= 0.0) { return 0.0; }
+            if (qk > q) { q = qk; axis = k; }
+        }
+        n[0] = 0.0; n[1] = 0.0; n[2] = 0.0;
+        n[axis] = p[axis] < 0.0 ? -1.0 : 1.0;
+        return -q;
+    }
+}
+
+/** The points within `radius` of the segment from -halfHeight to halfHeight along the local y axis */
+export class CapsuleCollider extends Collider {
+    constructor(radius = 0.25, halfHeight = 0.5) { super('capsule', [radius, halfHeight]); }
+
+    penetration(p, n) {
+        let y = p[1] - Math.max(-this.shape[1], Math.min(this.shape[1], p[1]));
+        let length = Math.hypot(p[0], y, p[2]);
+        let depth  = this.shape[0] - length;
+        if (depth <= 0.0) { return 0.0; }
+        if (length > 0.0) { n[0] = p[0] / length; n[1] = y / length; n[2] = p[2] / length; }
+        else              { n[0] = 1.0;           n[1] = 0.0;        n[2] = 0.0;           }
+        return depth;
+    }
+}
+
+/** Everything below the plane through the position with the given normal (the local y axis) is solid */
+export class PlaneCollider extends Collider {
+    constructor(normal = [0, 1, 0]) {
+        super('plane', []);
+        this.setNormal(normal[0], normal[1], normal[2]);
+    }
+
+    /** Turns the plane's local y axis to the direction x, y, z */
+    setNormal(x, y, z) {
+        let length = Math.hypot(x, y, z);
+        x /= length; y /= length; z /= length;
+        // The shortest rotation from (0, 1, 0), or half a turn around x when pointing straight down
+        if (y < -0.999999) { return this.setRotation(1, 0, 0, 0); }
+        let w = 1.0 + y, qLength = Math.hypot(z, x, w);
+        return this.setRotation(z / qLength, 0.0, -x / qLength, w / qLength);
+    }
+
+    penetration(p, n) {
+        n[0] = 0.0; n[1] = 1.0; n[2] = 0.0;
+        return Math.max(0.0, -p[1]);
+    }
+}
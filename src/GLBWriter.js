@@ -0,0 +1,105 @@
+/**
+ * Assembles a binary glTF 2.0 (.glb) file: accessors over typed arrays are packed into a single
+ * buffer, and meshes / nodes / animations are added to `json` as plain glTF objects.
+ */
+export class GLBWriter {
+    constructor(generator = 'TetSim') {
+        this.json = {
+            asset      : { version: '2.0', generator: generator },
+            scene      : 0,
+            scenes     : [{ nodes: [] }],
+            nodes      : [],
+            meshes     : [],
+            accessors  : [],
+            bufferViews: [],
+            buffers    : [{ byteLength: 0 }]
+        };
+        this.arrays     = [];
+        this.byteLength = 0;
+    }
+
+    /**
+     * @param {Float32Array|Uint32Array|Uint16Array|Int16Array} array
+     * @param {'SCALAR'|'VEC2'|'VEC3'|'VEC4'} type
+     * @param {{target?: number, bounds?: boolean, normalized?: boolean}} [options]
+     *        bounds adds the min / max glTF requires for POSITION and animation inputs
+     * @returns {number} the accessor index
+     */
+    addAccessor(array, type, options = {}) {
+        let view = { buffer: 0, byteOffset: this.byteLength, byteLength: array.byteLength };
+        if (options.target) { view.target = options.target; }
+        this.json.bufferViews.push(view);
+
+        let numComponents = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[type];
+        let accessor = {
+            bufferView   : this.json.bufferViews.length - 1,
+            componentType: componentTypes.get(array.constructor),
+            count        : array.length / numComponents,
+            type         : type
+        };
+        if (options.normalized) { accessor.normalized = true; }
+        if (options.bounds) {
+            accessor.min = new Array(numComponents).fill(Infinity);
+            accessor.max = new Array(numComponents).fill(-Infinity);
+            for (let i = 0; i < array.length; i++) {
+                accessor.min[i % numComponents] = Math.min(accessor.min[i % numComponents], array[i]);
+                accessor.max[i % numComponents] = Math.max(accessor.max[i % numComponents], array[i]);
+            }
+        }
+        this.json.accessors.push(accessor);
+        this.arrays.push({ array: array, byteOffset: this.byteLength });
+        this.byteLength += align4(array.byteLength);
+        return this.json.accessors.length - 1;
+    }
+
+    /** Adds a mesh and a node showing it in the scene; returns the node index */
+    addMesh(mesh, node = {}) {
+        this.json.meshes.push(mesh);
+        this.json.nodes.push(Object.assign({ name: mesh.name, mesh: this.json.meshes.length - 1 }, node));
+        this.json.scenes[0].nodes.push(this.json.nodes.length - 1);
+        return this.json.nodes.length - 1;
+    }
+
+    /** Marks a glTF extension as used (and, with `required`, as needed to load the file) */
+    useExtension(name, required = false) {
+        this.json.extensionsUsed = this.json.extensionsUsed || [];
+        if (!this.json.extensionsUsed.includes(name)) { this.json.extensionsUsed.push(name); }
+        if (required) {
+            this.json.extensionsRequired = this.json.extensionsRequired || [];
+            if (!this.json.extensionsRequired.includes(name)) { this.json.extensionsRequired.push(name); }
+        }
+    }
+
+    /** @returns {ArrayBuffer} the header, a JSON chunk padded with spaces and a BIN chunk padded with zeros */
+    write() {
+        this.json.buffers[0].byteLength = this.byteLength;
+        let jsonBytes  = new TextEncoder().encode(JSON.stringify(this.json));
+        let jsonLength = align4(jsonBytes.length);
+        let glb   = new ArrayBuffer(12 + 8 + jsonLength + 8 + this.byteLength);
+        let view  = new DataView(glb);
+        let bytes = new Uint8Array(glb);
+        view.setUint32(0, 0x46546C67, true); // 'glTF'
+        view.setUint32(4, 2, true);
+        view.setUint32(8, glb.byteLength, true);
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+        bytes.fill(0x20, 20, 20 + jsonLength);
+        bytes.set(jsonBytes, 20);
+        let binStart = 20 + jsonLength;
+        view.setUint32(binStart, this.byteLength, true);
+        view.setUint32(binStart + 4, 0x004E4942, true); // 'BIN'
+        for (let { array, byteOffset } of this.arrays) {
+            bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), binStart + 8 + byteOffset);
+        }
+        return glb;
+    }
+}
+
+// glTF constants
+export const GL_ARRAY_BUFFER = 34962, GL_ELEMENT_ARRAY_BUFFER = 34963;
+export const GL_LINES = 1, GL_TRIANGLES = 4;
+
+const componentTypes = new Map([
+    [Int16Array, 5122], [Uint16Array, 5123], [Uint32Array, 5125], [Float32Array, 5126]]);
+
+function align4(byteLength) { return (byteLength + 3) & ~3; }
@@ -0,0 +1,289 @@
+import { ByteReader } from './ByteReader.js';
+import { computeTetEdgeIds, extractSurfaceTriangles, orientTets } from './TetMeshUtils.js';
+
+/**
+ * Reads the linear tetrahedra of a Gmsh .msh file (format 2.2 or 4.1, ASCII or binary;
+ * https://gmsh.info/doc/texinfo/gmsh.html#MSH-file-format) into the arrays the
+ * SoftBody / SoftBodyGPU constructors expect, along with the physical groups of the mesh.
+ *
+ * Only the nodes used by tets are kept, renumbered from 0 in file order.  Second order tets
+ * (element type 11) contribute their 4 corner nodes.  Elements of every other type (points,
+ * lines, triangles, ...) are only used to find out which physical groups each node is in.
+ */
+export class GmshLoader {
+    /**
+     * @param {string} url
+     * @returns {Promise<GmshMesh>}
+     */
+    async load(url) {
+        let response = await fetch(url);
+        if (!response.ok) { throw new Error('GmshLoader: could not load ' + url + ' (' + response.status + ')'); }
+        return this.parse(await response.arrayBuffer());
+    }
+
+    /**
+     * @param {ArrayBuffer|Uint8Array|string} data the file contents; binary files must be passed as bytes
+     * @returns {GmshMesh}
+     * @typedef {object} GmshMesh
+     * @property {Float32Array} vertices      3 coordinates per node
+     * @property {number[]}     tetIds        4 node ids per tet, positively oriented
+     * @property {number[]}     tetEdgeIds    2 node ids per distinct tet edge
+     * @property {number[]}     surfaceTriIds 3 node ids per boundary triangle, wound outwards
+     * @property {Int32Array}   nodeTags      per node, the Gmsh tag of the node
+     * @property {Int32Array}   tetTags       per tet, its physical group tag (0 when it has none)
+     * @property {Int32Array}   nodePhysicalTags per node, the tag of the lowest dimensional physical group
+     *                                        containing it, e.g. a boundary surface before its volume (0 when none)
+     * @property {Int32Array}   nodePhysicalDimensions per node, the dimension of that group (-1 when none);
+     *                                        Gmsh tags are only unique within a dimension
+     * @property {Object<string, {dimension: number, tag: number, name: string, nodeIds: Int32Array}>} physicalGroups
+     *                                        every physical group by "dimension:tag", with the (renumbered) nodes in it
+     */
+    parse(data) {
+        let reader = new MshReader(data);
+        let mesh   = { version: 0, binary: false, physicalNames: {}, entities: {}, nodes: null, elements: [] };
+
+        for (let section = reader.token(); section !== null; section = reader.token()) {
+            reader.skipLine(); // Binary data starts on the line after the section name
+            if      (section === '$MeshFormat'   ) { this.parseMeshFormat   (reader, mesh); }
+            else if (section === '$PhysicalNames') { this.parsePhysicalNames(reader, mesh); }
+            else if (section === '$Entities'     ) { this.parseEntities     (reader, mesh); }
+            else if (section === '$Nodes'        ) { mesh.version >= 4 ? this.parseNodes4   (reader, mesh) : this.parseNodes2   (reader, mesh); }
+            else if (section === '$Elements'     ) { mesh.version >= 4 ? this.parseElements4(reader, mesh) : this.parseElements2(reader, mesh); }
+            else if (section.startsWith('$')     ) { reader.skipPast('$End' + section.slice(1)); continue; }
+            else { throw new Error('GmshLoader: unexpected "' + section + '"'); }
+            reader.expect('$End' + section.slice(1));
+        }
+        if (!mesh.nodes) { throw new Error('GmshLoader: no $Nodes section'); }
+        return this.buildMesh(mesh);
+    }
+
+    parseMeshFormat(reader, mesh) {
+        mesh.version  = reader.number();
+        mesh.binary   = reader.number() === 1;
+        reader.sizeT  = reader.number();
+        if (mesh.version < 2 || mesh.version >= 5 || (mesh.version >= 3 && mesh.version < 4.1)) {
+            throw new Error('GmshLoader: unsupported format version ' + mesh.version + ' (2.x and 4.1 are read)');
+        }
+        if (mesh.binary) {
+            reader.skipLine();
+            reader.binary = true;
+            if (reader.int32() !== 1) { reader.littleEndian = !reader.littleEndian; }
+        }
+    }
+
+    /** Always ASCII, even in binary files */
+    parsePhysicalNames(reader, mesh) {
+        let count = reader.number();
+        for (let i = 0; i < count; i++) {
+            let dimension = reader.number(), tag = reader.number();
+            let name = reader.line().trim().replace(/^"|"$/g, '');
+            mesh.physicalNames[dimension + ':' + tag] = { dimension: dimension, tag: tag, name: name };
+        }
+    }
+
+    /** 4.1 only: the physical tags of every point/curve/surface/volume, keyed by "dim:tag" */
+    parseEntities(reader, mesh) {
+        let counts = [reader.size(), reader.size(), reader.size(), reader.size()];
+        for (let dim = 0; dim < 4; dim++) {
+            for (let i = 0; i < counts[dim]; i++) {
+                let tag = reader.int();
+                for (let c = 0; c < (dim === 0 ? 3 : 6); c++) { reader.double(); }
+                let physicalTags = [];
+                let numPhysicalTags = reader.size();
+                for (let p = 0; p < numPhysicalTags; p++) { physicalTags.push(reader.int()); }
+                if (dim > 0) {
+                    let numBounding = reader.size();
+                    for (let b = 0; b < numBounding; b++) { reader.int(); }
+                }
+                mesh.entities[dim + ':' + tag] = physicalTags;
+            }
+        }
+    }
+
+    parseNodes2(reader, mesh) {
+        let count = reader.number();
+        mesh.nodes = { tags: new Int32Array(count), coords: new Float64Array(3 * count) };
+        reader.skipLine();
+        for (let i = 0; i < count; i++) {
+            mesh.nodes.tags[i] = reader.int();
+            for (let c = 0; c < 3; c++) { mesh.nodes.coords[3 * i + c] = reader.double(); }
+        }
+    }
+
+    parseNodes4(reader, mesh) {
+        let numBlocks = reader.size(), count = reader.size();
+        reader.size(); reader.size(); // min and max node tag
+        mesh.nodes = { tags: new Int32Array(count), coords: new Float64Array(3 * count) };
+        let n = 0;
+        for (let b = 0; b < numBlocks; b++) {
+            let dim = reader.int(); reader.int(); // entity dim and tag
+            let parametric = reader.int(), numInBlock = reader.size();
+            for (let i = 0; i < numInBlock; i++) { mesh.nodes.tags[n + i] = reader.size(); }
+            for (let i = 0; i < numInBlock; i++) {
+                for (let c = 0; c < 3; c++) { mesh.nodes.coords[3 * (n + i) + c] = reader.double(); }
+                if (parametric) { for (let c = 0; c < dim; c++) { reader.double(); } }
+            }
+            n += numInBlock;
+        }
+    }
+
+    parseElements2(reader, mesh) {
+        let count = reader.number();
+        reader.skipLine();
+        if (!mesh.binary) {
+            for (let i = 0; i < count; i++) {
+                let line = reader.line().trim();
+                if (line === '') { i--; continue; }
+                let fields = line.split(/\s+/).map(Number);
+                let numTags = fields[2];
+                mesh.elements.push({
+                    type: fields[1], physicalTag: numTags > 0 ? fields[3] : 0, dimension: -1,
+                    nodes: fields.slice(3 + numTags) });
+            }
+            return;
+        }
+        for (let read = 0; read < count;) {
+            let type = reader.int32(), numInBlock = reader.int32(), numTags = reader.int32();
+            let numNodes = nodesPerElement(type);
+            for (let i = 0; i < numInBlock; i++) {
+                reader.int32(); // element id
+                let tags = [];
+                for (let t = 0; t < numTags; t++) { tags.push(reader.int32()); }
+                let nodes = new Array(numNodes);
+                for (let k = 0; k < numNodes; k++) { nodes[k] = reader.int32(); }
+                mesh.elements.push({ type: type, physicalTag: numTags > 0 ? tags[0] : 0, dimension: -1, nodes: nodes });
+            }
+            read += numInBlock;
+        }
+    }
+
+    parseElements4(reader, mesh) {
+        let numBlocks = reader.size();
+        reader.size(); reader.size(); reader.size(); // count, min and max element tag
+        for (let b = 0; b < numBlocks; b++) {
+            let dim = reader.int(), entityTag = reader.int(), type = reader.int(), numInBlock = reader.size();
+            let physicalTags = mesh.entities[dim + ':' + entityTag] || [];
+            let numNodes = nodesPerElement(type);
+            for (let i = 0; i < numInBlock; i++) {
+                reader.size(); // element tag
+                let nodes = new Array(numNodes);
+                for (let k = 0; k < numNodes; k++) { nodes[k] = reader.size(); }
+                for (let p = 0; p < Math.max(1, physicalTags.length); p++) {
+                    mesh.elements.push({ type: type, physicalTag: physicalTags[p] || 0, dimension: dim, nodes: nodes,
+                                         duplicate: p > 0 }); // an element in several groups appears once per group
+                }
+            }
+        }
+    }
+
+    /** Compacts the tets and their nodes and gathers the physical groups */
+    buildMesh(mesh) {
+        let tagToFileIndex = new Map();
+        for (let i = 0; i < mesh.nodes.tags.length; i++) { tagToFileIndex.set(mesh.nodes.tags[i], i); }
+
+        // Keep the nodes that tets use, in file order
+        let tets = mesh.elements.filter((element) => (element.type === 4 || element.type === 11) && !element.duplicate);
+        let used = new Uint8Array(mesh.nodes.tags.length);
+        for (let tet of tets) {
+            for (let k = 0; k < 4; k++) {
+                let index = tagToFileIndex.get(tet.nodes[k]);
+                if (index === undefined) { throw new Error('GmshLoader: tet uses unknown node ' + tet.nodes[k]); }
+                used[index] = 1;
+            }
+        }
+        let fileIndexToId = new Int32Array(used.length).fill(-1);
+        let numNodes = 0;
+        for (let i = 0; i < used.length; i++) { if (used[i]) { fileIndexToId[i] = numNodes++; } }
+
+        let vertices = new Float32Array(3 * numNodes), nodeTags = new Int32Array(numNodes);
+        for (let i = 0; i < used.length; i++) {
+            let id = fileIndexToId[i];
+            if (id < 0) { continue; }
+            vertices[3 * id    ] = mesh.nodes.coords[3 * i    ];
+            vertices[3 * id + 1] = mesh.nodes.coords[3 * i + 1];
+            vertices[3 * id + 2] = mesh.nodes.coords[3 * i + 2];
+            nodeTags[id] = mesh.nodes.tags[i];
+        }
+
+        let tetIds  = new Array(4 * tets.length);
+        let tetTags = new Int32Array(tets.length);
+        for (let t = 0; t < tets.length; t++) {
+            for (let k = 0; k < 4; k++) { tetIds[4 * t + k] = fileIndexToId[tagToFileIndex.get(tets[t].nodes[k])]; }
+            tetTags[t] = tets[t].physicalTag;
+        }
+        orientTets(tetIds, vertices);
+
+        // Physical groups: the kept nodes of every element in each group
+        let groupNodes = {}, nodePhysicalTags = new Int32Array(numNodes), nodeDimensions = new Int32Array(numNodes).fill(4);
+        for (let element of mesh.elements) {
+            if (!element.physicalTag) { continue; }
+            let dimension = element.dimension >= 0 ? element.dimension : elementDimension(element.type);
+            let key   = dimension + ':' + element.physicalTag;
+            let nodes = groupNodes[key] || (groupNodes[key] = new Set());
+            for (let k = 0; k < element.nodes.length; k++) {
+                let index = tagToFileIndex.get(element.nodes[k]);
+                let id = index === undefined ? -1 : fileIndexToId[index];
+                if (id < 0) { continue; }
+                nodes.add(id);
+                if (dimension < nodeDimensions[id]) { nodeDimensions[id] = dimension; nodePhysicalTags[id] = element.physicalTag; }
+            }
+            if (!mesh.physicalNames[key]) { mesh.physicalNames[key] = { dimension: dimension, tag: element.physicalTag, name: '' }; }
+        }
+        for (let id = 0; id < numNodes; id++) { if (nodeDimensions[id] === 4) { nodeDimensions[id] = -1; } }
+        let physicalGroups = {};
+        for (let key in mesh.physicalNames) {
+            physicalGroups[key] = {
+                dimension: mesh.physicalNames[key].dimension,
+                tag      : mesh.physicalNames[key].tag,
+                name     : mesh.physicalNames[key].name,
+                nodeIds  : Int32Array.from(groupNodes[key] || []).sort()
+            };
+        }
+
+        return {
+            vertices        : vertices,
+            tetIds          : tetIds,
+            tetEdgeIds      : computeTetEdgeIds(tetIds),
+            surfaceTriIds   : Array.from(extractSurfaceTriangles(tetIds, vertices)),
+            nodeTags        : nodeTags,
+            tetTags         : tetTags,
+            nodePhysicalTags: nodePhysicalTags,
+            nodePhysicalDimensions: nodeDimensions,
+            physicalGroups  : physicalGroups
+        };
+    }
+}
+
+// The number of nodes of each Gmsh element type
+const elementNodeCounts = {
+     1: 2,  2: 3,  3: 4,  4: 4,  5: 8,  6: 6,  7: 5,  8: 3,  9: 6, 10: 9, 11: 10, 12: 27, 13: 18, 14: 14,
+    15: 1, 16: 8, 17: 20, 18: 15, 19: 13, 20: 9, 21: 10, 22: 12, 23: 15, 24: 15, 25: 21, 26: 4, 27: 5,
+    28: 6, 29: 20, 30: 35, 31: 56, 92: 64, 93: 125 };
+const elementDimensions = {
+     1: 1,  2: 2,  3: 2,  4: 3,  5: 3,  6: 3,  7: 3,  8: 1,  9: 2, 10: 2, 11: 3, 12: 3, 13: 3, 14: 3,
+    15: 0, 16: 2, 17: 3, 18: 3, 19: 3, 20: 2, 21: 2, 22: 2, 23: 2, 24: 2, 25: 2, 26: 1, 27: 1,
+    28: 1, 29: 3, 30: 3, 31: 3, 92: 3, 93: 3 };
+
+function nodesPerElement(type) {
+    let count = elementNodeCounts[type];
+    if (count === undefined) { throw new Error('GmshLoader: unknown element type ' + type); }
+    return count;
+}
+
+function elementDimension(type) { return elementDimensions[type] !== undefined ? elementDimensions[type] : 3; }
+
+/** A ByteReader whose int()/double()/size() fields switch to binary once the header says so */
+class MshReader extends ByteReader {
+    constructor(data) {
+        super(data, 'GmshLoader');
+        this.binary = false; // Whether numbers are currently read as binary
+        this.sizeT  = 8;     // The byte size of size_t values in binary files
+    }
+
+    int()    { return this.binary ? this.int32()   : this.number(); }
+    double() { return this.binary ? this.float64() : this.number(); }
+    size()   {
+        if (!this.binary) { return this.number(); }
+        return this.sizeT === 4 ? this.uint32() : this.uint64();
+    }
+}
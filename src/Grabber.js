@@ -0,0 +1,98 @@
+import * as THREE from '../node_modules/three/build/three.module.js';
+
+/**
+ * Drags soft bodies (of any backend) around with the pointer; given the PhysicsScene, the grabs
+ * go through it, so they can be recorded (see SessionRecorder.js)
+ */
+export class Grabber {
+    constructor(scene, renderer, camera, container, controls, physicsScene = null) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.camera = camera;
+        this.mousePos = new THREE.Vector2();
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.layers.set(1);
+        //					this.raycaster.params.Mesh.threshold = 3;
+        this.raycaster.params.Line.threshold = 0.1;
+        this.grabDistance = 0.0;
+        this.active = false;
+        this.physicsObject = null;
+        this.controls = controls;
+        this.physicsScene = physicsScene;
+        this.enabled = true; // e.g. off while a recorded session replays
+
+        container.addEventListener( 'pointerdown', this.onPointer.bind(this), true );
+        container.addEventListener( 'pointermove', this.onPointer.bind(this), true );
+        container.addEventListener( 'pointerup'  , this.onPointer.bind(this), true );
+        container.addEventListener( 'pointerout' , this.onPointer.bind(this), true );
+    }
+    updateRaycaster(x, y) {
+        var rect = this.renderer.domElement.getBoundingClientRect();
+        this.mousePos.x = ((x - rect.left) / rect.width) * 2 - 1;
+        this.mousePos.y = -((y - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.mousePos, this.camera);
+    }
+    start(x, y) {
+        // Make the tet meshes raycastable (GPU bodies read their positions back here)
+        let softBodies = new Set();
+        for (let child of this.scene.children) {
+            if (child.userData && child.userData.isSoftBody) { softBodies.add(child.userData); }
+        }
+        softBodies.forEach((softBody) => softBody.updateEdgeMesh());
+        this.physicsObject = null;
+        this.updateRaycaster(x, y);
+        var intersects = this.raycaster.intersectObjects(this.scene.children);
+        if (intersects.length > 0) {
+            var obj = intersects[0].object.userData;
+            if (obj && obj.isSoftBody) {
+                this.physicsObject = obj;
+                this.grabDistance = intersects[0].distance;
+                let hit = this.raycaster.ray.origin.clone();
+                hit.addScaledVector(this.raycaster.ray.direction, this.grabDistance);
+                if (this.physicsScene) { this.physicsScene.startGrab(this.physicsObject, hit); }
+                else { this.physicsObject.startGrab(hit); }
+                this.active = true;
+                this.controls.enabled = false;
+            }
+        }
+    }
+    move(x, y) {
+        if (this.active) {
+            this.updateRaycaster(x, y);
+            let hit = this.raycaster.ray.origin.clone();
+            hit.addScaledVector(this.raycaster.ray.direction, this.grabDistance);
+            if (this.physicsObject != null) {
+                if (this.physicsScene) { this.physicsScene.moveGrabbed(this.physicsObject, hit); }
+                else { this.physicsObject.moveGrabbed(hit); }
+            }
+        }
+    }
+    end(evt) {
+        if (this.active) {
+            if (this.physicsObject != null) {
+                if (this.physicsScene) { this.physicsScene.endGrab(this.physicsObject); }
+                else { this.physicsObject.endGrab(); }
+                this.physicsObject = null;
+            }
+            this.active = false;
+            this.controls.enabled = true;
+            //this.controls.onPointerUp(evt);
+        }
+    }
+
+    onPointer(evt) {
+        //evt.preventDefault();
+        if (!this.enabled) { return; }
+        if (evt.type == "pointerdown") {
+            this.start(evt.clientX, evt.clientY);
+            this.mouseDown = true;
+        } else if (evt.type == "pointermove" && this.mouseDown) {
+            if (this.active)
+                this.move(evt.clientX, evt.clientY);
+        } else if (evt.type == "pointerup" /*|| evt.type == "pointerout"*/) {
+            this.controls.enabled = true;
+            this.end(evt);
+            this.mouseDown = false;
+        }
+    }
+}
@@ -0,0 +1,264 @@
+import { Collider } from './Colliders.js';
+
+/**
+ * How far beside a triangle (past its edges) a particle still counts as over it, when the collider's
+ * thickness is smaller; without it a thickness of 0 would reject every contact
+ */
+export const MESH_EDGE_TOLERANCE = 1.0e-3;
+
+/**
+ * A bounding volume hierarchy over a triangle soup, for closest point queries.
+ * Nodes and triangles are stored flat, in the layout the GPU collision pass reads them as textures:
+ *   nodes    : 2 vec4s per node, (min.xyz, rightChild or firstTriangle), (max.xyz, triangleCount);
+ *              inner nodes have a triangleCount of 0, and their left child follows them directly
+ *   triangles: 3 vec4s per triangle, its corners (w unused), in leaf order
+ */
+export class TriangleBVH {
+    /**
+     * @param {ArrayLike<number>} positions 3 coordinates per vertex
+     * @param {ArrayLike<number>} [indices] 3 per triangle; every 3 vertices make a triangle without them
+     * @param {{maxLeafSize?: number}} [options]
+     */
+    constructor(positions, indices = null, options = {}) {
+        options = Object.assign({ maxLeafSize: 4 }, options);
+        this.maxLeafSize  = options.maxLeafSize;
+        this.numTriangles = indices ? indices.length / 3 : positions.length / 9;
+
+        // Corners and centroids of every triangle, in the original order
+        let corners   = new Float32Array(9 * this.numTriangles);
+        let centroids = new Float32Array(3 * this.numTriangles);
+        for (let t = 0; t < this.numTriangles; t++) {
+            for (let c = 0; c < 3; c++) {
+                let v = indices ? indices[3 * t + c] : 3 * t + c;
+                for (let k = 0; k < 3; k++) {
+                    corners[9 * t + 3 * c + k] = positions[3 * v + k];
+                    centroids[3 * t + k] += positions[3 * v + k] / 3.0;
+                }
+            }
+        }
+
+        // Build top down, splitting at the median centroid along the longest axis
+        let order = new Int32Array(this.numTriangles).map((_, t) => t);
+        let nodes = [];
+        let build = (start, end) => {
+            let node = nodes.length / 8;
+            let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+            let cMin = [Infinity, Infinity, Infinity], cMax = [-Infinity, -Infinity, -Infinity];
+            for (let i = start; i < end; i++) {
+                let t = order[i];
+                for (let k = 0; k < 3; k++) {
+                    for (let c = 0; c < 3; c++) {
+                        min[k] = Math.min(min[k], corners[9 * t + 3 * c + k]);
+                        max[k] = Math.max(max[k], corners[9 * t + 3 * c + k]);
+                    }
+                    cMin[k] = Math.min(cMin[k], centroids[3 * t + k]);
+                    cMax[k] = Math.max(cMax[k], centroids[3 * t + k]);
+                }
+            }
+            nodes.push(min[0], min[1], min[2], start, max[0], max[1], max[2], end - start);
+            if (end - start <= this.maxLeafSize) { return node; }
+
+            let axis = 0;
+            for (let k = 1; k < 3; k++) { if (cMax[k] - cMin[k] > cMax[axis] - cMin[axis]) { axis = k; } }
+            order.subarray(start, end).sort((a, b) => centroids[3 * a + axis] - centroids[3 * b + axis]);
+            let mid = (start + end) >> 1;
+            build(start, mid);
+            nodes[8 * node + 3] = build(mid, end);
+            nodes[8 * node + 7] = 0;
+            return node;
+        };
+        if (this.numTriangles > 0) { build(0, this.numTriangles); }
+        this.nodes    = Float32Array.from(nodes);
+        this.numNodes = nodes.length / 8;
+
+        this.triangles = new Float32Array(12 * this.numTriangles);
+        for (let i = 0; i < this.numTriangles; i++) {
+            for (let c = 0; c < 3; c++) {
+                for (let k = 0; k < 3; k++) { this.triangles[12 * i + 4 * c + k] = corners[9 * order[i] + 3 * c + k]; }
+            }
+        }
+
+        this.stack     = new Int32Array(64);
+        this.candidate = new Float32Array(3);
+    }
+
+    /**
+     * Finds the closest point on any triangle to (x, y, z), if one is within maxDistance
+     * @param {{point: Float32Array, normal: Float32Array, distance: number, triangle: number}} result
+     *        receives the point, the unit normal of its triangle (by its winding) and which triangle it is (in leaf order)
+     * @returns {boolean} whether one was found
+     */
+    closestPoint(x, y, z, maxDistance, result) {
+        if (this.numNodes === 0) { return false; }
+        let nodes = this.nodes, stack = this.stack, stackSize = 0;
+        let best = maxDistance * maxDistance, found = -1;
+        let point = result.point;
+        stack[stackSize++] = 0;
+        while (stackSize > 0) {
+            let n = 8 * stack[--stackSize];
+            let dx = Math.max(nodes[n    ] - x, 0.0, x - nodes[n + 4]);
+            let dy = Math.max(nodes[n + 1] - y, 0.0, y - nodes[n + 5]);
+            let dz = Math.max(nodes[n + 2] - z, 0.0, z - nodes[n + 6]);
+            if (dx * dx + dy * dy + dz * dz > best) { continue; }
+
+            let count = nodes[n + 7];
+            if (count === 0) {
+                stack[stackSize++] = nodes[n + 3];
+                stack[stackSize++] = n / 8 + 1;
+                continue;
+            }
+            for (let t = nodes[n + 3]; t < nodes[n + 3] + count; t++) {
+                closestPointOnTriangle(this.triangles, t, x, y, z, this.candidate);
+                let cx = this.candidate[0] - x, cy = this.candidate[1] - y, cz = this.candidate[2] - z;
+                let distanceSquared = cx * cx + cy * cy + cz * cz;
+                if (distanceSquared < best) {
+                    best  = distanceSquared;
+                    found = t;
+                    point[0] = this.candidate[0]; point[1] = this.candidate[1]; point[2] = this.candidate[2];
+                }
+            }
+        }
+        if (found < 0) { return false; }
+
+        let tri = this.triangles, o = 12 * found;
+        let abx = tri[o + 4] - tri[o], aby = tri[o + 5] - tri[o + 1], abz = tri[o + 6] - tri[o + 2];
+        let acx = tri[o + 8] - tri[o], acy = tri[o + 9] - tri[o + 1], acz = tri[o + 10] - tri[o + 2];
+        let nx = aby * acz - abz * acy, ny = abz * acx - abx * acz, nz = abx * acy - aby * acx;
+        let length = Math.hypot(nx, ny, nz) || 1.0;
+        result.normal[0] = nx / length; result.normal[1] = ny / length; result.normal[2] = nz / length;
+        result.distance  = Math.sqrt(best);
+        result.triangle  = found;
+        return true;
+    }
+}
+
+function setPoint(out, x, y, z) { out[0] = x; out[1] = y; out[2] = z; }
+
+/** Writes the point of triangle t (of a TriangleBVH's triangles) closest to (x, y, z) into out; after Ericson */
+function closestPointOnTriangle(tri, t, x, y, z, out) {
+    let o = 12 * t;
+    let ax = tri[o    ], ay = tri[o + 1], az = tri[o + 2];
+    let bx = tri[o + 4], by = tri[o + 5], bz = tri[o + 6];
+    let cx = tri[o + 8], cy = tri[o + 9], cz = tri[o + 10];
+    let abx = bx - ax, aby = by - ay, abz = bz - az;
+    let acx = cx - ax, acy = cy - ay, acz = cz - az;
+
+    let apx = x - ax, apy = y - ay, apz = z - az;
+    let d1 = abx * apx + aby * apy + abz * apz, d2 = acx * apx + acy * apy + acz * apz;
+    if (d1 <= 0.0 && d2 <= 0.0) { return setPoint(out, ax, ay, az); }
+
+    let bpx = x - bx, bpy = y - by, bpz = z - bz;
+    let d3 = abx * bpx + aby * bpy + abz * bpz, d4 = acx * bpx + acy * bpy + acz * bpz;
+    if (d3 >= 0.0 && d4 <= d3) { return setPoint(out, bx, by, bz); }
+
+    let vc = d1 * d4 - d3 * d2;
+    if (vc <= 0.0 && d1 >= 0.0 && d3 <= 0.0) {
+        let v = d1 / (d1 - d3);
+        return setPoint(out, ax + v * abx, ay + v * aby, az + v * abz);
+    }
+
+    let cpx = x - cx, cpy = y - cy, cpz = z - cz;
+    let d5 = abx * cpx + aby * cpy + abz * cpz, d6 = acx * cpx + acy * cpy + acz * cpz;
+    if (d6 >= 0.0 && d5 <= d6) { return setPoint(out, cx, cy, cz); }
+
+    let vb = d5 * d2 - d1 * d6;
+    if (vb <= 0.0 && d2 >= 0.0 && d6 <= 0.0) {
+        let w = d2 / (d2 - d6);
+        return setPoint(out, ax + w * acx, ay + w * acy, az + w * acz);
+    }
+
+    let va = d3 * d6 - d5 * d4;
+    if (va <= 0.0 && (d4 - d3) >= 0.0 && (d5 - d6) >= 0.0) {
+        let w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        return setPoint(out, bx + w * (cx - bx), by + w * (cy - by), bz + w * (cz - bz));
+    }
+
+    let denom = 1.0 / (va + vb + vc);
+    let v = vb * denom, w = vc * denom;
+    setPoint(out, ax + abx * v + acx * w, ay + aby * v + acy * w, az + abz * v + acz * w);
+}
+
+/**
+ * The triangles of every mesh under a THREE.Object3D (e.g. a loaded glTF scene), in world space
+ * @returns {Float32Array} 9 coordinates per triangle
+ */
+export function collectTriangles(object) {
+    object.updateWorldMatrix(true, true);
+    let positions = [];
+    object.traverse((child) => {
+        if (!child.isMesh || !child.geometry.attributes.position) { return; }
+        let attribute = child.geometry.attributes.position, index = child.geometry.index, e = child.matrixWorld.elements;
+        let count = index ? index.count : attribute.count;
+        for (let i = 0; i < count; i++) {
+            let v = index ? index.getX(i) : i;
+            let x = attribute.getX(v), y = attribute.getY(v), z = attribute.getZ(v);
+            positions.push(e[0] * x + e[4] * y + e[ 8] * z + e[12],
+                           e[1] * x + e[5] * y + e[ 9] * z + e[13],
+                           e[2] * x + e[6] * y + e[10] * z + e[14]);
+        }
+    });
+    return new Float32Array(positions);
+}
+
+/**
+ * A static triangle mesh obstacle, e.g. a room or a staircase loaded from glTF. The mesh need not be
+ * closed: its triangles are two-sided, and a particle is kept `thickness` away from them on the side
+ * it came from (its previous position), which also catches particles that moved through in one substep.
+ *
+ *   scene.addCollider(MeshCollider.fromObject(gltf.scene, { thickness: 0.02 }));
+ *
+ * The GPU backend uploads the BVH as data textures and walks it in its collision pass (one mesh collider at a time).
+ */
+export class MeshCollider extends Collider {
+    /**
+     * @param {ArrayLike<number>} positions 3 coordinates per vertex, in the collider's frame
+     * @param {ArrayLike<number>} [indices] 3 per triangle
+     * @param {{thickness?: number, maxLeafSize?: number}} [options]
+     */
+    constructor(positions, indices = null, options = {}) {
+        options = Object.assign({ thickness: 0.02, maxLeafSize: 4 }, options);
+        super('mesh', [options.thickness]);
+        this.bvh    = new TriangleBVH(positions, indices, options);
+        this.result = { point: new Float32Array(3), normal: new Float32Array(3), distance: 0.0, triangle: -1 };
+        this.prevLocal = new Float32Array(3);
+    }
+
+    /** The distance particles are kept from the surface */
+    get thickness() { return this.shape[0]; }
+    set thickness(thickness) { this.shape[0] = thickness; }
+
+    /**
+     * Merges the triangles of every mesh under a THREE.Object3D (e.g. a loaded glTF scene) in world space
+     * @param {THREE.Object3D} object
+     */
+    static fromObject(object, options = {}) {
+        return new MeshCollider(collectTriangles(object), null, options);
+    }
+
+    /** Keeps particle i of `pos` `thickness` away from the surface, on the side of its position in `prevPos` */
+    projectOut(pos, i, prevPos = pos) {
+        let r = this.rotation, l = this.local, q = this.prevLocal, hit = this.result;
+        this.toLocal(pos,     i, l);
+        this.toLocal(prevPos, i, q);
+
+        // Search as far as the particle moved, so that passing through a triangle is noticed
+        let moved = Math.hypot(l[0] - q[0], l[1] - q[1], l[2] - q[2]);
+        if (!this.bvh.closestPoint(l[0], l[1], l[2], this.thickness + moved, hit)) { return false; }
+
+        let n = hit.normal, p = hit.point;
+        if ((q[0] - p[0]) * n[0] + (q[1] - p[1]) * n[1] + (q[2] - p[2]) * n[2] < 0.0) { n[0] = -n[0]; n[1] = -n[1]; n[2] = -n[2]; }
+        let dx = l[0] - p[0], dy = l[1] - p[1], dz = l[2] - p[2];
+        let height = dx * n[0] + dy * n[1] + dz * n[2];
+        // Only points over the triangle (or within thickness of its edges) count, not those beside it
+        let sideways  = dx * dx + dy * dy + dz * dz - height * height;
+        let tolerance = Math.max(this.thickness, MESH_EDGE_TOLERANCE);
+        if (height >= this.thickness || sideways >= tolerance * tolerance) { return false; }
+
+        let depth = this.thickness - height;
+        for (let k = 0; k < 3; k++) {
+            this.normal[k] = r[k] * n[0] + r[3 + k] * n[1] + r[6 + k] * n[2];
+            pos[3 * i + k] += this.normal[k] * depth;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,167 @@
+import { GLBWriter, GL_ARRAY_BUFFER, GL_ELEMENT_ARRAY_BUFFER, GL_LINES, GL_TRIANGLES } from './GLBWriter.js';
+import { computeTetEdgeIds, extractSurfaceTriangles, surfaceVertexIds } from './TetMeshUtils.js';
+
+/**
+ * Writes the current deformed pose of a soft body as OBJ, PLY (ASCII) or binary glTF (.glb).
+ *
+ * The exported "visual" mesh is the body's render mesh (visMesh), placed in the current particle
+ * positions (read back from the GPU on that backend); headless solvers without a render mesh export
+ * the boundary surface of their tets instead. The "cage" is the tet wireframe, as line segments.
+ */
+export class MeshExporter {
+    /**
+     * @param {object} body any backend (see SoftBodyBackend.js) or a headless SoftBodySolver
+     * @param {{format?: 'obj'|'ply'|'glb', visual?: boolean, cage?: boolean}} [options]
+     *        format defaults to 'glb'; the visual mesh is included unless `visual` is false,
+     *        the cage only when `cage` is true
+     * @returns {string|ArrayBuffer} text for OBJ and PLY, bytes for glb
+     */
+    parse(body, options = {}) {
+        options = Object.assign({ format: 'glb', visual: true, cage: false }, options);
+        let meshes = {
+            visual: options.visual ? readVisualMesh(body) : null,
+            cage  : options.cage   ? readCage(body)       : null
+        };
+        if (options.format === 'obj') { return writeOBJ(meshes); }
+        if (options.format === 'ply') { return writePLY(meshes); }
+        if (options.format === 'glb') { return writeGLB(meshes); }
+        throw new Error('MeshExporter: unknown format ' + options.format);
+    }
+}
+
+/** The MIME type of each format, for downloads */
+export const meshExportMimeTypes = { obj: 'text/plain', ply: 'text/plain', glb: 'model/gltf-binary' };
+
+/**
+ * The body's current render mesh (see the class comment). Its vertices are recomputed from the
+ * particle positions and the render mesh's tet embedding, so the render geometry is left untouched
+ * (the GPU backend's shader expects rest pose normals in it).
+ * @returns {{positions: Float32Array, normals: Float32Array, triIds: Uint32Array}}
+ */
+export function readVisualMesh(body) {
+    let positions, triIds;
+    let pos = body.readPositions();
+    let visVerts = body.visVerts || (body.view && body.view.visVerts); // GPU body or CPU view
+    if (body.visMesh && visVerts) {
+        positions = new Float32Array(3 * visVerts.length / 4);
+        for (let i = 0, nr = 0; i < positions.length; i += 3, nr += 4) {
+            let tetNr = 4 * visVerts[nr];
+            let b0 = visVerts[nr + 1], b1 = visVerts[nr + 2], b2 = visVerts[nr + 3];
+            let weights = [b0, b1, b2, 1.0 - b0 - b1 - b2];
+            for (let j = 0; j < 4; j++) {
+                let id = 3 * body.tetIds[tetNr + j];
+                positions[i    ] += weights[j] * pos[id    ];
+                positions[i + 1] += weights[j] * pos[id + 1];
+                positions[i + 2] += weights[j] * pos[id + 2];
+            }
+        }
+        triIds = Uint32Array.from(body.visMesh.geometry.index.array);
+    } else {
+        let surface = extractSurfaceTriangles(body.tetIds, body.restPos);
+        let vertIds = surfaceVertexIds(surface);
+        let newIds  = new Map();
+        positions = new Float32Array(3 * vertIds.length);
+        vertIds.forEach((id, i) => {
+            newIds.set(id, i);
+            positions.set(pos.subarray(3 * id, 3 * id + 3), 3 * i);
+        });
+        triIds = Uint32Array.from(surface, (id) => newIds.get(id));
+    }
+    return { positions: positions, normals: vertexNormals(positions, triIds), triIds: triIds };
+}
+
+/** @returns {{positions: Float32Array, edgeIds: Uint32Array}} */
+function readCage(body) {
+    return { positions: body.readPositions(), edgeIds: Uint32Array.from(computeTetEdgeIds(body.tetIds)) };
+}
+
+/** Area weighted vertex normals */
+export function vertexNormals(positions, triIds) {
+    let normals = new Float32Array(positions.length);
+    for (let i = 0; i < triIds.length; i += 3) {
+        let a = 3 * triIds[i], b = 3 * triIds[i + 1], c = 3 * triIds[i + 2];
+        let ux = positions[b] - positions[a], uy = positions[b + 1] - positions[a + 1], uz = positions[b + 2] - positions[a + 2];
+        let vx = positions[c] - positions[a], vy = positions[c + 1] - positions[a + 1], vz = positions[c + 2] - positions[a + 2];
+        let nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+        for (let id of [a, b, c]) { normals[id] += nx; normals[id + 1] += ny; normals[id + 2] += nz; }
+    }
+    for (let i = 0; i < normals.length; i += 3) {
+        let len = Math.sqrt(normals[i] * normals[i] + normals[i + 1] * normals[i + 1] + normals[i + 2] * normals[i + 2]);
+        if (len > 0.0) { normals[i] /= len; normals[i + 1] /= len; normals[i + 2] /= len; }
+    }
+    return normals;
+}
+
+function writeOBJ(meshes) {
+    let out = ['# TetSim soft body'];
+    let offset = 1; // OBJ indices are 1-based and global
+    if (meshes.visual) {
+        let { positions, normals, triIds } = meshes.visual;
+        out.push('o visual');
+        for (let i = 0; i < positions.length; i += 3) { out.push('v ' + positions[i] + ' ' + positions[i + 1] + ' ' + positions[i + 2]); }
+        for (let i = 0; i < normals.length; i += 3) { out.push('vn ' + normals[i] + ' ' + normals[i + 1] + ' ' + normals[i + 2]); }
+        for (let i = 0; i < triIds.length; i += 3) {
+            let a = triIds[i] + offset, b = triIds[i + 1] + offset, c = triIds[i + 2] + offset;
+            out.push('f ' + a + '//' + a + ' ' + b + '//' + b + ' ' + c + '//' + c);
+        }
+        offset += positions.length / 3;
+    }
+    if (meshes.cage) {
+        let { positions, edgeIds } = meshes.cage;
+        out.push('o cage');
+        for (let i = 0; i < positions.length; i += 3) { out.push('v ' + positions[i] + ' ' + positions[i + 1] + ' ' + positions[i + 2]); }
+        for (let i = 0; i < edgeIds.length; i += 2) { out.push('l ' + (edgeIds[i] + offset) + ' ' + (edgeIds[i + 1] + offset)); }
+    }
+    return out.join('\n') + '\n';
+}
+
+/** One vertex list for both meshes: the visual vertices, then the cage's */
+function writePLY(meshes) {
+    let visual = meshes.visual, cage = meshes.cage;
+    let numVisual = visual ? visual.positions.length / 3 : 0;
+    let numCage   = cage   ? cage.positions.length / 3   : 0;
+    let out = [
+        'ply',
+        'format ascii 1.0',
+        'comment TetSim soft body',
+        'element vertex ' + (numVisual + numCage),
+        'property float x', 'property float y', 'property float z'];
+    if (visual) { out.push('element face ' + visual.triIds.length / 3, 'property list uchar uint vertex_indices'); }
+    if (cage)   { out.push('element edge ' + cage.edgeIds.length / 2, 'property uint vertex1', 'property uint vertex2'); }
+    out.push('end_header');
+
+    for (let mesh of [visual, cage]) {
+        if (!mesh) { continue; }
+        for (let i = 0; i < mesh.positions.length; i += 3) { out.push(mesh.positions[i] + ' ' + mesh.positions[i + 1] + ' ' + mesh.positions[i + 2]); }
+    }
+    if (visual) {
+        for (let i = 0; i < visual.triIds.length; i += 3) { out.push('3 ' + visual.triIds[i] + ' ' + visual.triIds[i + 1] + ' ' + visual.triIds[i + 2]); }
+    }
+    if (cage) {
+        for (let i = 0; i < cage.edgeIds.length; i += 2) { out.push((cage.edgeIds[i] + numVisual) + ' ' + (cage.edgeIds[i + 1] + numVisual)); }
+    }
+    return out.join('\n') + '\n';
+}
+
+/** A binary glTF 2.0 file with one node per mesh */
+function writeGLB(meshes) {
+    let writer = new GLBWriter('TetSim MeshExporter');
+    if (meshes.visual) {
+        writer.addMesh({ name: 'visual', primitives: [{
+            attributes: {
+                POSITION: writer.addAccessor(meshes.visual.positions, 'VEC3', { target: GL_ARRAY_BUFFER, bounds: true }),
+                NORMAL  : writer.addAccessor(meshes.visual.normals,   'VEC3', { target: GL_ARRAY_BUFFER })
+            },
+            indices: writer.addAccessor(meshes.visual.triIds, 'SCALAR', { target: GL_ELEMENT_ARRAY_BUFFER }),
+            mode   : GL_TRIANGLES
+        }] });
+    }
+    if (meshes.cage) {
+        writer.addMesh({ name: 'cage', primitives: [{
+            attributes: { POSITION: writer.addAccessor(meshes.cage.positions, 'VEC3', { target: GL_ARRAY_BUFFER, bounds: true }) },
+            indices   : writer.addAccessor(meshes.cage.edgeIds, 'SCALAR', { target: GL_ELEMENT_ARRAY_BUFFER }),
+            mode      : GL_LINES
+        }] });
+    }
+    return writer.write();
+}
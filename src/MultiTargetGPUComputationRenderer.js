@@ -166,7 +166,8 @@ class MultiTargetGPUComputationRenderer {
             let pass = {
                 variable: variable,
                 material: this.createShaderMaterial(computeFragmentShader),
-                dependencies: dependencies
+                dependencies: dependencies,
+                enabled: true // Disabled passes are skipped by compute()
             };
 
             this.passes.push(pass);
@@ -274,6 +275,7 @@ class MultiTargetGPUComputationRenderer {
             for (let i = 0, il = this.passes.length; i < il; i++) {
 
                 const pass = this.passes[i];
+                if (pass.enabled === false) { continue; }
                 const currentTextureIndex = pass.variable.currentTextureIndex;
                 const nextTextureIndex = currentTextureIndex === 0 ? 1 : 0;
 
@@ -412,6 +414,9 @@ class MultiTargetGPUComputationRenderer {
 
         };
 
+        // The multi target versions of passThruShader, made on first use and reused (renderTexture runs on every state restore)
+        let multiPassThruShader = null, multiClearShader = null;
+
         this.renderTexture = function (input, output) {
 
             // Takes a texture, and render out in rendertarget
@@ -425,7 +430,7 @@ class MultiTargetGPUComputationRenderer {
                 let multiPassthroughShader = null;
                 if( input ) {
 
-                    multiPassthroughShader = createShaderMaterial(`
+                    multiPassthroughShader = multiPassThruShader = multiPassThruShader || createShaderMaterial(`
                         layout(location = 0) out highp vec4 tex0;
                         layout(location = 1) out highp vec4 tex1;
                         layout(location = 2) out highp vec4 tex2;
@@ -441,7 +446,7 @@ class MultiTargetGPUComputationRenderer {
 
                 } else {
 
-                    multiPassthroughShader = createShaderMaterial(`
+                    multiPassthroughShader = multiClearShader = multiClearShader || createShaderMaterial(`
                         layout(location = 0) out highp vec4 tex0;
                         layout(location = 1) out highp vec4 tex1;
                         layout(location = 2) out highp vec4 tex2;
@@ -475,7 +480,7 @@ class MultiTargetGPUComputationRenderer {
         };
 
         this.dispose = function(){
-            for (let i = 0; i < this.passes; i++) {
+            for (let i = 0; i < this.passes.length; i++) {
                 this.passes[i].material.dispose();
             }
 
@@ -485,6 +490,8 @@ class MultiTargetGPUComputationRenderer {
             }
 
             passThruShader.dispose();
+            if (multiPassThruShader) { multiPassThruShader.dispose(); }
+            if (multiClearShader   ) { multiClearShader.dispose(); }
         }
 
         // Shaders
@@ -0,0 +1,274 @@
+import { SoftBodyContacts } from './SoftBodyContacts.js';
+
+/**
+ * A set of soft bodies simulated together under one set of world parameters
+ * (gravity, worldBounds, the ground plane, colliders, ...).  The scene owns substepping, so
+ * applications only call `step()` once per rendered frame.
+ *
+ * Callbacks are registered with `on(name, callback)`:
+ *   add(body), remove(body)              - when bodies enter or leave the scene
+ *   beforeStep(frameDt), afterStep(frameDt) - around each whole frame
+ *   beforeSubstep(dt), afterSubstep(dt)     - around each substep
+ *   input(event)                         - after every user input routed through the scene:
+ *                                          { type: 'startGrab' | 'moveGrabbed', body, pos: [x, y, z] },
+ *                                          { type: 'endGrab', body }, { type: 'params', changes },
+ *                                          { type: 'pin', body, ids, targets, compliance }, { type: 'unpin', body, ids },
+ *                                          { type: 'attach', body, ids, object, compliance }, { type: 'detach', body, object },
+ *                                          { type: 'addCollider' | 'removeCollider', collider },
+ *                                          with `body` the index into softBodies and `object` / `collider`
+ *                                          the names they were registered under (see SessionRecorder.js)
+ *
+ * When physicsParams.bodyCollisions is set, CPU bodies (those exposing the
+ * SoftBodySolver phases) also collide with each other, and with
+ * physicsParams.selfCollision each with itself; see SoftBodyContacts.
+ * Rigid obstacles go in physicsParams.colliders (see Colliders.js and addCollider()).
+ */
+export class PhysicsScene {
+    constructor(physicsParams) {
+        this.physicsParams = physicsParams;
+        if (!this.physicsParams.colliders) { this.physicsParams.colliders = []; }
+        if (!this.physicsParams.groundNormal) { this.physicsParams.groundNormal = [0.0, 1.0, 0.0]; }
+        if (this.physicsParams.groundHeight           === undefined) { this.physicsParams.groundHeight           = 0.0; }
+        if (this.physicsParams.bodyCollisions         === undefined) { this.physicsParams.bodyCollisions         = true; }
+        if (this.physicsParams.contactThickness       === undefined) { this.physicsParams.contactThickness       = 0.01; }
+        if (this.physicsParams.contactCompliance      === undefined) { this.physicsParams.contactCompliance      = 0.0; }
+        if (this.physicsParams.selfCollision          === undefined) { this.physicsParams.selfCollision          = false; }
+        if (this.physicsParams.selfCollisionThickness === undefined) { this.physicsParams.selfCollisionThickness = 0.01; }
+
+        this.softBodies   = [];
+        this.simulations  = []; // What actually gets stepped; bodies packed together share one
+        this.contactBodies = []; // The simulations that can take part in body-body contacts
+        this.contacts     = new SoftBodyContacts();
+        this.stepCount    = 0;
+        this.substepCount = 0;
+        this.time         = 0.0;
+        this.registry     = new Map(); // name -> collider or THREE.Object3D, for recorded inputs to refer to
+        this.callbacks    = {
+            add: [], remove: [],
+            beforeStep: [], afterStep: [],
+            beforeSubstep: [], afterSubstep: [],
+            input: []
+        };
+    }
+
+    /** Shared world parameters */
+    get gravity     () { return this.physicsParams.gravity;      }
+    get worldBounds () { return this.physicsParams.worldBounds;  }
+    get groundNormal() { return this.physicsParams.groundNormal; }
+    get groundHeight() { return this.physicsParams.groundHeight; }
+    get colliders   () { return this.physicsParams.colliders;    }
+
+    add(body) {
+        if (this.softBodies.indexOf(body) >= 0) { return body; }
+        this.softBodies.push(body);
+        this.updateSimulations();
+        this.dispatch('add', body);
+        return body;
+    }
+
+    remove(body) {
+        let index = this.softBodies.indexOf(body);
+        if (index < 0) { return; }
+        this.softBodies.splice(index, 1);
+        this.contacts.remove(body.simulation || body);
+        this.updateSimulations();
+        this.dispatch('remove', body);
+    }
+
+    /** Collects the distinct simulations behind the bodies (a body without one simulates itself) */
+    updateSimulations() {
+        this.simulations.length = 0;
+        for (let i = 0; i < this.softBodies.length; i++) {
+            let simulation = this.softBodies[i].simulation || this.softBodies[i];
+            if (this.simulations.indexOf(simulation) < 0) { this.simulations.push(simulation); }
+        }
+        this.contactBodies = this.simulations.filter((simulation) => simulation.solveElems !== undefined);
+    }
+
+    on(name, callback) {
+        if (!this.callbacks[name]) { throw new Error('Unknown PhysicsScene callback: ' + name); }
+        this.callbacks[name].push(callback);
+        return callback;
+    }
+
+    off(name, callback) {
+        let index = this.callbacks[name] ? this.callbacks[name].indexOf(callback) : -1;
+        if (index >= 0) { this.callbacks[name].splice(index, 1); }
+    }
+
+    dispatch(name, ...args) {
+        let callbacks = this.callbacks[name].slice(); // Callbacks may unregister themselves
+        for (let i = 0; i < callbacks.length; i++) { callbacks[i](...args); }
+    }
+
+    /** Copies `changes` into the shared parameters and forwards them to every body */
+    setParams(changes) {
+        Object.assign(this.physicsParams, changes);
+        for (let i = 0; i < this.softBodies.length; i++) {
+            if (this.softBodies[i].setParams) { this.softBodies[i].setParams(this.physicsParams); }
+        }
+        this.dispatch('input', { type: 'params', changes: changes });
+    }
+
+    /** Adds a rigid obstacle (see Colliders.js); it can be moved at any time */
+    addCollider(collider) {
+        if (this.colliders.indexOf(collider) >= 0) { return collider; }
+        this.colliders.push(collider);
+        this.dispatch('input', { type: 'addCollider', collider: this.nameOf(collider) });
+        return collider;
+    }
+
+    removeCollider(collider) {
+        let index = this.colliders.indexOf(collider);
+        if (index < 0) { return; }
+        this.colliders.splice(index, 1);
+        this.dispatch('input', { type: 'removeCollider', collider: this.nameOf(collider) });
+    }
+
+    // ----- named objects: how recorded inputs refer to colliders and attachment targets -----
+
+    /** Names a collider or THREE.Object3D, so that a replayed session can find it again */
+    register(name, object) {
+        this.registry.set(name, object);
+        return object;
+    }
+
+    lookup(name) {
+        let object = this.registry.get(name);
+        if (!object) { throw new Error('PhysicsScene: nothing is registered as ' + name); }
+        return object;
+    }
+
+    /** @returns {string|null} the name `object` was registered under */
+    nameOf(object) {
+        for (let [name, registered] of this.registry) { if (registered === object) { return name; } }
+        return null;
+    }
+
+    // ----- user input: grabs, pins and attachments made through the scene can be recorded (see the input callback) -----
+
+    /** Pins particles of `body` (see pin in SoftBodyBackend.js) */
+    pin(body, ids, options = {}) {
+        body.pin(ids, options);
+        this.dispatch('input', { type: 'pin', body: this.softBodies.indexOf(body), ids: Array.from(ids),
+            targets: options.targets ? Array.from(options.targets) : null, compliance: options.compliance || 0.0 });
+    }
+
+    /** Releases pinned particles of `body`, or all of them without ids */
+    unpin(body, ids) {
+        body.unpin(ids);
+        this.dispatch('input', { type: 'unpin', body: this.softBodies.indexOf(body), ids: ids ? Array.from(ids) : null });
+    }
+
+    /** Makes particles of `body` follow a registered THREE.Object3D */
+    attach(body, ids, object, options = {}) {
+        body.attach(ids, object, options);
+        this.dispatch('input', { type: 'attach', body: this.softBodies.indexOf(body), ids: Array.from(ids),
+            object: this.nameOf(object), compliance: options.compliance || 0.0 });
+    }
+
+    /** Releases the particles of `body` attached to `object`, or to any object without one */
+    detach(body, object) {
+        body.detach(object);
+        this.dispatch('input', { type: 'detach', body: this.softBodies.indexOf(body), object: object ? this.nameOf(object) : null });
+    }
+
+    startGrab(body, pos) {
+        body.startGrab(pos);
+        this.dispatch('input', { type: 'startGrab', body: this.softBodies.indexOf(body), pos: [pos.x, pos.y, pos.z] });
+    }
+
+    moveGrabbed(body, pos) {
+        body.moveGrabbed(pos);
+        this.dispatch('input', { type: 'moveGrabbed', body: this.softBodies.indexOf(body), pos: [pos.x, pos.y, pos.z] });
+    }
+
+    endGrab(body) {
+        body.endGrab();
+        this.dispatch('input', { type: 'endGrab', body: this.softBodies.indexOf(body) });
+    }
+
+    /**
+     * A snapshot of every body (see getState in SoftBodyBackend.js) and of the scene's clock,
+     * e.g. as a checkpoint to return to with setState(); colliders and parameters are left out
+     */
+    getState() {
+        return {
+            time        : this.time,
+            stepCount   : this.stepCount,
+            substepCount: this.substepCount,
+            bodies      : this.softBodies.map((body) => body.getState())
+        };
+    }
+
+    /** Restores a getState() snapshot taken with the same bodies in the scene, in the same order */
+    setState(state) {
+        if (state.bodies.length !== this.softBodies.length) {
+            throw new Error('PhysicsScene.setState: the state has ' + state.bodies.length + ' bodies, the scene ' + this.softBodies.length);
+        }
+        for (let i = 0; i < this.softBodies.length; i++) { this.softBodies[i].setState(state.bodies[i]); }
+        this.time         = state.time;
+        this.stepCount    = state.stepCount;
+        this.substepCount = state.substepCount;
+    }
+
+    /** Advances the scene by one frame, split into physicsParams.numSubsteps substeps */
+    step(frameDt = this.physicsParams.timeStep) {
+        this.dispatch('beforeStep', frameDt);
+
+        let dt = this.substepDt(frameDt);
+        for (let step = 0; step < this.physicsParams.numSubsteps; step++) {
+            this.substep(dt);
+        }
+
+        this.endFrame();
+
+        this.stepCount++;
+        this.dispatch('afterStep', frameDt);
+    }
+
+    /** Updates the visual representations (headless solvers have none) */
+    endFrame() {
+        for (let i = 0; i < this.softBodies.length; i++) {
+            if (this.softBodies[i].endFrame) { this.softBodies[i].endFrame(); }
+        }
+    }
+
+    /** The length of each substep of a frame */
+    substepDt(frameDt = this.physicsParams.timeStep) {
+        return (this.physicsParams.timeScale * frameDt) / this.physicsParams.numSubsteps;
+    }
+
+    /** Advances every body by a single substep of length dt */
+    substep(dt) {
+        this.dispatch('beforeSubstep', dt);
+
+        // Colliders following three.js objects pick up where those are now
+        for (let i = 0; i < this.colliders.length; i++) { this.colliders[i].update(); }
+
+        let contacts = (this.physicsParams.bodyCollisions && this.contactBodies.length > 1) ||
+                       (this.physicsParams.selfCollision  && this.contactBodies.length > 0);
+        for (let i = 0; i < this.simulations.length; i++) {
+            let simulation = this.simulations[i];
+            if (contacts && simulation.solveElems) {
+                simulation.integrate(dt, this.physicsParams);
+                simulation.solveElems(dt);
+            } else {
+                simulation.simulate(dt, this.physicsParams);
+            }
+        }
+
+        // Contacts go between the element solve and the velocity update of every body involved
+        if (contacts) {
+            this.contacts.solve(this.contactBodies, dt, this.physicsParams);
+            for (let i = 0; i < this.contactBodies.length; i++) {
+                this.contactBodies[i].collide(dt, this.physicsParams);
+                this.contactBodies[i].updateVelocities(dt);
+            }
+        }
+
+        this.time += dt;
+        this.substepCount++;
+        this.dispatch('afterSubstep', dt);
+    }
+}
@@ -0,0 +1,176 @@
+import { Collider } from './Colliders.js';
+import { TriangleBVH, collectTriangles } from './MeshCollider.js';
+
+/**
+ * Bakes a closed triangle mesh into a signed distance field on a regular grid (negative inside),
+ * for SDFCollider. Distances come from closest point queries on a TriangleBVH; the sign from
+ * counting surface crossings along grid rows in each axis direction (the majority of the three wins,
+ * which tolerates small holes and rays grazing edges).
+ *
+ *   let sdf = new SDFBaker({ resolution: 48 }).bake(collectTriangles(mesh));
+ */
+export class SDFBaker {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.resolution=32] grid points along the longest side
+     * @param {number} [options.padding]      extra space around the mesh; defaults to two cells
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({ resolution: 32, padding: null }, options);
+    }
+
+    /**
+     * @param {ArrayLike<number>} positions 3 coordinates per vertex
+     * @param {ArrayLike<number>} [indices] 3 per triangle; every 3 vertices make a triangle without them
+     * @returns {{dims: number[], min: Float32Array, cellSize: number, data: Float32Array}} data holds one distance
+     *          per grid point, x fastest, then y, then z (the layout of a THREE.Data3DTexture)
+     */
+    bake(positions, indices = null) {
+        let bvh = new TriangleBVH(positions, indices);
+        let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < bvh.triangles.length; i += 4) {
+            for (let k = 0; k < 3; k++) {
+                min[k] = Math.min(min[k], bvh.triangles[i + k]);
+                max[k] = Math.max(max[k], bvh.triangles[i + k]);
+            }
+        }
+        let resolution = Math.max(2, this.options.resolution);
+        let extent     = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2], 1e-6);
+        let cellSize   = extent / (resolution - 1);
+        let padding    = this.options.padding === null ? 2.0 * cellSize : this.options.padding;
+        cellSize = (extent + 2.0 * padding) / (resolution - 1);
+
+        let sdf = { dims: [0, 0, 0], min: new Float32Array(3), cellSize: cellSize, data: null };
+        for (let k = 0; k < 3; k++) {
+            sdf.dims[k] = Math.max(2, Math.ceil((max[k] - min[k] + 2.0 * padding) / cellSize) + 1);
+            sdf.min [k] = (min[k] + max[k]) / 2.0 - (sdf.dims[k] - 1) * cellSize / 2.0;
+        }
+        let [nx, ny, nz] = sdf.dims;
+        sdf.data = new Float32Array(nx * ny * nz);
+
+        // Votes for being inside, one per axis
+        let votes = new Uint8Array(nx * ny * nz);
+        for (let axis = 0; axis < 3; axis++) { this.voteInside(bvh, sdf, axis, votes); }
+
+        let result = { point: new Float32Array(3), normal: new Float32Array(3), distance: 0.0, triangle: -1 };
+        for (let z = 0, i = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    bvh.closestPoint(sdf.min[0] + x * cellSize, sdf.min[1] + y * cellSize, sdf.min[2] + z * cellSize, Infinity, result);
+                    sdf.data[i] = votes[i] >= 2 ? -result.distance : result.distance;
+                }
+            }
+        }
+        return sdf;
+    }
+
+    /** Casts a ray along `axis` through every grid row, and adds a vote to the grid points between odd and even crossings */
+    voteInside(bvh, sdf, axis, votes) {
+        let a = axis, b = (axis + 1) % 3, c = (axis + 2) % 3;
+        let dims = sdf.dims, h = sdf.cellSize, stride = [1, dims[0], dims[0] * dims[1]];
+        let rows = new Array(dims[b] * dims[c]);
+        // Nudge the rays off the grid lines, which mesh vertices and edges tend to lie on
+        let jitterB = 1.0e-4 * h, jitterC = 2.0e-4 * h;
+
+        let tri = bvh.triangles;
+        for (let t = 0; t < bvh.numTriangles; t++) {
+            let o = 12 * t;
+            let b0 = tri[o + b], b1 = tri[o + 4 + b], b2 = tri[o + 8 + b];
+            let c0 = tri[o + c], c1 = tri[o + 4 + c], c2 = tri[o + 8 + c];
+            let jMin = Math.max(0, Math.ceil ((Math.min(b0, b1, b2) - sdf.min[b] - jitterB) / h));
+            let jMax = Math.min(dims[b] - 1, Math.floor((Math.max(b0, b1, b2) - sdf.min[b] - jitterB) / h));
+            let kMin = Math.max(0, Math.ceil ((Math.min(c0, c1, c2) - sdf.min[c] - jitterC) / h));
+            let kMax = Math.min(dims[c] - 1, Math.floor((Math.max(c0, c1, c2) - sdf.min[c] - jitterC) / h));
+            for (let k = kMin; k <= kMax; k++) {
+                for (let j = jMin; j <= jMax; j++) {
+                    // Barycentric coordinates of the ray in the triangle's projection onto the b, c plane
+                    let pb = sdf.min[b] + j * h + jitterB, pc = sdf.min[c] + k * h + jitterC;
+                    let det = (b1 - b0) * (c2 - c0) - (b2 - b0) * (c1 - c0);
+                    if (det === 0.0) { continue; }
+                    let u = ((pb - b0) * (c2 - c0) - (b2 - b0) * (pc - c0)) / det;
+                    let v = ((b1 - b0) * (pc - c0) - (pb - b0) * (c1 - c0)) / det;
+                    if (u < 0.0 || v < 0.0 || u + v > 1.0) { continue; }
+                    let hit = tri[o + a] + u * (tri[o + 4 + a] - tri[o + a]) + v * (tri[o + 8 + a] - tri[o + a]);
+                    let row = j + k * dims[b];
+                    (rows[row] = rows[row] || []).push(hit);
+                }
+            }
+        }
+
+        for (let k = 0; k < dims[c]; k++) {
+            for (let j = 0; j < dims[b]; j++) {
+                let hits = rows[j + k * dims[b]];
+                if (!hits) { continue; }
+                hits.sort((x, y) => x - y);
+                for (let h0 = 0; h0 + 1 < hits.length; h0 += 2) {
+                    let iMin = Math.max(0, Math.ceil ((hits[h0    ] - sdf.min[a]) / h));
+                    let iMax = Math.min(dims[a] - 1, Math.floor((hits[h0 + 1] - sdf.min[a]) / h));
+                    for (let i = iMin; i <= iMax; i++) { votes[i * stride[a] + j * stride[b] + k * stride[c]]++; }
+                }
+            }
+        }
+    }
+}
+
+function lerp(a, b, t) { return a + (b - a) * t; }
+
+/**
+ * A rigid obstacle of any closed shape, as a signed distance field (see SDFBaker): particles closer to its
+ * surface than `thickness`, or inside, are pushed out along the field's gradient, with the same friction
+ * as the floor. Both backends interpolate the same grid trilinearly; the GPU backend uploads it as a
+ * THREE.Data3DTexture and samples it in its collision pass (one SDF collider at a time).
+ *
+ *   scene.addCollider(SDFCollider.fromObject(rockMesh, { resolution: 48 }));
+ */
+export class SDFCollider extends Collider {
+    /**
+     * @param {{dims: number[], min: ArrayLike<number>, cellSize: number, data: Float32Array}} sdf what SDFBaker.bake returns,
+     *        in the collider's frame
+     * @param {{thickness?: number}} [options]
+     */
+    constructor(sdf, options = {}) {
+        options = Object.assign({ thickness: 0.0 }, options);
+        super('sdf', [options.thickness]);
+        this.sdf = sdf;
+    }
+
+    /** Bakes every mesh under a THREE.Object3D (in world space) with the given SDFBaker options */
+    static fromObject(object, options = {}) {
+        return new SDFCollider(new SDFBaker(options).bake(collectTriangles(object)), options);
+    }
+
+    get thickness() { return this.shape[0]; }
+    set thickness(thickness) { this.shape[0] = thickness; }
+
+    /** The trilinearly interpolated distance at the local point (x, y, z), clamped to the grid */
+    sample(x, y, z) {
+        let sdf = this.sdf, nx = sdf.dims[0], ny = sdf.dims[1], nz = sdf.dims[2];
+        let gx = Math.min(Math.max((x - sdf.min[0]) / sdf.cellSize, 0.0), nx - 1);
+        let gy = Math.min(Math.max((y - sdf.min[1]) / sdf.cellSize, 0.0), ny - 1);
+        let gz = Math.min(Math.max((z - sdf.min[2]) / sdf.cellSize, 0.0), nz - 1);
+        let ix = Math.min(Math.floor(gx), nx - 2), iy = Math.min(Math.floor(gy), ny - 2), iz = Math.min(Math.floor(gz), nz - 2);
+        let fx = gx - ix, fy = gy - iy, fz = gz - iz;
+        let d = sdf.data, i = ix + nx * (iy + ny * iz), sy = nx, sz = nx * ny;
+        return lerp(lerp(lerp(d[i          ], d[i + 1          ], fx), lerp(d[i + sy     ], d[i + sy + 1     ], fx), fy),
+                    lerp(lerp(d[i + sz     ], d[i + sz + 1     ], fx), lerp(d[i + sy + sz], d[i + sy + sz + 1], fx), fy), fz);
+    }
+
+    penetration(p, n) {
+        let sdf = this.sdf;
+        for (let k = 0; k < 3; k++) {
+            if (p[k] < sdf.min[k] || p[k] > sdf.min[k] + (sdf.dims[k] - 1) * sdf.cellSize) { return 0.0; }
+        }
+        let depth = this.thickness - this.sample(p[0], p[1], p[2]);
+        if (depth <= 0.0) { return 0.0; }
+
+        // Out along the gradient, by central differences half a cell wide
+        let h = 0.5 * sdf.cellSize;
+        n[0] = this.sample(p[0] + h, p[1], p[2]) - this.sample(p[0] - h, p[1], p[2]);
+        n[1] = this.sample(p[0], p[1] + h, p[2]) - this.sample(p[0], p[1] - h, p[2]);
+        n[2] = this.sample(p[0], p[1], p[2] + h) - this.sample(p[0], p[1], p[2] - h);
+        let length = Math.hypot(n[0], n[1], n[2]);
+        if (length === 0.0) { return 0.0; }
+        n[0] /= length; n[1] /= length; n[2] /= length;
+        return depth;
+    }
+}
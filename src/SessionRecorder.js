@@ -0,0 +1,221 @@
+/**
+ * Records an interactive session so it can be replayed step for step, e.g. to reproduce a bug report:
+ * the scene's state and parameters when recording starts, then every input routed through the
+ * PhysicsScene (grabs, parameter changes, pins, attachments, colliders; see its `input` callback)
+ * keyed to the step it came before.  Colliders and attachment objects are recorded by the name they
+ * were given with scene.register(), so the replaying scene has to register the same ones.
+ *
+ * The setup when recording starts (every body's pins and the scene's colliders) is recorded too, but
+ * recording cannot start during a grab or while particles are attached: those depend on where the
+ * cursor or the object has been, which a replay cannot put back.
+ *
+ * Replaying restores that state and setup and re-applies each input before the same step, which
+ * reproduces the session exactly on the CPU backend (the GPU's float math is not guaranteed to repeat).
+ *
+ *   let recorder = new SessionRecorder(scene).start();
+ *   ...interact...
+ *   let text = new SessionRecordingExporter().parse(recorder.stop());
+ *   ...later, in a scene with the same bodies:
+ *   let player = new SessionPlayer(scene, new SessionRecordingLoader().parse(text)).start();
+ *   ...step the scene until player.isDone (or call player.playToEnd())
+ */
+export const SESSION_RECORDING_VERSION = 2; // 2 added `setup`
+
+export class SessionRecorder {
+    constructor(scene) {
+        this.scene     = scene;
+        this.recording = null;
+        this.callback  = null;
+    }
+
+    get isRecording() { return this.callback !== null; }
+
+    /** Snapshots the scene and its setup and starts logging its inputs */
+    start() {
+        this.stop();
+        let bodies = this.scene.softBodies;
+        for (let i = 0; i < bodies.length; i++) {
+            if (bodies[i].isGrabbing) { throw new Error('SessionRecorder: cannot start recording during a grab'); }
+            if (bodies[i].attachedObjects && bodies[i].attachedObjects.length > 0) {
+                throw new Error('SessionRecorder: cannot start recording while particles are attached (detach them first)');
+            }
+        }
+        let colliders = this.scene.colliders.map((collider) => {
+            let name = this.scene.nameOf(collider);
+            if (name === null) { throw new Error('SessionRecorder: every collider needs a name to be recorded (see PhysicsScene.register)'); }
+            return name;
+        });
+        this.recording = {
+            format       : 'tetsim-session',
+            version      : SESSION_RECORDING_VERSION,
+            backend      : this.scene.physicsParams.backend || 'cpu',
+            startStep    : this.scene.stepCount,
+            endStep      : this.scene.stepCount,
+            physicsParams: plainParams(this.scene.physicsParams),
+            initialState : this.scene.getState(),
+            setup        : { pins: bodies.map((body) => body.getPins()), colliders: colliders },
+            events       : []
+        };
+        this.callback = this.scene.on('input', (event) => {
+            let entry = Object.assign({ step: this.scene.stepCount, time: this.scene.time }, event);
+            if (event.changes) { entry.changes = plainParams(event.changes); }
+            if (event.collider === null || (event.type === 'attach' && event.object === null)) {
+                console.warn('SessionRecorder: ' + event.type + ' of an object without a name (see PhysicsScene.register) cannot be replayed');
+            }
+            this.recording.events.push(entry);
+        });
+        return this;
+    }
+
+    /** @returns {object} the recording, ending at the current step */
+    stop() {
+        if (this.callback) {
+            this.scene.off('input', this.callback);
+            this.callback = null;
+            this.recording.endStep = this.scene.stepCount;
+        }
+        return this.recording;
+    }
+}
+
+export class SessionPlayer {
+    constructor(scene, recording) {
+        this.scene     = scene;
+        this.recording = recording;
+        this.nextEvent = 0;
+        this.callback  = null;
+    }
+
+    /** Whether every recorded step has been replayed */
+    get isDone() { return this.scene.stepCount >= this.recording.endStep; }
+
+    /** Puts the scene back where the recording started and re-applies the inputs as the scene steps */
+    start() {
+        this.stop();
+        this.scene.setParams(this.recording.physicsParams);
+        this.scene.setState(this.recording.initialState);
+        if (this.recording.setup) { this.restoreSetup(this.recording.setup); }
+        this.nextEvent = 0;
+        this.callback  = this.scene.on('beforeStep', () => this.applyEvents());
+        return this;
+    }
+
+    stop() {
+        if (!this.callback) { return; }
+        this.scene.off('beforeStep', this.callback);
+        this.callback = null;
+    }
+
+    /** Ends grabs and attachments, and puts back the recorded pins and colliders (as inputs, so the application sees them) */
+    restoreSetup(setup) {
+        let scene = this.scene;
+        for (let i = 0; i < scene.softBodies.length; i++) {
+            let body = scene.softBodies[i], pins = setup.pins[i];
+            if (body.isGrabbing) { scene.endGrab(body); }
+            if (body.attachedObjects && body.attachedObjects.length > 0) { scene.detach(body); }
+            scene.unpin(body);
+            // pin() takes one compliance per call
+            for (let compliance of new Set(pins.compliances)) {
+                let ids = [], targets = [];
+                for (let k = 0; k < pins.ids.length; k++) {
+                    if (pins.compliances[k] !== compliance) { continue; }
+                    ids.push(pins.ids[k]);
+                    targets.push(pins.targets[3 * k], pins.targets[3 * k + 1], pins.targets[3 * k + 2]);
+                }
+                scene.pin(body, ids, { targets: targets, compliance: compliance });
+            }
+        }
+        // In the recorded order, which is the order they are solved in
+        let colliders = setup.colliders.map((name) => scene.lookup(name)), kept = 0;
+        while (kept < colliders.length && scene.colliders[kept] === colliders[kept]) { kept++; }
+        for (let collider of scene.colliders.slice(kept)) { scene.removeCollider(collider); }
+        for (let collider of colliders.slice(kept)) { scene.addCollider(collider); }
+    }
+
+    /** Steps the scene through the rest of the recording */
+    playToEnd() {
+        if (!this.callback) { this.start(); }
+        while (!this.isDone) { this.scene.step(); }
+        this.stop();
+    }
+
+    /** Applies the inputs that came before the step about to run */
+    applyEvents() {
+        let events = this.recording.events;
+        while (this.nextEvent < events.length && events[this.nextEvent].step <= this.scene.stepCount) {
+            let event = events[this.nextEvent++];
+            let body  = this.scene.softBodies[event.body];
+            let pos   = event.pos ? { x: event.pos[0], y: event.pos[1], z: event.pos[2] } : null;
+            if      (event.type === 'params'     ) { this.scene.setParams(event.changes); }
+            else if (event.type === 'startGrab'  ) { this.scene.startGrab(body, pos); }
+            else if (event.type === 'moveGrabbed') { this.scene.moveGrabbed(body, pos); }
+            else if (event.type === 'endGrab'    ) { this.scene.endGrab(body); }
+            else if (event.type === 'pin'        ) { this.scene.pin(body, event.ids, { targets: event.targets, compliance: event.compliance }); }
+            else if (event.type === 'unpin'      ) { this.scene.unpin(body, event.ids || undefined); }
+            else if (event.type === 'attach'     ) { this.scene.attach(body, event.ids, this.scene.lookup(event.object), { compliance: event.compliance }); }
+            else if (event.type === 'detach'     ) { this.scene.detach(body, event.object ? this.scene.lookup(event.object) : undefined); }
+            else if (event.type === 'addCollider'   ) { this.scene.addCollider   (this.scene.lookup(event.collider)); }
+            else if (event.type === 'removeCollider') { this.scene.removeCollider(this.scene.lookup(event.collider)); }
+        }
+    }
+}
+
+/** Writes a recording as JSON text, with the snapshot's typed arrays as base64 */
+export class SessionRecordingExporter {
+    /** @returns {string} */
+    parse(recording) {
+        return JSON.stringify(recording, (key, value) => ArrayBuffer.isView(value) ?
+            { typedArray: value.constructor.name, base64: toBase64(value) } : value);
+    }
+}
+
+export class SessionRecordingLoader {
+    /**
+     * @param {string} url
+     * @returns {Promise<object>}
+     */
+    async load(url) {
+        let response = await fetch(url);
+        if (!response.ok) { throw new Error('SessionRecordingLoader: could not load ' + url + ' (' + response.status + ')'); }
+        return this.parse(await response.text());
+    }
+
+    /** @param {string} text what SessionRecordingExporter wrote */
+    parse(text) {
+        let recording = JSON.parse(text, (key, value) => value && value.typedArray ? fromBase64(value.typedArray, value.base64) : value);
+        if (recording.format !== 'tetsim-session') { throw new Error('SessionRecordingLoader: not a session recording'); }
+        if (recording.version > SESSION_RECORDING_VERSION) {
+            throw new Error('SessionRecordingLoader: version ' + recording.version + ' is newer than the supported ' + SESSION_RECORDING_VERSION);
+        }
+        return recording;
+    }
+}
+
+/** The numbers, booleans, strings and number arrays of a parameter object (what a file can hold) */
+function plainParams(params) {
+    let plain = {};
+    for (let key in params) {
+        let value = params[key];
+        if (['number', 'boolean', 'string'].includes(typeof value) ||
+            (Array.isArray(value) && value.every((x) => typeof x === 'number'))) {
+            plain[key] = Array.isArray(value) ? value.slice(0) : value;
+        }
+    }
+    return plain;
+}
+
+const typedArrays = { Float32Array, Float64Array, Int32Array, Uint32Array, Int16Array, Uint16Array, Uint8Array };
+
+function toBase64(array) {
+    let bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength), binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) { binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000)); }
+    return btoa(binary);
+}
+
+function fromBase64(type, base64) {
+    if (!typedArrays[type]) { throw new Error('SessionRecordingLoader: unknown array type ' + type); }
+    let binary = atob(base64);
+    let bytes  = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) { bytes[i] = binary.charCodeAt(i); }
+    return new typedArrays[type](bytes.buffer);
+}
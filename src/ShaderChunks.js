@@ -0,0 +1,11 @@
+/**
+ * GLSL shared by the simulation passes and the materials that read per vertex data out of
+ * textures (WebGL2 only: texelFetch, textureSize and gl_VertexID).
+ */
+
+/** Texel `index` of `tex`, counting row by row (the layout every data texture here uses) */
+export const getValueByIndexFromTexture = `
+vec4 getValueByIndexFromTexture(sampler2D tex, int index) {
+    ivec2 texSize = textureSize(tex, 0);
+    return texelFetch(tex, ivec2(index % texSize.x, index / texSize.x), 0); }
+`;
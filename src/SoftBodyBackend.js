@@ -0,0 +1,110 @@
+import { SoftBody } from './Softbody.js';
+import { SoftBodyGPU } from './SoftbodyGPU.js';
+
+/**
+ * The contract shared by every soft body backend (`SoftBody` on the CPU, `SoftBodyGPU` on the GPU).
+ * Application code should only ever talk to a backend through these members.
+ *
+ * Construction:
+ *   new Backend(vertices, tetIds, tetEdgeIds, physicsParams, visVerts, visTriIds, visMaterial, world)
+ *     tetEdgeIds, visVerts / visTriIds and visMaterial may be omitted (null or undefined): the edges
+ *     and the boundary surface are then derived from tetIds (see TetMeshUtils.js, SurfaceEmbedding.js)
+ *   static Backend.backendName            - 'cpu' or 'gpu'
+ *   static Backend.isSupported(renderer)  - whether this backend can run on the given THREE.WebGLRenderer
+ *   static Backend.defaultNumSubsteps     - the substep count this backend is tuned for
+ *   static Backend.maxNumSubsteps         - the largest substep count worth offering in the GUI
+ *   static Backend.createBatch(meshes, physicsParams, world) - optional; creates several bodies that
+ *                                           are simulated together (see createSoftBodies below)
+ *
+ * Members:
+ *   isSoftBody                 - always true; used to recognize soft bodies behind raycast hits
+ *   numParticles, numElems     - the sizes of the tetrahedral mesh
+ *   tetIds, restPos            - the tet vertex ids and the rest positions the body was created with
+ *   edgeMesh, visMesh          - the THREE.LineSegments tet wireframe and the THREE.Mesh render mesh
+ *   simulation                 - optional; the object whose simulate() advances this body when
+ *                                several bodies are packed together (PhysicsScene steps it once)
+ *
+ * Stepping:
+ *   simulate(dt, physicsParams) - advances one substep of length dt (of the whole `simulation`, if shared)
+ *   endFrame()                  - refreshes the visual representation once per rendered frame
+ *
+ * Grabbing (positions are anything with x, y, z):
+ *   startGrab(pos), moveGrabbed(pos), endGrab()
+ *   isGrabbing                        - whether a grab is in progress
+ *
+ * Pins (particle ids as from particlesInBox / particlesWithTetTag in TetMeshUtils.js):
+ *   pin(ids, { targets, compliance }) - holds the particles at world space targets (3 per id; by default where
+ *                                       they are now); compliance 0 (the default) is hard, more is softer
+ *   unpin(ids)                        - releases them (every pinned particle without ids)
+ *   setPinTargets(ids, targets)       - moves the targets of pinned particles
+ *   pinnedIds                         - the pinned particle ids
+ *   getPins()                         - the pins set with pin() as { ids, targets, compliances }
+ *
+ * Attachments:
+ *   attach(ids, object, { compliance }) - makes the particles follow a THREE.Object3D (a hand, a platform, a bone)
+ *                                        at their current offset in its frame, queried every substep;
+ *                                        their pins, if any, are suspended while they are attached
+ *   detach(object)                     - releases them (those attached to any object without one), back to their pins
+ *   attachedObjects                    - the objects particles are attached to
+ *
+ * State readback:
+ *   readPositions(target)  - writes the 3 * numParticles particle coordinates into target (or a new Float32Array)
+ *   readVelocities(target) - the same for the particle velocities
+ *   readRotations(target)  - writes the 4 * numElems x, y, z, w quaternions rotating each tet from its rest pose
+ *   updateEdgeMesh()       - makes edgeMesh's CPU-side positions current (e.g. before raycasting)
+ *   updateVisMesh()        - makes visMesh's CPU-side positions current from edgeMesh's (e.g. before exporting)
+ *
+ * Snapshots:
+ *   getState()             - copies the simulated state into a plain object of typed arrays:
+ *                            { backend, numParticles, numElems, positions, prevPositions, velocities, ... },
+ *                            plus the backend's own solver state (the GPU's restTets, quats and prevQuats)
+ *   setState(state)        - restores a snapshot of the same mesh, so the simulation continues exactly as it
+ *                            would have from there with the same inputs; snapshots of the other backend restore
+ *                            their particles. Inputs and setup are not part of a snapshot and stay as they are:
+ *                            the grab, pins, attachments, colliders and physicsParams (SessionRecorder.js
+ *                            records those separately)
+ *
+ * Parameters and lifetime:
+ *   setParams(physicsParams) - applies a changed physicsParams object
+ *   dispose()                - frees the GPU resources held by the body
+ */
+export const SoftBodyBackends = {
+    gpu: SoftBodyGPU,
+    cpu: SoftBody
+};
+
+/** Picks the backend named by `preference` if it is supported, otherwise the first supported one */
+export function selectSoftBodyBackend(renderer, preference) {
+    let preferred = SoftBodyBackends[preference];
+    if (preferred && preferred.isSupported(renderer)) { return preferred; }
+    for (let name in SoftBodyBackends) {
+        if (SoftBodyBackends[name].isSupported(renderer)) { return SoftBodyBackends[name]; }
+    }
+    return SoftBody;
+}
+
+/**
+ * Creates a soft body on the best available backend
+ * @param {{vertices: Float32Array, tetIds: number[], tetEdgeIds?: number[], visVerts?: Float32Array, visTriIds?: number[]}} mesh
+ * @param {object} physicsParams
+ * @param {THREE.Material} visMaterial
+ * @param {World} world
+ * @param {string} [preference] 'cpu' or 'gpu'; falls back when unsupported
+ */
+export function createSoftBody(mesh, physicsParams, visMaterial, world, preference) {
+    const Backend = selectSoftBodyBackend(world.renderer, preference);
+    return new Backend(mesh.vertices, mesh.tetIds, mesh.tetEdgeIds, physicsParams,
+        mesh.visVerts, mesh.visTriIds, visMaterial, world);
+}
+
+/**
+ * Creates several soft bodies on the best available backend, packed into one
+ * simulation when the backend supports it
+ * @param {{vertices, tetIds, tetEdgeIds, visVerts, visTriIds, visMaterial}[]} meshes
+ */
+export function createSoftBodies(meshes, physicsParams, world, preference) {
+    const Backend = selectSoftBodyBackend(world.renderer, preference);
+    if (Backend.createBatch) { return Backend.createBatch(meshes, physicsParams, world); }
+    return meshes.map((mesh) => new Backend(mesh.vertices, mesh.tetIds, mesh.tetEdgeIds, physicsParams,
+        mesh.visVerts, mesh.visTriIds, mesh.visMaterial, world));
+}
@@ -0,0 +1,309 @@
+import { SpatialHash } from './SpatialHash.js';
+import { extractSurfaceTriangles, surfaceVertexIds } from './TetMeshUtils.js';
+
+/**
+ * XPBD contacts between the surfaces of CPU soft bodies (SoftBodySolver and subclasses).
+ * Every surface particle of one body is tested against the nearby surface triangles of
+ * the others; a spatial hash over the triangle bounding boxes serves as the broadphase.
+ * With self collision, surface particles are also kept off the non-incident triangles
+ * of their own body, on whichever side they were at the start of the substep.
+ *
+ * physicsParams used:
+ *   bodyCollisions         - whether distinct bodies collide
+ *   contactThickness       - the gap kept between a particle and a foreign surface
+ *   contactCompliance      - XPBD compliance of the contacts (0 = rigid)
+ *   selfCollision          - whether a body's surface collides with itself
+ *   selfCollisionThickness - the gap kept between a particle and its own surface
+ *   friction               - the same "simple friction" coefficient the floor uses
+ */
+export class SoftBodyContacts {
+    constructor() {
+        this.surfaces = new Map(); // body -> cached surface data
+
+        // solve data: define here to avoid memory allocation during solve
+        this.bary   = new Float32Array(3);
+        this.normal = new Float32Array(3);
+        this.closest = new Float32Array(3);
+    }
+
+    /** The boundary surface of `body`, extracted from its rest pose the first time it's needed */
+    surfaceOf(body) {
+        let surface = this.surfaces.get(body);
+        if (surface) { return surface; }
+
+        let triIds  = extractSurfaceTriangles(body.tetIds, body.pos);
+        let numTris = triIds.length / 3;
+        let sumEdge = 0.0;
+        for (let t = 0; t < numTris; t++) {
+            for (let e = 0; e < 3; e++) {
+                sumEdge += distance(body.pos, triIds[3 * t + e], body.pos, triIds[3 * t + (e + 1) % 3]);
+            }
+        }
+        surface = {
+            triIds   : triIds,
+            vertIds  : surfaceVertexIds(triIds),
+            numTris  : numTris,
+            spacing  : sumEdge / (3 * numTris), // the average edge length; also how deep contacts are searched
+            triBounds: new Float32Array(6 * numTris),
+            hash     : new SpatialHash(Math.max(sumEdge / (3 * numTris), 1e-4), Math.max(numTris, 1)),
+            bounds   : new Float32Array(6)
+        };
+        this.surfaces.set(body, surface);
+        return surface;
+    }
+
+    /** Forgets the cached surface of a body that left the scene */
+    remove(body) { this.surfaces.delete(body); }
+
+    /** Refreshes the triangle bounds, hash and overall bounding box of a surface for the current positions */
+    updateSurface(body, surface, margin) {
+        let pos = body.pos, triIds = surface.triIds, tb = surface.triBounds;
+        for (let t = 0; t < surface.numTris; t++) {
+            let id0 = 3 * triIds[3 * t], id1 = 3 * triIds[3 * t + 1], id2 = 3 * triIds[3 * t + 2];
+            for (let k = 0; k < 3; k++) {
+                tb[6 * t + k    ] = Math.min(pos[id0 + k], pos[id1 + k], pos[id2 + k]);
+                tb[6 * t + k + 3] = Math.max(pos[id0 + k], pos[id1 + k], pos[id2 + k]);
+            }
+        }
+        surface.hash.createFromBounds(tb, surface.numTris);
+
+        let b = surface.bounds;
+        b[0] = b[1] = b[2] = Number.MAX_VALUE;
+        b[3] = b[4] = b[5] = -Number.MAX_VALUE;
+        for (let i = 0; i < surface.vertIds.length; i++) {
+            let id = 3 * surface.vertIds[i];
+            for (let k = 0; k < 3; k++) {
+                b[k    ] = Math.min(b[k    ], pos[id + k] - margin);
+                b[k + 3] = Math.max(b[k + 3], pos[id + k] + margin);
+            }
+        }
+    }
+
+    /** Resolves the contacts between every pair of `bodies` (and within each, with self collision) for one substep */
+    solve(bodies, dt, physicsParams) {
+        let thickness = physicsParams.contactThickness;
+        for (let i = 0; i < bodies.length; i++) {
+            this.updateSurface(bodies[i], this.surfaceOf(bodies[i]), thickness);
+        }
+
+        if (physicsParams.bodyCollisions) {
+            for (let a = 0; a < bodies.length; a++) {
+                for (let b = 0; b < bodies.length; b++) {
+                    if (a === b) { continue; }
+                    let surfaceA = this.surfaceOf(bodies[a]), surfaceB = this.surfaceOf(bodies[b]);
+                    if (!boundsOverlap(surfaceA.bounds, surfaceB.bounds)) { continue; }
+                    this.solvePair(bodies[a], surfaceA, bodies[b], surfaceB, dt, physicsParams);
+                }
+            }
+        }
+
+        if (physicsParams.selfCollision) {
+            for (let i = 0; i < bodies.length; i++) {
+                this.solveSelf(bodies[i], this.surfaceOf(bodies[i]), dt, physicsParams);
+            }
+        }
+    }
+
+    /** Pushes the surface particles of body A out of the surface triangles of body B */
+    solvePair(A, surfaceA, B, surfaceB, dt, physicsParams) {
+        let thickness = physicsParams.contactThickness;
+        let bounds = surfaceB.bounds;
+        for (let v = 0; v < surfaceA.vertIds.length; v++) {
+            let p = surfaceA.vertIds[v];
+            let px = A.pos[3 * p], py = A.pos[3 * p + 1], pz = A.pos[3 * p + 2];
+            if (px < bounds[0] || py < bounds[1] || pz < bounds[2] ||
+                px > bounds[3] || py > bounds[4] || pz > bounds[5]) { continue; }
+
+            let tri = this.findClosestTriangle(A.pos, p, B, surfaceB, surfaceB.spacing + thickness, -1);
+            if (tri >= 0) { this.solveContact(A, p, B, surfaceB.triIds, tri, thickness, dt, physicsParams); }
+        }
+    }
+
+    /**
+     * Keeps the surface particles of A off its own surface triangles (other than the ones they belong to).
+     * Only the triangles within reach of this substep's motion are considered, so folds are
+     * prevented from passing through rather than untangled after the fact.
+     */
+    solveSelf(A, surfaceA, dt, physicsParams) {
+        let thickness = physicsParams.selfCollisionThickness;
+        for (let v = 0; v < surfaceA.vertIds.length; v++) {
+            let p = surfaceA.vertIds[v];
+            let maxDist = thickness + distance(A.pos, p, A.prevPos, p);
+
+            let tri = this.findClosestTriangle(A.pos, p, A, surfaceA, maxDist, p);
+            if (tri >= 0) {
+                let side = this.sideAtPrevPos(A, p, A, surfaceA.triIds, tri);
+                this.solveContact(A, p, A, surfaceA.triIds, tri, thickness, dt, physicsParams, side);
+            }
+        }
+    }
+
+    /** Which side of triangle `tri` of B particle p of A was on at the start of the substep (+1 = in front) */
+    sideAtPrevPos(A, p, B, triIds, tri) {
+        let id0 = triIds[3 * tri], id1 = triIds[3 * tri + 1], id2 = triIds[3 * tri + 2];
+        let b = this.bary, n = this.normal;
+        if (!triangleNormal(B.prevPos, id0, id1, id2, n)) { return 1.0; }
+        let d = 0.0;
+        for (let k = 0; k < 3; k++) {
+            d += (A.prevPos[3 * p + k] - (b[0] * B.prevPos[3 * id0 + k] +
+                                          b[1] * B.prevPos[3 * id1 + k] +
+                                          b[2] * B.prevPos[3 * id2 + k])) * n[k];
+        }
+        return d >= 0.0 ? 1.0 : -1.0;
+    }
+
+    /**
+     * Finds the surface triangle of B closest to particle p (and within `maxDist` of it), skipping
+     * triangles that contain `skipId`; leaves its barycentric closest point in this.bary.
+     * Returns -1 when no triangle is in range.
+     */
+    findClosestTriangle(pos, p, B, surfaceB, maxDist, skipId) {
+        let hash = surfaceB.hash, triIds = surfaceB.triIds, tb = surfaceB.triBounds;
+        hash.query(pos, p, maxDist);
+
+        let bestTri = -1, bestDist2 = maxDist * maxDist;
+        let b0 = 0.0, b1 = 0.0, b2 = 0.0;
+        for (let q = 0; q < hash.querySize; q++) {
+            let t = hash.queryIds[q];
+            let id0 = triIds[3 * t], id1 = triIds[3 * t + 1], id2 = triIds[3 * t + 2];
+            if (id0 === skipId || id1 === skipId || id2 === skipId) { continue; }
+            if (pos[3 * p    ] < tb[6 * t    ] - maxDist || pos[3 * p    ] > tb[6 * t + 3] + maxDist ||
+                pos[3 * p + 1] < tb[6 * t + 1] - maxDist || pos[3 * p + 1] > tb[6 * t + 4] + maxDist ||
+                pos[3 * p + 2] < tb[6 * t + 2] - maxDist || pos[3 * p + 2] > tb[6 * t + 5] + maxDist) { continue; }
+            closestPointOnTriangle(pos, p, B.pos, id0, id1, id2, this.bary);
+            let dx = pos[3 * p    ] - (this.bary[0] * B.pos[3 * id0    ] + this.bary[1] * B.pos[3 * id1    ] + this.bary[2] * B.pos[3 * id2    ]);
+            let dy = pos[3 * p + 1] - (this.bary[0] * B.pos[3 * id0 + 1] + this.bary[1] * B.pos[3 * id1 + 1] + this.bary[2] * B.pos[3 * id2 + 1]);
+            let dz = pos[3 * p + 2] - (this.bary[0] * B.pos[3 * id0 + 2] + this.bary[1] * B.pos[3 * id1 + 2] + this.bary[2] * B.pos[3 * id2 + 2]);
+            let dist2 = dx * dx + dy * dy + dz * dz;
+            if (dist2 < bestDist2) {
+                bestDist2 = dist2; bestTri = t;
+                b0 = this.bary[0]; b1 = this.bary[1]; b2 = this.bary[2];
+            }
+        }
+        this.bary[0] = b0; this.bary[1] = b1; this.bary[2] = b2;
+        return bestTri;
+    }
+
+    /**
+     * Keeps particle p of A `thickness` in front of triangle `tri` of B (whose closest point is in this.bary).
+     * `side` picks the side to keep p on: +1 = along the outward normal, -1 = behind it.
+     */
+    solveContact(A, p, B, triIds, tri, thickness, dt, physicsParams, side = 1.0) {
+        let id0 = triIds[3 * tri], id1 = triIds[3 * tri + 1], id2 = triIds[3 * tri + 2];
+        let b = this.bary, n = this.normal, c = this.closest;
+        if (!triangleNormal(B.pos, id0, id1, id2, n)) { return; }
+        n[0] *= side; n[1] *= side; n[2] *= side;
+
+        for (let k = 0; k < 3; k++) {
+            c[k] = b[0] * B.pos[3 * id0 + k] + b[1] * B.pos[3 * id1 + k] + b[2] * B.pos[3 * id2 + k];
+        }
+        let d = (A.pos[3 * p] - c[0]) * n[0] + (A.pos[3 * p + 1] - c[1]) * n[1] + (A.pos[3 * p + 2] - c[2]) * n[2];
+        let C = d - thickness;
+        if (C >= 0.0) { return; }
+
+        let wp = A.invMass[p], w0 = B.invMass[id0], w1 = B.invMass[id1], w2 = B.invMass[id2];
+        let w = wp + b[0] * b[0] * w0 + b[1] * b[1] * w1 + b[2] * b[2] * w2;
+        if (w == 0.0) { return; }
+        let alpha = (physicsParams.contactCompliance || 0.0) / dt / dt;
+        let dlambda = -C / (w + alpha);
+
+        // push apart along the normal
+        for (let k = 0; k < 3; k++) {
+            A.pos[3 * p   + k] += wp * dlambda * n[k];
+            B.pos[3 * id0 + k] -= w0 * b[0] * dlambda * n[k];
+            B.pos[3 * id1 + k] -= w1 * b[1] * dlambda * n[k];
+            B.pos[3 * id2 + k] -= w2 * b[2] * dlambda * n[k];
+        }
+
+        // simple friction: cancel part of the relative tangential motion of this substep
+        let friction = Math.min(1.0, dt * physicsParams.friction);
+        let rel = c, dn = 0.0;
+        for (let k = 0; k < 3; k++) {
+            rel[k] = (A.pos[3 * p + k] - A.prevPos[3 * p + k]) -
+                (b[0] * (B.pos[3 * id0 + k] - B.prevPos[3 * id0 + k]) +
+                 b[1] * (B.pos[3 * id1 + k] - B.prevPos[3 * id1 + k]) +
+                 b[2] * (B.pos[3 * id2 + k] - B.prevPos[3 * id2 + k]));
+            dn += rel[k] * n[k];
+        }
+        for (let k = 0; k < 3; k++) {
+            let tangential = (rel[k] - dn * n[k]) * friction / w;
+            A.pos[3 * p   + k] -= wp * tangential;
+            B.pos[3 * id0 + k] += w0 * b[0] * tangential;
+            B.pos[3 * id1 + k] += w1 * b[1] * tangential;
+            B.pos[3 * id2 + k] += w2 * b[2] * tangential;
+        }
+    }
+}
+
+// ----- geometry -------------------------------------------------------------
+
+function distance(a, anr, b, bnr) {
+    let dx = a[3 * anr] - b[3 * bnr], dy = a[3 * anr + 1] - b[3 * bnr + 1], dz = a[3 * anr + 2] - b[3 * bnr + 2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+function boundsOverlap(a, b) {
+    return a[0] <= b[3] && a[3] >= b[0] &&
+           a[1] <= b[4] && a[4] >= b[1] &&
+           a[2] <= b[5] && a[5] >= b[2];
+}
+
+/** Writes the unit normal of triangle (id0, id1, id2) into n; false for degenerate triangles */
+export function triangleNormal(pos, id0, id1, id2, n) {
+    id0 *= 3; id1 *= 3; id2 *= 3;
+    let ax = pos[id1] - pos[id0], ay = pos[id1 + 1] - pos[id0 + 1], az = pos[id1 + 2] - pos[id0 + 2];
+    let bx = pos[id2] - pos[id0], by = pos[id2 + 1] - pos[id0 + 1], bz = pos[id2 + 2] - pos[id0 + 2];
+    n[0] = ay * bz - az * by; n[1] = az * bx - ax * bz; n[2] = ax * by - ay * bx;
+    let len = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]);
+    if (len == 0.0) { return false; }
+    n[0] /= len; n[1] /= len; n[2] /= len;
+    return true;
+}
+
+/**
+ * The barycentric coordinates of the point on triangle (id0, id1, id2) of `tri`
+ * closest to point p of `pos` (Ericson, Real-Time Collision Detection, 5.1.5)
+ */
+export function closestPointOnTriangle(pos, p, tri, id0, id1, id2, bary) {
+    p *= 3; id0 *= 3; id1 *= 3; id2 *= 3;
+    let abx = tri[id1] - tri[id0], aby = tri[id1 + 1] - tri[id0 + 1], abz = tri[id1 + 2] - tri[id0 + 2];
+    let acx = tri[id2] - tri[id0], acy = tri[id2 + 1] - tri[id0 + 1], acz = tri[id2 + 2] - tri[id0 + 2];
+    let apx = pos[p] - tri[id0], apy = pos[p + 1] - tri[id0 + 1], apz = pos[p + 2] - tri[id0 + 2];
+
+    let d1 = abx * apx + aby * apy + abz * apz;
+    let d2 = acx * apx + acy * apy + acz * apz;
+    if (d1 <= 0.0 && d2 <= 0.0) { bary[0] = 1.0; bary[1] = 0.0; bary[2] = 0.0; return bary; }
+
+    let bpx = pos[p] - tri[id1], bpy = pos[p + 1] - tri[id1 + 1], bpz = pos[p + 2] - tri[id1 + 2];
+    let d3 = abx * bpx + aby * bpy + abz * bpz;
+    let d4 = acx * bpx + acy * bpy + acz * bpz;
+    if (d3 >= 0.0 && d4 <= d3) { bary[0] = 0.0; bary[1] = 1.0; bary[2] = 0.0; return bary; }
+
+    let vc = d1 * d4 - d3 * d2;
+    if (vc <= 0.0 && d1 >= 0.0 && d3 <= 0.0) {
+        let v = d1 / (d1 - d3);
+        bary[0] = 1.0 - v; bary[1] = v; bary[2] = 0.0; return bary;
+    }
+
+    let cpx = pos[p] - tri[id2], cpy = pos[p + 1] - tri[id2 + 1], cpz = pos[p + 2] - tri[id2 + 2];
+    let d5 = abx * cpx + aby * cpy + abz * cpz;
+    let d6 = acx * cpx + acy * cpy + acz * cpz;
+    if (d6 >= 0.0 && d5 <= d6) { bary[0] = 0.0; bary[1] = 0.0; bary[2] = 1.0; return bary; }
+
+    let vb = d5 * d2 - d1 * d6;
+    if (vb <= 0.0 && d2 >= 0.0 && d6 <= 0.0) {
+        let w = d2 / (d2 - d6);
+        bary[0] = 1.0 - w; bary[1] = 0.0; bary[2] = w; return bary;
+    }
+
+    let va = d3 * d6 - d5 * d4;
+    if (va <= 0.0 && (d4 - d3) >= 0.0 && (d5 - d6) >= 0.0) {
+        let w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        bary[0] = 0.0; bary[1] = 1.0 - w; bary[2] = w; return bary;
+    }
+
+    let denom = 1.0 / (va + vb + vc);
+    let v = vb * denom, w = vc * denom;
+    bary[0] = 1.0 - v - w; bary[1] = v; bary[2] = w;
+    return bary;
+}
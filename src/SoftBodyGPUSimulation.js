@@ -0,0 +1,1197 @@
+import * as THREE from '../node_modules/three/build/three.module.js';
+import { MultiTargetGPUComputationRenderer } from './MultiTargetGPUComputationRenderer.js';
+import { PeriodicSpatialHash } from './SpatialHash.js';
+import { getValueByIndexFromTexture } from './ShaderChunks.js';
+import { extractSurfaceTriangles } from './TetMeshUtils.js';
+import { colliderTypes } from './Colliders.js';
+import { MESH_EDGE_TOLERANCE } from './MeshCollider.js';
+
+/** How many objects the particles of one simulation can be attached to at once (see addAttachment) */
+export const MAX_ATTACHMENTS = 16;
+/** How many of physicsParams.colliders the collision pass considers (see Colliders.js) */
+export const MAX_COLLIDERS = 16;
+
+/**
+ * The GPGPU state and pass chain behind one or more SoftBodyGPU handles.
+ * Every mesh handed to the constructor is concatenated into the same set of textures
+ * (at particleOffsets[i] / elemOffsets[i]), so one pass chain per substep simulates them all.
+ */
+export class SoftBodyGPUSimulation {
+    /**
+     * @param {{vertices: Float32Array, tetIds: number[]}[]} meshes
+     * @param {object} physicsParams
+     * @param {World} world
+     */
+    constructor(meshes, physicsParams, world) {
+        this.physicsParams = physicsParams; // Set the Uniforms using these later
+        /** @type {THREE.WebGLRenderer} */
+        this.renderer = world.renderer;
+        this.bodies   = []; // The SoftBodyGPU handles registered against this simulation
+
+        // Concatenate the meshes, offsetting each mesh's tet ids into the shared particle range
+        this.particleOffsets = [];
+        this.elemOffsets     = [];
+        this.numParticles    = 0;
+        this.numElems        = 0;
+        for (let m = 0; m < meshes.length; m++) {
+            this.particleOffsets.push(this.numParticles);
+            this.elemOffsets    .push(this.numElems);
+            this.numParticles += meshes[m].vertices.length / 3;
+            this.numElems     += meshes[m].tetIds  .length / 4;
+        }
+        this.inputPos = new Float32Array(3 * this.numParticles);
+        this.tetIds   = new Int32Array  (4 * this.numElems);
+        for (let m = 0; m < meshes.length; m++) {
+            this.inputPos.set(meshes[m].vertices, 3 * this.particleOffsets[m]);
+            for (let i = 0; i < meshes[m].tetIds.length; i++) {
+                this.tetIds[(4 * this.elemOffsets[m]) + i] = meshes[m].tetIds[i] + this.particleOffsets[m];
+            }
+        }
+
+        // The boundary triangles of every mesh, used by self collision
+        let surfaceTriIds = [];
+        for (let m = 0; m < meshes.length; m++) {
+            let triIds = extractSurfaceTriangles(meshes[m].tetIds, meshes[m].vertices);
+            for (let i = 0; i < triIds.length; i++) { surfaceTriIds.push(triIds[i] + this.particleOffsets[m]); }
+        }
+        this.surfaceTriIds = new Int32Array(surfaceTriIds);
+
+        this.texDim             = Math.ceil(Math.sqrt(Math.max(this.numElems, this.numParticles)));
+        this.tetPositionsArray  = new Float32Array(this.texDim * this.texDim * 4); // Used for GPU Readback
+        this.elemPositionsArray = new Float32Array(this.texDim * this.texDim * 4); // Used for GPU Readback
+        this.grabPos            = new Float32Array(3);
+        this.grabId             = -1;   // A particle index into the shared textures
+        this.grabBody           = null; // The handle that owns the current grab
+
+        // Initialize the General Purpose GPU Computation Renderer
+        this.gpuCompute = new MultiTargetGPUComputationRenderer(this.texDim, this.texDim, this.renderer)
+
+        // Allocate static textures that are used to initialize the simulation
+        this.pos0                  = this.gpuCompute.createTexture(); // Set to vertices
+        this.vel0                  = this.gpuCompute.createTexture(); // Leave as 0s for zero velocity
+        this.invMass               = this.gpuCompute.createTexture(); // Inverse Mass Per Particle
+        this.invRestVolumeAndColor = this.gpuCompute.createTexture(); // Inverse Volume and Graph Color Per Element
+        this.elemToParticlesTable  = this.gpuCompute.createTexture(); // Maps from elems to the 4 tet vertex positions for the gather step
+        this.particleToElemVertsTable = [this.gpuCompute.createTexture(), // Maps from vertices back to the elems gbuffer for the scatter step
+                                     this.gpuCompute.createTexture(), // There is more than one because a particle may have a bunch of elems sharing it
+                                     this.gpuCompute.createTexture(),
+                                     this.gpuCompute.createTexture(),
+                                     this.gpuCompute.createTexture(),
+                                     this.gpuCompute.createTexture(),
+                                     this.gpuCompute.createTexture(),
+                                     this.gpuCompute.createTexture(),
+                                     this.gpuCompute.createTexture()];
+        this.elems0               = [this.gpuCompute.createTexture(), // Stores the original vertex positions per tet
+                                     this.gpuCompute.createTexture(),
+                                     this.gpuCompute.createTexture(),
+                                     this.gpuCompute.createTexture()];
+        this.quats0                = this.gpuCompute.createTexture();
+        this.pinTargets            = this.gpuCompute.createTexture(); // Per particle: the pin target and its compliance (w < 0 when free)
+        for (let i = 3; i < this.pinTargets.image.data.length; i += 4) { this.pinTargets.image.data[i] = -1.0; }
+        this.pinTargets.needsUpdate = true;
+        this.attachOffsets         = this.gpuCompute.createTexture(); // Per particle: its offset in the attached object's frame and the attachment (w < 0 when free)
+        for (let i = 3; i < this.attachOffsets.image.data.length; i += 4) { this.attachOffsets.image.data[i] = -1.0; }
+        this.attachOffsets.needsUpdate = true;
+        this.attachments           = new Array(MAX_ATTACHMENTS).fill(null); // { object, compliance, body } per slot
+        this.meshCollider          = null; // The MeshCollider whose BVH meshNodes / meshTris hold
+        this.warnedLimits          = {};   // The collider limits setColliders() has warned about
+        this.meshNodes             = createTexelTexture(new Float32Array(4));
+        this.meshTris              = createTexelTexture(new Float32Array(4));
+        this.sdfCollider           = null; // The SDFCollider whose grid sdfTexture holds
+        this.sdfTexture            = createSDFTexture({ dims: [2, 2, 2], data: new Float32Array(8) });
+
+        // Fill in the above textures with the appropriate data
+        this.initPhysics(this.physicsParams.density);
+        this.initSelfCollision();
+
+        // Allocate the variables that are computed at runtime
+        this.pos        = this.gpuCompute.addVariable("texturePos"    , this.pos0);
+        this.prevPos    = this.gpuCompute.addVariable("texturePrevPos", this.pos0);
+        this.vel        = this.gpuCompute.addVariable("textureVel"    , this.vel0);
+        // Create a multi target element texture; this temporarily stores the 4 vertex results of solveElem
+        // (before the gather step where they are accumulated back into pos via the particleToElemVertsTable)
+        this.elems      = this.gpuCompute.addVariable("textureElem"  , this.elems0, 4);
+        this.quats      = this.gpuCompute.addVariable("textureQuat"  , this.quats0);
+
+        // Set up the 7 GPGPU Passes for each substep of the FEM Simulation (plus the optional self collision pass)
+        // 1. Copy prevPos to Pos 
+        this.copyPrevPosPass = this.gpuCompute.addPass(this.prevPos, [this.pos], `
+            out highp vec4 pc_fragColor;
+            void main()	{
+                vec2 uv = gl_FragCoord.xy / resolution.xy;
+                pc_fragColor = vec4( texture2D( texturePos, uv ).xyz, 0.0 );
+            }`);
+
+        // 2. XPBD Prediction/Integration
+        this.xpbdIntegratePass = this.gpuCompute.addPass(this.pos, [this.vel, this.pos], `
+            out highp vec4 pc_fragColor;
+            uniform float dt;
+            void main()	{
+                vec2 uv = gl_FragCoord.xy / resolution.xy;
+                pc_fragColor = vec4( texture2D( texturePos, uv ).xyz +
+                                   ( texture2D( textureVel, uv ).xyz * dt), 0.0 );
+            }`);
+        this.xpbdIntegratePass.material.uniforms['dt'] = { value: this.physicsParams.dt };
+        this.xpbdIntegratePass.material.uniformsNeedUpdate = true;
+        this.xpbdIntegratePass.material.needsUpdate = true;
+
+        // 3. Gather into the Elements and Enforce Element Shape Constraint
+        this.solveElemPass = this.gpuCompute.addPass(this.quats, [this.pos, this.elems, this.quats], `
+            uniform sampler2D elemToParticlesTable;
+            vec3[4] currentTets, lastRestTets;
+            out vec4 quat;
+
+            vec2 uvFromIndex(int index) {
+                return vec2(  index % int(resolution.x),
+                             (index / int(resolution.x))) / (resolution - 1.0); }
+
+            // Begin Polar Decomposition Routine ---------------------------------------------------
+            mat3 TransposeMult(vec3[4] tet1, vec3[4] tet2) {
+                mat3 covariance = mat3(0.0);
+                for (int k = 0; k < 4; k++) { //k is the column in this matrix
+                    vec3 left  = tet1[k]; vec3 right = tet2[k];
+                    covariance[0][0] += left[0] * right[0];
+                    covariance[1][0] += left[1] * right[0];
+                    covariance[2][0] += left[2] * right[0];
+                    covariance[0][1] += left[0] * right[1];
+                    covariance[1][1] += left[1] * right[1];
+                    covariance[2][1] += left[2] * right[1];
+                    covariance[0][2] += left[0] * right[2];
+                    covariance[1][2] += left[1] * right[2];
+                    covariance[2][2] += left[2] * right[2];
+                }
+                return covariance;
+            }
+            vec4 RotationToQuaternion(vec3 axis, float angle) {
+                float half_angle = angle * 0.5; //angle * halfpi / 180.0;
+                vec2 s = sin(vec2(half_angle, half_angle + 1.57));
+                return vec4(axis * s.x, s.y);
+            }
+            vec3 Rotate(vec3 pos, vec4 quat) {
+                return pos + 2.0 * cross(quat.xyz, cross(quat.xyz, pos) + quat.w * pos);
+            }
+            vec4 quat_mult(vec4 q1, vec4 q2) { 
+                vec4 qr;
+                qr.x = (q1.w * q2.x) + (q1.x * q2.w) + (q1.y * q2.z) - (q1.z * q2.y);
+                qr.y = (q1.w * q2.y) - (q1.x * q2.z) + (q1.y * q2.w) + (q1.z * q2.x);
+                qr.z = (q1.w * q2.z) + (q1.x * q2.y) - (q1.y * q2.x) + (q1.z * q2.w);
+                qr.w = (q1.w * q2.w) - (q1.x * q2.x) - (q1.y * q2.y) - (q1.z * q2.z);
+                return qr;
+            }
+            vec4 extractRotation(mat3 A, vec4 q) {
+                for (int iter = 0; iter < 9; iter++) {
+                    vec3 X = Rotate(vec3(1.0, 0.0, 0.0), q);
+                    vec3 Y = Rotate(vec3(0.0, 1.0, 0.0), q);
+                    vec3 Z = Rotate(vec3(0.0, 0.0, 1.0), q);
+
+                    vec3 omega =  (cross(X, A[0]) +
+                                   cross(Y, A[1]) +
+                                   cross(Z, A[2])) *
+                          (1.0 / abs(dot(X, A[0]) +
+                                     dot(Y, A[1]) +
+                                     dot(Z, A[2]) + 0.000000001));
+                    float w = length(omega);
+                    if (w < 0.000000001) { break; }
+                    q = quat_mult(RotationToQuaternion(omega / w, w), q);
+                }
+                return q;
+            }
+            // End Polar Decomposition Routine ---------------------------------------------------
+
+            void main()	{
+                vec2 uv = gl_FragCoord.xy / resolution.xy;
+                // Grab the Relevant Element Variables
+
+                // Gather this tetrahedron's 4 vertex positions
+                vec4 tetIndices = texture2D( elemToParticlesTable, uv );
+                currentTets[0]  = texture2D( texturePos, uvFromIndex(int(tetIndices.x))).xyz;
+                currentTets[1]  = texture2D( texturePos, uvFromIndex(int(tetIndices.y))).xyz;
+                currentTets[2]  = texture2D( texturePos, uvFromIndex(int(tetIndices.z))).xyz;
+                currentTets[3]  = texture2D( texturePos, uvFromIndex(int(tetIndices.w))).xyz;
+
+                // The Reference Rest Pose Positions (the the last output of this texture)
+                // These are the same as the resting pose, but they're already pre-rotated
+                // to a good approximation of the current pose
+                lastRestTets[0] = texture2D( textureElem[0], uv ).xyz;
+                lastRestTets[1] = texture2D( textureElem[1], uv ).xyz;
+                lastRestTets[2] = texture2D( textureElem[2], uv ).xyz;
+                lastRestTets[3] = texture2D( textureElem[3], uv ).xyz;
+
+                // Get the centroids for the 
+                vec3 curCentroid      = ( currentTets[0] +  currentTets[1] +  currentTets[2] +  currentTets[3]) * 0.25;
+                vec3 lastRestCentroid = (lastRestTets[0] + lastRestTets[1] + lastRestTets[2] + lastRestTets[3]) * 0.25;
+
+                // Center the Deformed Tetrahedron
+                currentTets [0] -= curCentroid;
+                currentTets [1] -= curCentroid;
+                currentTets [2] -= curCentroid;
+                currentTets [3] -= curCentroid;
+
+                // Center the Undeformed Tetrahedron
+                lastRestTets[0] -= lastRestCentroid;
+                lastRestTets[1] -= lastRestCentroid;
+                lastRestTets[2] -= lastRestCentroid;
+                lastRestTets[3] -= lastRestCentroid;
+
+                // Find the rotational offset between the two and rotate the undeformed tetrahedron by it
+                vec4 rotation = extractRotation(TransposeMult(lastRestTets, currentTets), vec4(0.0, 0.0, 0.0, 1.0));
+
+                // Write out the undeformed tetrahedron
+                quat = normalize(quat_mult(rotation, texture2D( textureQuat, uv ))); // Keep track of the current Quaternion for normals
+            }`);
+        this.solveElemPass.material.uniforms['elemToParticlesTable'] = { value: this.elemToParticlesTable };
+        this.solveElemPass.material.uniformsNeedUpdate = true;
+        this.solveElemPass.material.needsUpdate = true;
+
+        // 4. Gather into the Elements and use the solved rotations to rotate the rest pose
+        this.gatherElemPass = this.gpuCompute.addPass(this.elems, [this.pos, this.elems, this.quats], `
+            uniform float dt;
+            uniform sampler2D elemToParticlesTable, invRestVolume, invMassTex;
+            vec3[4] currentTets, lastRestTets, restTets;
+            float[4] invMass;
+
+            layout(location = 0) out vec4 vert1;
+            layout(location = 1) out vec4 vert2;
+            layout(location = 2) out vec4 vert3;
+            layout(location = 3) out vec4 vert4;
+            //layout(location = 4) out vec4 quat;
+
+            vec2 uvFromIndex(int index) {
+                return vec2(  index % int(resolution.x),
+                             (index / int(resolution.x))) / (resolution - 1.0); }
+
+            vec3 Rotate(vec3 pos, vec4 quat) {
+                return pos + 2.0 * cross(quat.xyz, cross(quat.xyz, pos) + quat.w * pos);
+            }
+            vec4 quat_conj(vec4 q) { return normalize(vec4(-q.x, -q.y, -q.z, q.w)); }
+            vec4 quat_mult(vec4 q1, vec4 q2) { 
+                vec4 qr;
+                qr.x = (q1.w * q2.x) + (q1.x * q2.w) + (q1.y * q2.z) - (q1.z * q2.y);
+                qr.y = (q1.w * q2.y) - (q1.x * q2.z) + (q1.y * q2.w) + (q1.z * q2.x);
+                qr.z = (q1.w * q2.z) + (q1.x * q2.y) - (q1.y * q2.x) + (q1.z * q2.w);
+                qr.w = (q1.w * q2.w) - (q1.x * q2.x) - (q1.y * q2.y) - (q1.z * q2.z);
+                return qr;
+            }
+
+            void main()	{
+                vec2 uv = gl_FragCoord.xy / resolution.xy;
+                // Grab the Relevant Element Variables
+                float invVolume  = 1.0/texture2D( invRestVolume, uv ).x;
+
+                // Gather this tetrahedron's 4 vertex positions
+                vec4 tetIndices = texture2D( elemToParticlesTable, uv );
+                currentTets[0] = texture2D( texturePos, uvFromIndex(int(tetIndices.x))).xyz;
+                currentTets[1] = texture2D( texturePos, uvFromIndex(int(tetIndices.y))).xyz;
+                currentTets[2] = texture2D( texturePos, uvFromIndex(int(tetIndices.z))).xyz;
+                currentTets[3] = texture2D( texturePos, uvFromIndex(int(tetIndices.w))).xyz;
+
+                // The Reference Rest Pose Positions (the the last output of this texture)
+                // These are the same as the resting pose, but they're already pre-rotated
+                // to a good approximation of the current pose
+                lastRestTets[0]    = texture2D( textureElem[0], uv ).xyz;
+                lastRestTets[1]    = texture2D( textureElem[1], uv ).xyz;
+                lastRestTets[2]    = texture2D( textureElem[2], uv ).xyz;
+                lastRestTets[3]    = texture2D( textureElem[3], uv ).xyz;
+
+                vec4 latestQuat   = texture2D( textureQuat, uv );
+                vec4 previousQuat = texture2D( prev_textureQuat, uv );
+                vec4 relativeQuat = normalize(quat_mult(latestQuat, quat_conj(previousQuat)));
+
+                // Unused: The inverse mass of each vertex; I'm weighting positional
+                // updates by the the inverse volume instead because it looks better(?)
+                //invMass[0] = texture2D( invMassTex, uvFromIndex(int(tetIndices.x))).x;
+                //invMass[1] = texture2D( invMassTex, uvFromIndex(int(tetIndices.y))).x;
+                //invMass[2] = texture2D( invMassTex, uvFromIndex(int(tetIndices.z))).x;
+                //invMass[3] = texture2D( invMassTex, uvFromIndex(int(tetIndices.w))).x;
+
+                // Get the default vert0 centered resting pose and the centroids
+                vec3 curCentroid      = ( currentTets[0] +  currentTets[1] +  currentTets[2] +  currentTets[3]) * 0.25;
+                vec3 lastRestCentroid = (lastRestTets[0] + lastRestTets[1] + lastRestTets[2] + lastRestTets[3]) * 0.25;
+
+                // Rotate the undeformed tetrahedron by the deformed's rotation
+                lastRestTets[0] = Rotate(lastRestTets[0] - lastRestCentroid, relativeQuat) + curCentroid;
+                lastRestTets[1] = Rotate(lastRestTets[1] - lastRestCentroid, relativeQuat) + curCentroid;
+                lastRestTets[2] = Rotate(lastRestTets[2] - lastRestCentroid, relativeQuat) + curCentroid;
+                lastRestTets[3] = Rotate(lastRestTets[3] - lastRestCentroid, relativeQuat) + curCentroid;
+
+                // Write out the rotated undeformed tetrahedron
+                vert1 = vec4(lastRestTets[0], invVolume);
+                vert2 = vec4(lastRestTets[1], invVolume);
+                vert3 = vec4(lastRestTets[2], invVolume);
+                vert4 = vec4(lastRestTets[3], invVolume);
+            }`);
+        this.gatherElemPass.material.uniforms['dt'                  ] = { value: this.physicsParams.dt };
+        this.gatherElemPass.material.uniforms['elemToParticlesTable'] = { value: this.elemToParticlesTable };
+        this.gatherElemPass.material.uniforms['invRestVolume'       ] = { value: this.invRestVolumeAndColor };
+        this.gatherElemPass.material.uniforms['invMassTex'          ] = { value: this.invMass      };
+        this.gatherElemPass.material.uniformsNeedUpdate = true;
+        this.gatherElemPass.material.needsUpdate = true;
+
+        // 5. Gather the particles back from the elements
+        this.applyElemPass = this.gpuCompute.addPass(this.pos, [this.elems, this.pos],
+        `
+            out highp vec4 pc_fragColor;
+            uniform float dt;
+            uniform sampler2D particleToElemVertsTable[9];
+
+            vec2 uvFromIndex(int index) {
+                return vec2(  index % int(resolution.x),
+                             (index / int(resolution.x))) / (resolution - 1.0); }
+
+            // Need to use if-else blocks because GLSL doesn't support dynamic indexing into sampler2d Arrays
+            vec4 textureElemSample(int index, vec2 uv) {
+                 vec4 result = texture2D( textureElem[0], uv );
+                        if (index == 1) { result  = texture2D( textureElem[1], uv );
+                 } else if (index == 2) { result  = texture2D( textureElem[2], uv );
+                 } else if (index == 3) { result  = texture2D( textureElem[3], uv ); }
+                 return result;
+            }
+            vec4 particleToElemVertsTableSample(int index, vec2 uv) {
+                vec4 result = texture2D( particleToElemVertsTable[0], uv );
+                       if (index == 1) { result  = texture2D( particleToElemVertsTable[1], uv );
+                } else if (index == 2) { result  = texture2D( particleToElemVertsTable[2], uv );
+                } else if (index == 3) { result  = texture2D( particleToElemVertsTable[3], uv );
+                } else if (index == 4) { result  = texture2D( particleToElemVertsTable[4], uv );
+                } else if (index == 5) { result  = texture2D( particleToElemVertsTable[5], uv );
+                } else if (index == 6) { result  = texture2D( particleToElemVertsTable[6], uv );
+                } else if (index == 7) { result  = texture2D( particleToElemVertsTable[7], uv );
+                } else if (index == 8) { result  = texture2D( particleToElemVertsTable[8], uv ); }
+                return result;
+            }
+            void main()	{
+                vec2 uv = gl_FragCoord.xy / resolution.xy;
+                vec3 pos = texture2D( texturePos, uv ).xyz;
+                vec3 sumVertex = vec3(0.0); int breaker = 0; float sum = 0.0;
+                for(int tableId = 0; tableId < 9; tableId++) {
+                    vec4 vertIndices = particleToElemVertsTableSample(tableId, uv);
+                    for(int component = 0; component < 4; component++) {
+                        if(vertIndices[component] > -1.0) {
+                            int elemId = int(vertIndices[component]) / 4;
+                            int vertId = int(vertIndices[component]) % 4;
+                            vec4 elemVerts = textureElemSample(vertId, uvFromIndex(elemId));
+                            sumVertex += elemVerts.xyz * elemVerts.w;
+                            sum += elemVerts.w; // Weight by the volume of each contributing element
+                        } else { breaker = 1; break; }
+                    }
+                    if(breaker == 1) { break; }
+                }
+                pc_fragColor = vec4(sumVertex / sum, 0.0); // Output the average vertex position
+            }`);
+        this.applyElemPass.material.uniforms['particleToElemVertsTable'] = { value: this.particleToElemVertsTable };
+        this.applyElemPass.material.uniformsNeedUpdate = true;
+        this.applyElemPass.material.needsUpdate = true;
+  
+        // 5b. Optional Self Collision: keep surface particles on the side of the nearby surface
+        // triangles they started the substep on (using the triangle grid built in updateSelfCollision)
+        this.selfCollisionPass = this.gpuCompute.addPass(this.pos, [this.pos, this.prevPos], `
+            out highp vec4 pc_fragColor;
+            uniform sampler2D surfaceParticles, selfCollisionCells, selfCollisionTris;
+            uniform float thickness, spacing;
+            uniform int cellsPerAxis;
+            ${getValueByIndexFromTexture}
+
+            // Matches PeriodicSpatialHash.hashCoords()
+            int cellIndex(vec3 pos) {
+                ivec3 c = ivec3(mod(floor(pos / spacing), float(cellsPerAxis)));
+                return c.x + cellsPerAxis * (c.y + cellsPerAxis * c.z); }
+
+            // The barycentric coordinates of the point on triangle abc closest to p (Ericson 5.1.5)
+            vec3 closestPointOnTriangle(vec3 p, vec3 a, vec3 b, vec3 c) {
+                vec3 ab = b - a, ac = c - a, ap = p - a;
+                float d1 = dot(ab, ap), d2 = dot(ac, ap);
+                if (d1 <= 0.0 && d2 <= 0.0) { return vec3(1.0, 0.0, 0.0); }
+                vec3 bp = p - b;
+                float d3 = dot(ab, bp), d4 = dot(ac, bp);
+                if (d3 >= 0.0 && d4 <= d3) { return vec3(0.0, 1.0, 0.0); }
+                float vc = d1 * d4 - d3 * d2;
+                if (vc <= 0.0 && d1 >= 0.0 && d3 <= 0.0) { float v = d1 / (d1 - d3); return vec3(1.0 - v, v, 0.0); }
+                vec3 cp = p - c;
+                float d5 = dot(ab, cp), d6 = dot(ac, cp);
+                if (d6 >= 0.0 && d5 <= d6) { return vec3(0.0, 0.0, 1.0); }
+                float vb = d5 * d2 - d1 * d6;
+                if (vb <= 0.0 && d2 >= 0.0 && d6 <= 0.0) { float w = d2 / (d2 - d6); return vec3(1.0 - w, 0.0, w); }
+                float va = d3 * d6 - d5 * d4;
+                if (va <= 0.0 && (d4 - d3) >= 0.0 && (d5 - d6) >= 0.0) {
+                    float w = (d4 - d3) / ((d4 - d3) + (d5 - d6)); return vec3(0.0, 1.0 - w, w); }
+                float denom = 1.0 / (va + vb + vc);
+                float v = vb * denom, w = vc * denom;
+                return vec3(1.0 - v - w, v, w);
+            }
+
+            void main()	{
+                ivec2 texel = ivec2(gl_FragCoord.xy);
+                int   index = texel.x + texel.y * int(resolution.x);
+                vec3  pos   = texelFetch( texturePos, texel, 0 ).xyz;
+                if (texelFetch( surfaceParticles, texel, 0 ).x < 0.5) { pc_fragColor = vec4(pos, 0.0); return; }
+                vec3  prev  = texelFetch( texturePrevPos, texel, 0 ).xyz;
+
+                // Find the closest non-incident triangle within reach of this substep's motion
+                int   cell      = cellIndex(pos);
+                int   cellStart = int(getValueByIndexFromTexture(selfCollisionCells, cell    ).x);
+                int   cellEnd   = int(getValueByIndexFromTexture(selfCollisionCells, cell + 1).x);
+                float maxDist   = thickness + length(pos - prev);
+                float bestDist  = maxDist; ivec3 bestIds = ivec3(-1); vec3 bestBary = vec3(0.0);
+                for (int i = cellStart; i < cellEnd && i < cellStart + 256; i++) {
+                    ivec3 ids = ivec3(getValueByIndexFromTexture(selfCollisionTris, i).xyz);
+                    if (ids.x == index || ids.y == index || ids.z == index) { continue; }
+                    vec3 a = getValueByIndexFromTexture(texturePos, ids.x).xyz;
+                    vec3 b = getValueByIndexFromTexture(texturePos, ids.y).xyz;
+                    vec3 c = getValueByIndexFromTexture(texturePos, ids.z).xyz;
+                    vec3 bary = closestPointOnTriangle(pos, a, b, c);
+                    float dist = length(pos - (a * bary.x + b * bary.y + c * bary.z));
+                    if (dist < bestDist) { bestDist = dist; bestIds = ids; bestBary = bary; }
+                }
+
+                if (bestIds.x >= 0) {
+                    // Which side of the triangle this particle was on at the start of the substep
+                    vec3 a = getValueByIndexFromTexture(texturePrevPos, bestIds.x).xyz;
+                    vec3 b = getValueByIndexFromTexture(texturePrevPos, bestIds.y).xyz;
+                    vec3 c = getValueByIndexFromTexture(texturePrevPos, bestIds.z).xyz;
+                    float side = dot(prev - (a * bestBary.x + b * bestBary.y + c * bestBary.z), cross(b - a, c - a)) < 0.0 ? -1.0 : 1.0;
+
+                    // Push the particle back out to the thickness on that side
+                    a = getValueByIndexFromTexture(texturePos, bestIds.x).xyz;
+                    b = getValueByIndexFromTexture(texturePos, bestIds.y).xyz;
+                    c = getValueByIndexFromTexture(texturePos, bestIds.z).xyz;
+                    vec3 normal = cross(b - a, c - a);
+                    if (dot(normal, normal) > 0.0) {
+                        normal = normalize(normal) * side;
+                        float d = dot(pos - (a * bestBary.x + b * bestBary.y + c * bestBary.z), normal);
+                        if (d < thickness) { pos += normal * (thickness - d); }
+                    }
+                }
+                pc_fragColor = vec4(pos, 0.0);
+            }`);
+        this.selfCollisionPass.material.uniforms['surfaceParticles'  ] = { value: this.surfaceParticles };
+        this.selfCollisionPass.material.uniforms['selfCollisionCells'] = { value: this.selfCollisionCells };
+        this.selfCollisionPass.material.uniforms['selfCollisionTris' ] = { value: this.selfCollisionTris };
+        this.selfCollisionPass.material.uniforms['thickness'         ] = { value: this.physicsParams.selfCollisionThickness || 0.0 };
+        this.selfCollisionPass.material.uniforms['spacing'           ] = { value: this.selfCollisionHash.spacing };
+        this.selfCollisionPass.material.uniforms['cellsPerAxis'      ] = { value: this.selfCollisionHash.cellsPerAxis };
+        this.selfCollisionPass.material.uniformsNeedUpdate = true;
+        this.selfCollisionPass.material.needsUpdate = true;
+        this.selfCollisionPass.enabled = false;
+
+        // 5. Enforce Collisions and Grab Forces
+        this.collisionPass = this.gpuCompute.addPass(this.pos, [this.pos, this.prevPos],  `
+            out highp vec4 pc_fragColor;
+            uniform float dt, friction, grabId;
+            uniform vec3 grabPos;
+            uniform vec3 boundsMin, boundsMax, groundNormal; // physicsParams.worldBounds and the ground plane
+            uniform float groundHeight;
+            uniform sampler2D pinTargets, invMassTex, attachOffsets;
+            uniform mat4 attachMatrices[${MAX_ATTACHMENTS}];
+            uniform float attachCompliance[${MAX_ATTACHMENTS}];
+            uniform int  numColliders;
+            uniform vec4 colliderShape[${MAX_COLLIDERS}]; // xyz: the sizes, w: the type (see colliderTypes)
+            uniform vec3 colliderPosition[${MAX_COLLIDERS}];
+            uniform mat3 colliderRotation[${MAX_COLLIDERS}];
+            uniform int  hasMeshCollider;
+            uniform sampler2D meshNodes, meshTris; // A MeshCollider's TriangleBVH
+            uniform float meshThickness;
+            uniform vec3 meshPosition;
+            uniform mat3 meshRotation;
+            uniform int  hasSDFCollider;
+            uniform highp sampler3D sdfTexture; // An SDFCollider's grid
+            uniform vec3 sdfMin, sdfMax, sdfPosition;
+            uniform float sdfCellSize, sdfThickness;
+            uniform mat3 sdfRotation;
+            ${getValueByIndexFromTexture}
+
+            vec2 uvFromIndex(int index) {
+                return vec2(  index % int(resolution.x),
+                             (index / int(resolution.x))) / (resolution - 1.0); }
+
+            // This isn't quite correct, but it's close enough for now
+            int indexFromUV(vec2 uv) {
+                return int(uv.x * (resolution.x-1.0)) +
+                       int(uv.y * (resolution.x-1.0) * (resolution.y)); }
+
+            // The point of triangle abc closest to p (after Ericson)
+            vec3 closestOnTriangle(vec3 p, vec3 a, vec3 b, vec3 c) {
+                vec3 ab = b - a, ac = c - a, ap = p - a;
+                float d1 = dot(ab, ap), d2 = dot(ac, ap);
+                if(d1 <= 0.0 && d2 <= 0.0) { return a; }
+                vec3 bp = p - b;
+                float d3 = dot(ab, bp), d4 = dot(ac, bp);
+                if(d3 >= 0.0 && d4 <= d3) { return b; }
+                float vc = d1 * d4 - d3 * d2;
+                if(vc <= 0.0 && d1 >= 0.0 && d3 <= 0.0) { return a + ab * (d1 / (d1 - d3)); }
+                vec3 cp = p - c;
+                float d5 = dot(ab, cp), d6 = dot(ac, cp);
+                if(d6 >= 0.0 && d5 <= d6) { return c; }
+                float vb = d5 * d2 - d1 * d6;
+                if(vb <= 0.0 && d2 >= 0.0 && d6 <= 0.0) { return a + ac * (d2 / (d2 - d6)); }
+                float va = d3 * d6 - d5 * d4;
+                if(va <= 0.0 && (d4 - d3) >= 0.0 && (d5 - d6) >= 0.0) { return b + (c - b) * ((d4 - d3) / ((d4 - d3) + (d5 - d6))); }
+                float denom = 1.0 / (va + vb + vc);
+                return a + ab * (vb * denom) + ac * (vc * denom);
+            }
+
+            // Walks the mesh collider's BVH for the closest point within maxDistance of p, and its triangle's normal
+            bool closestOnMesh(vec3 p, float maxDistance, out vec3 point, out vec3 normal) {
+                point = p; normal = vec3(0.0, 1.0, 0.0);
+                int   stack[64];
+                int   stackSize = 1;
+                float best      = maxDistance * maxDistance;
+                bool  found     = false;
+                stack[0] = 0;
+                while(stackSize > 0) {
+                    int  node = stack[--stackSize];
+                    vec4 lo   = getValueByIndexFromTexture(meshNodes, 2 * node    );
+                    vec4 hi   = getValueByIndexFromTexture(meshNodes, 2 * node + 1);
+                    vec3 d    = max(max(lo.xyz - p, vec3(0.0)), p - hi.xyz);
+                    if(dot(d, d) > best) { continue; }
+                    int start = int(lo.w), count = int(hi.w);
+                    if(count == 0) {
+                        if(stackSize < 63) { stack[stackSize++] = start; stack[stackSize++] = node + 1; }
+                        continue;
+                    }
+                    for(int t = start; t < start + count; t++) {
+                        vec3 a = getValueByIndexFromTexture(meshTris, 3 * t    ).xyz;
+                        vec3 b = getValueByIndexFromTexture(meshTris, 3 * t + 1).xyz;
+                        vec3 c = getValueByIndexFromTexture(meshTris, 3 * t + 2).xyz;
+                        vec3 q = closestOnTriangle(p, a, b, c);
+                        if(dot(q - p, q - p) < best) {
+                            best   = dot(q - p, q - p);
+                            point  = q;
+                            normal = normalize(cross(b - a, c - a));
+                            found  = true;
+                        }
+                    }
+                }
+                return found;
+            }
+
+            // The SDF collider's distance at the local point p, interpolated like SDFCollider.sample()
+            float sampleSDF(vec3 p) {
+                ivec3 dims = textureSize(sdfTexture, 0);
+                vec3  g    = clamp((p - sdfMin) / sdfCellSize, vec3(0.0), vec3(dims - 1));
+                ivec3 i    = min(ivec3(floor(g)), dims - 2);
+                vec3  f    = g - vec3(i);
+                return mix(mix(mix(texelFetch(sdfTexture, i                 , 0).r, texelFetch(sdfTexture, i + ivec3(1, 0, 0), 0).r, f.x),
+                               mix(texelFetch(sdfTexture, i + ivec3(0, 1, 0), 0).r, texelFetch(sdfTexture, i + ivec3(1, 1, 0), 0).r, f.x), f.y),
+                           mix(mix(texelFetch(sdfTexture, i + ivec3(0, 0, 1), 0).r, texelFetch(sdfTexture, i + ivec3(1, 0, 1), 0).r, f.x),
+                               mix(texelFetch(sdfTexture, i + ivec3(0, 1, 1), 0).r, texelFetch(sdfTexture, i + ivec3(1, 1, 1), 0).r, f.x), f.y), f.z);
+            }
+
+            void main()	{
+                vec2 uv  = gl_FragCoord.xy / resolution.xy;
+                vec3 pos = texture2D( texturePos    , uv ).xyz;
+
+                // Execute a possible Grab
+                if(float(indexFromUV(uv)) == grabId) { pos = grabPos; }
+                // Clamp the Domain
+                pos = clamp(pos, boundsMin, boundsMax);
+                // Collide with the ground plane using "simple friction"
+                float height = dot(pos, groundNormal) - groundHeight;
+                if(height < 0.0) {
+                    pos -= groundNormal * height;
+                    vec3 F = texture2D( texturePrevPos, uv ).xyz - pos;
+                    pos += (F - dot(F, groundNormal) * groundNormal) * min(1.0, dt * friction);
+                }
+                // Push it out of the rigid colliders, with the same friction along their surface
+                for(int c = 0; c < ${MAX_COLLIDERS}; c++) {
+                    if(c >= numColliders) { break; }
+                    vec4  shape = colliderShape[c];
+                    mat3  rot   = colliderRotation[c];
+                    vec3  p     = (pos - colliderPosition[c]) * rot; // Into the collider's frame
+                    vec3  n     = vec3(0.0, 1.0, 0.0);
+                    float depth = 0.0;
+                    if(shape.w == ${colliderTypes.sphere}.0) {
+                        float len = length(p);
+                        depth = shape.x - len;
+                        if(len > 0.0) { n = p / len; }
+                    } else if(shape.w == ${colliderTypes.box}.0) {
+                        // Out through the nearest face
+                        vec3 q = abs(p) - shape.xyz;
+                        if(q.x >= q.y && q.x >= q.z) { depth = -q.x; n = vec3(p.x < 0.0 ? -1.0 : 1.0, 0.0, 0.0); }
+                        else if(q.y >= q.z)          { depth = -q.y; n = vec3(0.0, p.y < 0.0 ? -1.0 : 1.0, 0.0); }
+                        else                         { depth = -q.z; n = vec3(0.0, 0.0, p.z < 0.0 ? -1.0 : 1.0); }
+                    } else if(shape.w == ${colliderTypes.capsule}.0) {
+                        vec3 d = vec3(p.x, p.y - clamp(p.y, -shape.y, shape.y), p.z);
+                        float len = length(d);
+                        depth = shape.x - len;
+                        n = len > 0.0 ? d / len : vec3(1.0, 0.0, 0.0);
+                    } else {
+                        depth = -p.y; // A plane, solid below its local y = 0
+                    }
+                    if(depth > 0.0) {
+                        n    = rot * n;
+                        pos += n * depth;
+                        vec3 F = texture2D( texturePrevPos, uv ).xyz - pos;
+                        pos += (F - dot(F, n) * n) * min(1.0, dt * friction);
+                    }
+                }
+                // Keep it off the mesh collider's triangles, on the side it came from (see MeshCollider.js)
+                if(hasMeshCollider == 1) {
+                    vec3 prev = texture2D( texturePrevPos, uv ).xyz;
+                    vec3 p    = (pos  - meshPosition) * meshRotation;
+                    vec3 q    = (prev - meshPosition) * meshRotation;
+                    vec3 point, n;
+                    if(closestOnMesh(p, meshThickness + length(p - q), point, n)) {
+                        if(dot(q - point, n) < 0.0) { n = -n; }
+                        float height   = dot(p - point, n);
+                        float sideways = dot(p - point, p - point) - height * height;
+                        float edge     = max(meshThickness, ${MESH_EDGE_TOLERANCE.toFixed(6)});
+                        if(height < meshThickness && sideways < edge * edge) {
+                            n    = meshRotation * n;
+                            pos += n * (meshThickness - height);
+                            vec3 F = prev - pos;
+                            pos += (F - dot(F, n) * n) * min(1.0, dt * friction);
+                        }
+                    }
+                }
+                // Push it out of the SDF collider along the field's gradient (see SDFCollider.js)
+                if(hasSDFCollider == 1) {
+                    vec3 p = (pos - sdfPosition) * sdfRotation;
+                    if(all(greaterThanEqual(p, sdfMin)) && all(lessThanEqual(p, sdfMax))) {
+                        float depth = sdfThickness - sampleSDF(p);
+                        float h     = 0.5 * sdfCellSize;
+                        vec3  n     = vec3(sampleSDF(p + vec3(h, 0.0, 0.0)) - sampleSDF(p - vec3(h, 0.0, 0.0)),
+                                           sampleSDF(p + vec3(0.0, h, 0.0)) - sampleSDF(p - vec3(0.0, h, 0.0)),
+                                           sampleSDF(p + vec3(0.0, 0.0, h)) - sampleSDF(p - vec3(0.0, 0.0, h)));
+                        if(depth > 0.0 && dot(n, n) > 0.0) {
+                            n    = sdfRotation * normalize(n);
+                            pos += n * depth;
+                            vec3 F = texture2D( texturePrevPos, uv ).xyz - pos;
+                            pos += (F - dot(F, n) * n) * min(1.0, dt * friction);
+                        }
+                    }
+                }
+                // Pull particles attached to a moving object to their offset in its current frame, and
+                // pinned ones to their targets (all the way for compliance 0); an attachment suspends a pin
+                vec4 pin    = texture2D( pinTargets, uv );
+                vec4 attach = texture2D( attachOffsets, uv );
+                if(attach.w >= 0.0) {
+                    int slot = int(attach.w + 0.5);
+                    pin = vec4((attachMatrices[slot] * vec4(attach.xyz, 1.0)).xyz, attachCompliance[slot]);
+                }
+                if(pin.w >= 0.0) {
+                    float w = texture2D( invMassTex, uv ).x;
+                    pos += (pin.xyz - pos) * (pin.w == 0.0 ? 1.0 : w / (w + pin.w / (dt * dt)));
+                }
+                pc_fragColor = vec4(pos, 0.0 );
+            }`);
+        this.collisionPass.material.uniforms['dt'      ] = { value: this.physicsParams.dt };
+        this.collisionPass.material.uniforms['friction'] = { value: this.physicsParams.friction };
+        this.collisionPass.material.uniforms['grabId'  ] = { value: -1 };
+        this.collisionPass.material.uniforms['grabPos' ] = { value: new THREE.Vector3(0,0,0) }
+        this.collisionPass.material.uniforms['boundsMin'   ] = { value: new THREE.Vector3() };
+        this.collisionPass.material.uniforms['boundsMax'   ] = { value: new THREE.Vector3() };
+        this.collisionPass.material.uniforms['groundNormal'] = { value: new THREE.Vector3(0, 1, 0) };
+        this.collisionPass.material.uniforms['groundHeight'] = { value: 0.0 };
+        this.collisionPass.material.uniforms['pinTargets'] = { value: this.pinTargets };
+        this.collisionPass.material.uniforms['invMassTex'] = { value: this.invMass };
+        this.collisionPass.material.uniforms['attachOffsets'   ] = { value: this.attachOffsets };
+        this.collisionPass.material.uniforms['attachMatrices'  ] = { value: this.attachments.map(() => new THREE.Matrix4()) };
+        this.collisionPass.material.uniforms['attachCompliance'] = { value: new Float32Array(MAX_ATTACHMENTS) };
+        this.collisionPass.material.uniforms['numColliders'    ] = { value: 0 };
+        this.collisionPass.material.uniforms['colliderShape'   ] = { value: Array.from({ length: MAX_COLLIDERS }, () => new THREE.Vector4()) };
+        this.collisionPass.material.uniforms['colliderPosition'] = { value: Array.from({ length: MAX_COLLIDERS }, () => new THREE.Vector3()) };
+        this.collisionPass.material.uniforms['colliderRotation'] = { value: Array.from({ length: MAX_COLLIDERS }, () => new THREE.Matrix3()) };
+        this.collisionPass.material.uniforms['hasMeshCollider' ] = { value: 0 };
+        this.collisionPass.material.uniforms['meshNodes'       ] = { value: this.meshNodes };
+        this.collisionPass.material.uniforms['meshTris'        ] = { value: this.meshTris };
+        this.collisionPass.material.uniforms['meshThickness'   ] = { value: 0.0 };
+        this.collisionPass.material.uniforms['meshPosition'    ] = { value: new THREE.Vector3() };
+        this.collisionPass.material.uniforms['meshRotation'    ] = { value: new THREE.Matrix3() };
+        this.collisionPass.material.uniforms['hasSDFCollider'  ] = { value: 0 };
+        this.collisionPass.material.uniforms['sdfTexture'      ] = { value: this.sdfTexture };
+        this.collisionPass.material.uniforms['sdfMin'          ] = { value: new THREE.Vector3() };
+        this.collisionPass.material.uniforms['sdfMax'          ] = { value: new THREE.Vector3() };
+        this.collisionPass.material.uniforms['sdfCellSize'     ] = { value: 1.0 };
+        this.collisionPass.material.uniforms['sdfThickness'    ] = { value: 0.0 };
+        this.collisionPass.material.uniforms['sdfPosition'     ] = { value: new THREE.Vector3() };
+        this.collisionPass.material.uniforms['sdfRotation'     ] = { value: new THREE.Matrix3() };
+        this.collisionPass.material.uniformsNeedUpdate = true;
+        this.collisionPass.material.needsUpdate = true;
+
+        //// 6. XPBD Velocity + Gravity Update
+        this.xpbdVelocityPass = this.gpuCompute.addPass(this.vel, [this.pos, this.prevPos], `
+            out highp vec4 pc_fragColor;
+            uniform float dt, gravity;
+            void main()	{
+                vec2 uv = gl_FragCoord.xy / resolution.xy;
+                pc_fragColor = vec4((( texture2D( texturePos    , uv ).xyz -
+                                       texture2D( texturePrevPos, uv ).xyz) / dt )
+                                    + (vec3(0, gravity, 0) * dt ), 0.0 );
+            }`);
+        this.xpbdVelocityPass.material.uniforms['dt'     ] = { value: this.physicsParams.dt };
+        this.xpbdVelocityPass.material.uniforms['gravity'] = { value: this.physicsParams.gravity };
+        this.xpbdVelocityPass.material.uniformsNeedUpdate = true;
+        this.xpbdVelocityPass.material.needsUpdate = true;
+
+        // Initialize the whole pipeline
+        const error = this.gpuCompute.init();
+        if ( error !== null ) { console.error( error ); }
+    }
+
+    initPhysics(density) {
+        // and fill in here the texture data from vertices
+
+        // Initialize velocities and masses to 0
+        for (let i = 0; i < this.vel0.image.data.length; i++){
+            this.vel0                       .image.data[i] = 0.0;
+            this.invMass                    .image.data[i] = 0.0;
+            this.particleToElemVertsTable[0].image.data[i] = -1.0;
+            this.particleToElemVertsTable[1].image.data[i] = -1.0;
+            this.particleToElemVertsTable[2].image.data[i] = -1.0;
+            this.particleToElemVertsTable[3].image.data[i] = -1.0;
+            this.particleToElemVertsTable[4].image.data[i] = -1.0;
+            this.particleToElemVertsTable[5].image.data[i] = -1.0;
+            this.particleToElemVertsTable[6].image.data[i] = -1.0;
+            this.particleToElemVertsTable[7].image.data[i] = -1.0;
+            this.particleToElemVertsTable[8].image.data[i] = -1.0;
+        }
+        this.vel0                       .needsUpdate = true;
+        this.invMass                    .needsUpdate = true;
+        this.particleToElemVertsTable[0].needsUpdate = true;
+        this.particleToElemVertsTable[1].needsUpdate = true;
+        this.particleToElemVertsTable[2].needsUpdate = true;
+        this.particleToElemVertsTable[3].needsUpdate = true;
+        this.particleToElemVertsTable[4].needsUpdate = true;
+        this.particleToElemVertsTable[5].needsUpdate = true;
+        this.particleToElemVertsTable[6].needsUpdate = true;
+        this.particleToElemVertsTable[7].needsUpdate = true;
+        this.particleToElemVertsTable[8].needsUpdate = true;
+
+        // Initialize the positions of the vertices
+        //this.pos0                     // Set to vertices
+        let posIndex = 0;
+        for (let i = 0; i < this.pos0.image.data.length; i += 4){
+            this.pos0.image.data[i  ] = this.inputPos[posIndex++];
+            this.pos0.image.data[i+1] = this.inputPos[posIndex++];
+            this.pos0.image.data[i+2] = this.inputPos[posIndex++];
+        }
+        this.pos0.needsUpdate = true;
+
+        this.oldrestingPose = new Float32Array(9 * this.numElems);
+        for (let i = 0; i < this.numElems; i++) {
+            let id0 = this.tetIds[(4 * i)    ];
+            let id1 = this.tetIds[(4 * i) + 1];
+            let id2 = this.tetIds[(4 * i) + 2];
+            let id3 = this.tetIds[(4 * i) + 3];
+
+            // Initialize elems to the resting position of each tet
+            this.elems0[0].image.data[(4 * i)    ] = this.inputPos[(id0 * 3) + 0];
+            this.elems0[0].image.data[(4 * i) + 1] = this.inputPos[(id0 * 3) + 1];
+            this.elems0[0].image.data[(4 * i) + 2] = this.inputPos[(id0 * 3) + 2];
+            this.elems0[1].image.data[(4 * i)    ] = this.inputPos[(id1 * 3) + 0];
+            this.elems0[1].image.data[(4 * i) + 1] = this.inputPos[(id1 * 3) + 1];
+            this.elems0[1].image.data[(4 * i) + 2] = this.inputPos[(id1 * 3) + 2];
+            this.elems0[2].image.data[(4 * i)    ] = this.inputPos[(id2 * 3) + 0];
+            this.elems0[2].image.data[(4 * i) + 1] = this.inputPos[(id2 * 3) + 1];
+            this.elems0[2].image.data[(4 * i) + 2] = this.inputPos[(id2 * 3) + 2];
+            this.elems0[3].image.data[(4 * i)    ] = this.inputPos[(id3 * 3) + 0];
+            this.elems0[3].image.data[(4 * i) + 1] = this.inputPos[(id3 * 3) + 1];
+            this.elems0[3].image.data[(4 * i) + 2] = this.inputPos[(id3 * 3) + 2];
+            // Initialize quaternions
+            this.quats0.image.data[(4 * i)    ] = 0.0; // Quaternion
+            this.quats0.image.data[(4 * i) + 1] = 0.0;
+            this.quats0.image.data[(4 * i) + 2] = 0.0;
+            this.quats0.image.data[(4 * i) + 3] = 1.0;
+
+            // The forward table
+            this.elemToParticlesTable.image.data[(4 * i)    ] = id0;
+            this.elemToParticlesTable.image.data[(4 * i) + 1] = id1;
+            this.elemToParticlesTable.image.data[(4 * i) + 2] = id2;
+            this.elemToParticlesTable.image.data[(4 * i) + 3] = id3;
+
+            // Construct the particleToElemVertsTables
+            // Encode this particle's vert index within the elemTexture[4]
+            // int elemId = int(floor(value / 4.0));
+            // int vertId = int(  mod(value , 4.0));
+            let ids = [id0, id1, id2, id3];
+            for (let id = 0; id < 4; id++) {
+                let assigned = false;
+                for (let t = 0; t < this.particleToElemVertsTable.length; t++) {
+                    for (let c = 0; c < 4; c++) {
+                        if (this.particleToElemVertsTable[t].image.data[(4 * ids[id]) + c] <= 0.0) {
+                            this.particleToElemVertsTable[t].image.data[(4 * ids[id]) + c] = (4.0 * i) + id;
+                            assigned = true; break;
+                        }
+                    }
+                    if (assigned) break;
+                }
+            }
+
+            this.vecSetDiff(this.oldrestingPose, 3 * i    , this.inputPos, id1, this.inputPos, id0);
+            this.vecSetDiff(this.oldrestingPose, 3 * i + 1, this.inputPos, id2, this.inputPos, id0);
+            this.vecSetDiff(this.oldrestingPose, 3 * i + 2, this.inputPos, id3, this.inputPos, id0);
+            let V = this.matGetDeterminant(this.oldrestingPose, i) / 6.0;
+
+            let pm = V / 4.0 * density;
+            this.invMass              .image.data[id0 * 4] += pm;
+            this.invMass              .image.data[id1 * 4] += pm;
+            this.invMass              .image.data[id2 * 4] += pm;
+            this.invMass              .image.data[id3 * 4] += pm;
+            this.invRestVolumeAndColor.image.data[(i * 4) + 0] = 1.0 / V; // Set InvMass
+            this.invRestVolumeAndColor.image.data[(i * 4) + 1] = -1.0;    // Mark Color as Undefined
+        }
+        this.elems0[0].needsUpdate = true;
+        this.elems0[1].needsUpdate = true;
+        this.elems0[2].needsUpdate = true;
+        this.elems0[3].needsUpdate = true;
+        this.particleToElemVertsTable.needsUpdate = true;
+        this.elemToParticlesTable.needsUpdate = true;
+        this.quats0.needsUpdate = true;
+        this.particleToElemVertsTable.needsUpdate = true;
+        this.invRestVolumeAndColor.needsUpdate = true;
+
+        for (let i = 0; i < this.invMass.image.data.length; i++) {
+            if (this.invMass.image.data[i] != 0.0) { this.invMass.image.data[i] = 1.0 / this.invMass.image.data[i]; }
+        }
+        this.invMass.needsUpdate = true;
+    }
+
+    /**
+     * Sets up the static data of the self collision pass: which particles lie on the surface,
+     * and the grid (rebuilt on the CPU once per frame) that maps cells to nearby surface triangles
+     */
+    initSelfCollision() {
+        let triIds = this.surfaceTriIds, numTris = triIds.length / 3;
+
+        this.surfaceParticles = this.gpuCompute.createTexture();
+        let sumEdge = 0.0;
+        for (let t = 0; t < numTris; t++) {
+            for (let e = 0; e < 3; e++) {
+                let id0 = triIds[3 * t + e], id1 = triIds[3 * t + (e + 1) % 3];
+                this.surfaceParticles.image.data[4 * id0] = 1.0;
+                sumEdge += Math.hypot(this.inputPos[3 * id1    ] - this.inputPos[3 * id0    ],
+                                      this.inputPos[3 * id1 + 1] - this.inputPos[3 * id0 + 1],
+                                      this.inputPos[3 * id1 + 2] - this.inputPos[3 * id0 + 2]);
+            }
+        }
+        this.surfaceParticles.needsUpdate = true;
+
+        // Cells are about one surface edge across; a particle only searches its own cell,
+        // so triangles are entered into every cell their (padded) bounding box touches
+        this.selfCollisionHash   = new PeriodicSpatialHash(numTris > 0 ? sumEdge / (3 * numTris) : 1.0, Math.max(numTris, 1));
+        this.selfCollisionBounds = new Float32Array(6 * numTris);
+        this.selfCollisionSubstep = 0;
+
+        let cellsDim = Math.ceil(Math.sqrt(this.selfCollisionHash.tableSize + 1));
+        this.selfCollisionCells = new THREE.DataTexture(new Float32Array(4 * cellsDim * cellsDim),
+            cellsDim, cellsDim, THREE.RGBAFormat, THREE.FloatType);
+        this.allocateSelfCollisionTris(8 * numTris);
+    }
+
+    /** (Re)creates the texture holding the triangle vertex ids of every grid entry */
+    allocateSelfCollisionTris(numEntries) {
+        if (this.selfCollisionTris) { this.selfCollisionTris.dispose(); }
+        let trisDim = Math.max(1, Math.ceil(Math.sqrt(numEntries)));
+        this.selfCollisionTris = new THREE.DataTexture(new Float32Array(4 * trisDim * trisDim),
+            trisDim, trisDim, THREE.RGBAFormat, THREE.FloatType);
+        if (this.selfCollisionPass) {
+            this.selfCollisionPass.material.uniforms['selfCollisionTris'] = { value: this.selfCollisionTris };
+            this.selfCollisionPass.material.uniformsNeedUpdate = true;
+        }
+    }
+
+    /** Reads the positions back and rebuilds the self collision grid around the current surface */
+    updateSelfCollision(physicsParams) {
+        let hash = this.selfCollisionHash, triIds = this.surfaceTriIds, bounds = this.selfCollisionBounds;
+        let numTris = triIds.length / 3;
+        this.readToCPU(this.pos, this.tetPositionsArray);
+        let pos = this.tetPositionsArray;
+
+        // Pad by the thickness plus an edge length, as the grid is only rebuilt once per frame
+        let margin = (physicsParams.selfCollisionThickness || 0.0) + hash.spacing;
+        for (let t = 0; t < numTris; t++) {
+            let id0 = 4 * triIds[3 * t], id1 = 4 * triIds[3 * t + 1], id2 = 4 * triIds[3 * t + 2];
+            for (let k = 0; k < 3; k++) {
+                bounds[6 * t + k    ] = Math.min(pos[id0 + k], pos[id1 + k], pos[id2 + k]) - margin;
+                bounds[6 * t + k + 3] = Math.max(pos[id0 + k], pos[id1 + k], pos[id2 + k]) + margin;
+            }
+        }
+        hash.createFromBounds(bounds, numTris);
+
+        let cells = this.selfCollisionCells.image.data;
+        for (let i = 0; i <= hash.tableSize; i++) { cells[4 * i] = hash.cellStart[i]; }
+        this.selfCollisionCells.needsUpdate = true;
+
+        let numEntries = hash.cellStart[hash.tableSize];
+        if (4 * numEntries > this.selfCollisionTris.image.data.length) { this.allocateSelfCollisionTris(2 * numEntries); }
+        let tris = this.selfCollisionTris.image.data;
+        for (let i = 0; i < numEntries; i++) {
+            let t = hash.cellEntries[i];
+            tris[4 * i    ] = triIds[3 * t    ];
+            tris[4 * i + 1] = triIds[3 * t + 1];
+            tris[4 * i + 2] = triIds[3 * t + 2];
+        }
+        this.selfCollisionTris.needsUpdate = true;
+    }
+
+    /** Runs one substep for every body packed into this simulation */
+    simulate(dt, physicsParams) {
+        physicsParams.dt = dt;
+
+        // Rebuild the self collision grid at the start of every frame
+        if (physicsParams.selfCollision && this.surfaceTriIds.length > 0 &&
+            this.selfCollisionSubstep++ % Math.max(1, physicsParams.numSubsteps) === 0) {
+            this.updateSelfCollision(physicsParams);
+        }
+
+        // First, upload the new shader uniforms to the GPU
+        this.setParams(physicsParams);
+        this.updateAttachments();
+
+        // Run a substep!
+        this.gpuCompute.compute();
+    }
+
+    setParams(physicsParams) {
+        this.physicsParams = physicsParams;
+        if (this.xpbdIntegratePass) {
+            this.xpbdIntegratePass.material.uniforms['dt'] = { value: physicsParams.dt };
+            this.xpbdIntegratePass.material.uniformsNeedUpdate = true;
+            this.xpbdIntegratePass.material.needsUpdate = true;
+        }
+        if (this.gatherElemPass) {
+            this.gatherElemPass.material.uniforms['dt'] = { value: physicsParams.dt };
+            this.gatherElemPass.material.uniformsNeedUpdate = true;
+            this.gatherElemPass.material.needsUpdate = true;
+        }
+        if (this.selfCollisionPass) {
+            this.selfCollisionPass.enabled = !!physicsParams.selfCollision && this.surfaceTriIds.length > 0;
+            this.selfCollisionPass.material.uniforms['thickness'] = { value: physicsParams.selfCollisionThickness || 0.0 };
+            this.selfCollisionPass.material.uniformsNeedUpdate = true;
+            this.selfCollisionPass.material.needsUpdate = true;
+        }
+        if (this.collisionPass) {
+            this.collisionPass.material.uniforms['dt'] = { value: physicsParams.dt };
+            this.collisionPass.material.uniforms['friction'] = { value: physicsParams.friction };
+            this.collisionPass.material.uniforms['grabId' ] = { value: this.grabId };
+            this.collisionPass.material.uniforms['grabPos'] = { value: new THREE.Vector3(this.grabPos[0], this.grabPos[1], this.grabPos[2]) };
+            this.setGround(physicsParams);
+            this.setColliders(physicsParams.colliders || []);
+            this.collisionPass.material.uniformsNeedUpdate = true;
+            this.collisionPass.material.needsUpdate = true;
+        }
+        if (this.xpbdVelocityPass) {
+            this.xpbdVelocityPass.material.uniforms['dt'] = { value: physicsParams.dt };
+            this.xpbdVelocityPass.material.uniforms['gravity'] = { value: physicsParams.gravity };
+            this.xpbdVelocityPass.material.uniformsNeedUpdate = true;
+            this.xpbdVelocityPass.material.needsUpdate = true;
+        }
+    }
+
+    /** Uploads physicsParams.worldBounds and the ground plane (groundNormal, groundHeight) into the collision pass */
+    setGround(physicsParams) {
+        let uniforms = this.collisionPass.material.uniforms, bounds = physicsParams.worldBounds;
+        uniforms['boundsMin'   ].value.set(bounds[0], bounds[1], bounds[2]);
+        uniforms['boundsMax'   ].value.set(bounds[3], bounds[4], bounds[5]);
+        uniforms['groundHeight'].value = physicsParams.groundHeight || 0.0;
+        if (physicsParams.groundNormal) { uniforms['groundNormal'].value.fromArray(physicsParams.groundNormal).normalize(); }
+        else                            { uniforms['groundNormal'].value.set(0.0, 1.0, 0.0); }
+    }
+
+    /**
+     * Uploads the enabled colliders into the collision pass: the first MAX_COLLIDERS analytic ones as
+     * uniform arrays, the first MeshCollider's BVH as textures and the first SDFCollider's grid as a 3D texture
+     */
+    setColliders(colliders) {
+        let uniforms = this.collisionPass.material.uniforms, count = 0;
+        uniforms['hasMeshCollider'].value = 0;
+        uniforms['hasSDFCollider' ].value = 0;
+        for (let c = 0; c < colliders.length; c++) {
+            let collider = colliders[c];
+            if (!collider.enabled) { continue; }
+            if (collider.type === 'mesh') {
+                if (uniforms['hasMeshCollider'].value === 1) { this.warnLimit('mesh', 'only the first MeshCollider collides on the GPU'); continue; }
+                this.setMeshCollider(collider);
+                continue;
+            }
+            if (collider.type === 'sdf') {
+                if (uniforms['hasSDFCollider'].value === 1) { this.warnLimit('sdf', 'only the first SDFCollider collides on the GPU'); continue; }
+                this.setSDFCollider(collider);
+                continue;
+            }
+            if (colliderTypes[collider.type] === undefined) { continue; }
+            if (count >= MAX_COLLIDERS) { this.warnLimit('analytic', 'only the first ' + MAX_COLLIDERS + ' analytic colliders collide on the GPU'); continue; }
+            uniforms['colliderShape'   ].value[count].set(collider.shape[0], collider.shape[1], collider.shape[2], colliderTypes[collider.type]);
+            uniforms['colliderPosition'].value[count].fromArray(collider.position);
+            uniforms['colliderRotation'].value[count].fromArray(collider.rotation);
+            count++;
+        }
+        uniforms['numColliders'].value = count;
+    }
+
+    /** Says once per kind of collider that the ones past the shader's limit are left out (the CPU backend takes any number) */
+    warnLimit(kind, message) {
+        if (this.warnedLimits[kind]) { return; }
+        this.warnedLimits[kind] = true;
+        console.warn('SoftBodyGPUSimulation: ' + message);
+    }
+
+    /** Points the collision pass at a MeshCollider, uploading its BVH when it is a new one */
+    setMeshCollider(collider) {
+        let uniforms = this.collisionPass.material.uniforms;
+        if (this.meshCollider !== collider) {
+            this.meshNodes.dispose();
+            this.meshTris .dispose();
+            this.meshNodes    = createTexelTexture(collider.bvh.nodes);
+            this.meshTris     = createTexelTexture(collider.bvh.triangles);
+            this.meshCollider = collider;
+            uniforms['meshNodes'].value = this.meshNodes;
+            uniforms['meshTris' ].value = this.meshTris;
+        }
+        uniforms['hasMeshCollider'].value = collider.bvh.numNodes > 0 ? 1 : 0;
+        uniforms['meshThickness'  ].value = collider.thickness;
+        uniforms['meshPosition'   ].value.fromArray(collider.position);
+        uniforms['meshRotation'   ].value.fromArray(collider.rotation);
+    }
+
+    /** Points the collision pass at an SDFCollider, uploading its grid when it is a new one */
+    setSDFCollider(collider) {
+        let uniforms = this.collisionPass.material.uniforms, sdf = collider.sdf;
+        if (this.sdfCollider !== collider) {
+            this.sdfTexture.dispose();
+            this.sdfTexture  = createSDFTexture(sdf);
+            this.sdfCollider = collider;
+            uniforms['sdfTexture' ].value = this.sdfTexture;
+            uniforms['sdfMin'     ].value.fromArray(sdf.min);
+            uniforms['sdfMax'     ].value.set(sdf.min[0] + (sdf.dims[0] - 1) * sdf.cellSize,
+                                              sdf.min[1] + (sdf.dims[1] - 1) * sdf.cellSize,
+                                              sdf.min[2] + (sdf.dims[2] - 1) * sdf.cellSize);
+            uniforms['sdfCellSize'].value = sdf.cellSize;
+        }
+        uniforms['hasSDFCollider'].value = 1;
+        uniforms['sdfThickness'  ].value = collider.thickness;
+        uniforms['sdfPosition'   ].value.fromArray(collider.position);
+        uniforms['sdfRotation'   ].value.fromArray(collider.rotation);
+    }
+
+    // ----- attachments (see SoftBodyGPU.attach) ------------------------------------
+
+    /**
+     * Claims a slot for particles following `object`
+     * @returns {number} the slot, which the particles' attachOffsets texels refer to
+     */
+    addAttachment(object, compliance, body) {
+        let slot = this.attachments.indexOf(null);
+        if (slot < 0) { throw new Error('SoftBodyGPUSimulation: no more than ' + MAX_ATTACHMENTS + ' attachments are supported'); }
+        this.attachments[slot] = { object: object, compliance: Math.max(0.0, compliance), body: body };
+        return slot;
+    }
+
+    /** Frees a slot; its particles must have been released from it */
+    removeAttachment(slot) { this.attachments[slot] = null; }
+
+    /** Uploads where every attached object is now; called before every substep */
+    updateAttachments() {
+        if (!this.collisionPass) { return; }
+        let matrices   = this.collisionPass.material.uniforms['attachMatrices'  ].value;
+        let compliance = this.collisionPass.material.uniforms['attachCompliance'].value;
+        for (let slot = 0; slot < MAX_ATTACHMENTS; slot++) {
+            let attachment = this.attachments[slot];
+            if (!attachment) { continue; }
+            attachment.object.updateWorldMatrix(true, false);
+            matrices[slot].copy(attachment.object.matrixWorld);
+            compliance[slot] = attachment.compliance;
+        }
+    }
+
+    readToCPU(gpuComputeVariable, buffer) {
+        this.renderer.readRenderTargetPixels(
+            this.gpuCompute.getCurrentRenderTarget(gpuComputeVariable),
+            0, 0, this.texDim, this.texDim, buffer);
+    }
+
+    // ----- state snapshots (see SoftBodyGPU.getState) ------------------------------
+
+    /**
+     * Copies texels [start, start + count) of each texture of a render target back, 4 floats per texel;
+     * the textures of a multi target are copied into a plain one first, as only its first can be read directly
+     * @returns {Float32Array[]} one array per texture
+     */
+    readTexels(renderTarget, start, count) {
+        let textures = renderTarget.isWebGLMultipleRenderTargets ? renderTarget.texture : [renderTarget.texture];
+        if (!this.stateTarget) { this.stateTarget = this.gpuCompute.createRenderTarget(); }
+        let buffer = new Float32Array(4 * this.texDim * this.texDim);
+        return textures.map((texture) => {
+            let source = renderTarget;
+            if (renderTarget.isWebGLMultipleRenderTargets) {
+                this.gpuCompute.renderTexture(texture, this.stateTarget);
+                source = this.stateTarget;
+            }
+            this.renderer.readRenderTargetPixels(source, 0, 0, this.texDim, this.texDim, buffer);
+            return buffer.slice(4 * start, 4 * (start + count));
+        });
+    }
+
+    /** Overwrites texels [start, ...) of each texture of a render target with `values` (as readTexels returns them) */
+    writeTexels(renderTarget, start, values) {
+        let full = this.readTexels(renderTarget, 0, this.texDim * this.texDim);
+        if (!this.stateTextures) { this.stateTextures = [0, 1, 2, 3].map(() => this.gpuCompute.createTexture()); }
+        let inputs = full.map((data, i) => {
+            data.set(values[i], 4 * start);
+            this.stateTextures[i].image.data.set(data);
+            this.stateTextures[i].needsUpdate = true;
+            return this.stateTextures[i];
+        });
+        this.gpuCompute.renderTexture(renderTarget.isWebGLMultipleRenderTargets ? inputs : inputs[0], renderTarget);
+    }
+
+    /** Drops a handle; the GPU resources are freed once no handle uses them any more */
+    release(body) {
+        let index = this.bodies.indexOf(body);
+        if (index >= 0) { this.bodies.splice(index, 1); }
+        if (this.grabBody === body) { this.grabId = -1; this.grabBody = null; }
+        if (this.bodies.length === 0) { this.dispose(); }
+    }
+
+    dispose() {
+        this.gpuCompute.dispose();
+        let textures = [this.pos0, this.vel0, this.invMass, this.invRestVolumeAndColor, this.elemToParticlesTable,
+                        this.quats0, this.pinTargets, this.attachOffsets, this.meshNodes, this.meshTris, this.sdfTexture, ...this.particleToElemVertsTable, ...this.elems0,
+                        this.surfaceParticles, this.selfCollisionCells, this.selfCollisionTris];
+        for (let i = 0; i < textures.length; i++) { textures[i].dispose(); }
+        if (this.stateTarget  ) { this.stateTarget.dispose(); }
+        if (this.stateTextures) { this.stateTextures.forEach((texture) => texture.dispose()); }
+    }
+
+    // ----- vector math -------------------------------------------------------------
+
+    vecSetDiff(dst, dnr, a, anr, b, bnr, scale = 1.0) {
+        dnr *= 3; anr *= 3; bnr *= 3;
+        dst[dnr++] = (a[anr++] - b[bnr++]) * scale;
+        dst[dnr++] = (a[anr++] - b[bnr++]) * scale;
+        dst[dnr  ] = (a[anr  ] - b[bnr  ]) * scale;
+    }
+
+    // ----- matrix math ----------------------------------
+
+    matGetDeterminant(A, anr) {
+        anr *= 9;
+        let a11 = A[anr + 0], a12 = A[anr + 3], a13 = A[anr + 6];
+        let a21 = A[anr + 1], a22 = A[anr + 4], a23 = A[anr + 7];
+        let a31 = A[anr + 2], a32 = A[anr + 5], a33 = A[anr + 8];
+        return a11 * a22 * a33 + a12 * a23 * a31 + a13 * a21 * a32 - a13 * a22 * a31 - a12 * a21 * a33 - a11 * a23 * a32;
+    }
+
+
+}
+
+/** A square float texture holding `values` (4 per texel, in the order getValueByIndexFromTexture reads them) */
+function createTexelTexture(values) {
+    let dim  = Math.max(1, Math.ceil(Math.sqrt(values.length / 4)));
+    let data = new Float32Array(4 * dim * dim);
+    data.set(values);
+    let texture = new THREE.DataTexture(data, dim, dim, THREE.RGBAFormat, THREE.FloatType);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/** A single channel float 3D texture of an SDFBaker grid, read with texelFetch (float textures need not filter) */
+function createSDFTexture(sdf) {
+    let texture = new THREE.Data3DTexture(sdf.data, sdf.dims[0], sdf.dims[1], sdf.dims[2]);
+    texture.format    = THREE.RedFormat;
+    texture.type      = THREE.FloatType;
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.unpackAlignment = 1;
+    texture.needsUpdate = true;
+    return texture;
+}
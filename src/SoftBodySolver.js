@@ -0,0 +1,576 @@
+/** The XPBD Tetrahedral FEM Solver; plain typed arrays only, so it runs without three.js or a DOM */
+export class SoftBodySolver {
+    constructor(vertices, tetIds, physicsParams) {
+        // physics data
+        this.physicsParams = physicsParams;
+
+        this.numParticles = vertices.length / 3;
+        this.numElems = tetIds.length / 4;
+
+        this.restPos = vertices.slice(0);
+        this.pos = vertices.slice(0);
+        this.prevPos = vertices.slice(0);
+        this.vel = new Float32Array(3 * this.numParticles);
+        this.invMass = new Float32Array(this.numParticles);
+        this.invRestPose = new Float32Array(9 * this.numElems);
+        this.invRestVolume = new Float32Array(this.numElems);
+
+        this.tetIds = tetIds;
+        this.volError = 0.0;
+
+        this.grabPos = new Float32Array(3);
+        this.grabId = -1;
+
+        // pins (see pin()): per particle the compliance holding it, -1 when free, and its target
+        this.pinCompliance = new Float32Array(this.numParticles).fill(-1.0);
+        this.pinTargets = new Float32Array(3 * this.numParticles);
+        this.pinnedIds = [];
+
+        // solve data: define here to avoid memory allocation during solve
+
+        this.P = new Float32Array(9);
+        this.F = new Float32Array(9);
+        this.dF = new Float32Array(9);
+        this.grads = new Float32Array(12);
+        this.groundNormal = new Float32Array(3);
+
+        this.initPhysics(this.physicsParams.density);
+    }
+
+    initPhysics(density) {
+        for (let i = 0; i < this.numParticles; i++)
+            this.invMass[i] = 0.0;
+
+        for (let i = 0; i < this.numElems; i++) {
+            let id0 = this.tetIds[4 * i];
+            let id1 = this.tetIds[4 * i + 1];
+            let id2 = this.tetIds[4 * i + 2];
+            let id3 = this.tetIds[4 * i + 3];
+            this.vecSetDiff(this.invRestPose, 3 * i, this.pos, id1, this.pos, id0);
+            this.vecSetDiff(this.invRestPose, 3 * i + 1, this.pos, id2, this.pos, id0);
+            this.vecSetDiff(this.invRestPose, 3 * i + 2, this.pos, id3, this.pos, id0);
+            let V = this.matGetDeterminant(this.invRestPose, i) / 6.0;
+            this.matSetInverse(this.invRestPose, i);
+            let pm = V / 4.0 * density;
+            this.invMass[id0] += pm;
+            this.invMass[id1] += pm;
+            this.invMass[id2] += pm;
+            this.invMass[id3] += pm;
+            this.invRestVolume[i] = 1.0 / V;
+        }
+
+        for (let i = 0; i < this.numParticles; i++) {
+            if (this.invMass[i] != 0.0)
+                this.invMass[i] = 1.0 / this.invMass[i];
+        }
+
+        this.freeInvMass = this.invMass.slice(0); // What hard pins set back when released
+        this.updatePins();
+    }
+
+    // ----------------- begin solver -----------------------------------------------------
+
+    solveElem(elemNr, dt) {
+        let C = 0.0;
+        let g = this.grads;
+        let ir = this.invRestPose;
+
+        // tr(F) = 3
+
+        let id0 = this.tetIds[4 * elemNr];
+        let id1 = this.tetIds[4 * elemNr + 1];
+        let id2 = this.tetIds[4 * elemNr + 2];
+        let id3 = this.tetIds[4 * elemNr + 3];
+
+        this.vecSetDiff(this.P, 0, this.pos, id1, this.pos, id0);
+        this.vecSetDiff(this.P, 1, this.pos, id2, this.pos, id0);
+        this.vecSetDiff(this.P, 2, this.pos, id3, this.pos, id0);
+
+        this.matSetMatProduct(this.F, 0, this.P, 0, this.invRestPose, elemNr);
+
+        let r_s = Math.sqrt(this.vecLengthSquared(this.F, 0) + this.vecLengthSquared(this.F, 1) + this.vecLengthSquared(this.F, 2));
+        let r_s_inv = 1.0 / r_s;
+
+        this.vecSetZero(g, 1);
+        this.vecAdd(g, 1, this.F, 0, r_s_inv * this.matIJ(ir, elemNr, 0, 0));
+        this.vecAdd(g, 1, this.F, 1, r_s_inv * this.matIJ(ir, elemNr, 0, 1));
+        this.vecAdd(g, 1, this.F, 2, r_s_inv * this.matIJ(ir, elemNr, 0, 2));
+
+        this.vecSetZero(g, 2);
+        this.vecAdd(g, 2, this.F, 0, r_s_inv * this.matIJ(ir, elemNr, 1, 0));
+        this.vecAdd(g, 2, this.F, 1, r_s_inv * this.matIJ(ir, elemNr, 1, 1));
+        this.vecAdd(g, 2, this.F, 2, r_s_inv * this.matIJ(ir, elemNr, 1, 2));
+
+        this.vecSetZero(g, 3);
+        this.vecAdd(g, 3, this.F, 0, r_s_inv * this.matIJ(ir, elemNr, 2, 0));
+        this.vecAdd(g, 3, this.F, 1, r_s_inv * this.matIJ(ir, elemNr, 2, 1));
+        this.vecAdd(g, 3, this.F, 2, r_s_inv * this.matIJ(ir, elemNr, 2, 2));
+
+        C = r_s;
+
+
+        this.applyToElem(elemNr, C, this.physicsParams.devCompliance, dt);
+
+        // det F = 1
+
+        this.vecSetDiff(this.P, 0, this.pos, id1, this.pos, id0);
+        this.vecSetDiff(this.P, 1, this.pos, id2, this.pos, id0);
+        this.vecSetDiff(this.P, 2, this.pos, id3, this.pos, id0);
+
+        this.matSetMatProduct(this.F, 0, this.P, 0, this.invRestPose, elemNr);
+
+        this.vecSetCross(this.dF, 0, this.F, 1, this.F, 2);
+        this.vecSetCross(this.dF, 1, this.F, 2, this.F, 0);
+        this.vecSetCross(this.dF, 2, this.F, 0, this.F, 1);
+
+        this.vecSetZero(g, 1);
+        this.vecAdd(g, 1, this.dF, 0, this.matIJ(ir, elemNr, 0, 0));
+        this.vecAdd(g, 1, this.dF, 1, this.matIJ(ir, elemNr, 0, 1));
+        this.vecAdd(g, 1, this.dF, 2, this.matIJ(ir, elemNr, 0, 2));
+
+        this.vecSetZero(g, 2);
+        this.vecAdd(g, 2, this.dF, 0, this.matIJ(ir, elemNr, 1, 0));
+        this.vecAdd(g, 2, this.dF, 1, this.matIJ(ir, elemNr, 1, 1));
+        this.vecAdd(g, 2, this.dF, 2, this.matIJ(ir, elemNr, 1, 2));
+
+        this.vecSetZero(g, 3);
+        this.vecAdd(g, 3, this.dF, 0, this.matIJ(ir, elemNr, 2, 0));
+        this.vecAdd(g, 3, this.dF, 1, this.matIJ(ir, elemNr, 2, 1));
+        this.vecAdd(g, 3, this.dF, 2, this.matIJ(ir, elemNr, 2, 2));
+
+        let vol = this.matGetDeterminant(this.F, 0);
+        //C = vol - 1.0 - ((1.0 / this.physicsParams.devCompliance) / (1.0 / this.physicsParams.volCompliance));
+        C = vol - 1.0 - this.physicsParams.volCompliance / this.physicsParams.devCompliance;
+
+        this.volError += vol - 1.0;
+
+        this.applyToElem(elemNr, C, this.physicsParams.volCompliance, dt);
+    }
+
+    applyToElem(elemNr, C, compliance, dt) {
+        if (C == 0.0)
+            return;
+        let g = this.grads;
+
+        this.vecSetZero(g, 0);
+        this.vecAdd(g, 0, g, 1, -1.0);
+        this.vecAdd(g, 0, g, 2, -1.0);
+        this.vecAdd(g, 0, g, 3, -1.0);
+
+        let w = 0.0;
+        for (let i = 0; i < 4; i++) {
+            let id = this.tetIds[4 * elemNr + i];
+            w += this.vecLengthSquared(g, i) * this.invMass[id];
+        }
+
+        if (w == 0.0)
+            return;
+        let alpha = compliance / dt / dt * this.invRestVolume[elemNr];
+        let dlambda = -C / (w + alpha);
+
+        for (let i = 0; i < 4; i++) {
+            let id = this.tetIds[4 * elemNr + i];
+            this.vecAdd(this.pos, id, g, i, dlambda * this.invMass[id]);
+        }
+    }
+
+    simulate(dt, physicsParams) {
+        this.integrate(dt, physicsParams);
+        this.solveElems(dt);
+        this.collide(dt, physicsParams);
+        this.updateVelocities(dt);
+    }
+
+    // The phases of simulate(), exposed so a PhysicsScene can solve contacts between bodies
+    // after every body's elements are solved, but before the velocities are derived
+
+    integrate(dt, physicsParams) {
+        // XPBD prediction
+
+        for (let i = 0; i < this.numParticles; i++) {
+            this.vecAdd(this.vel, i, [0.0, physicsParams.gravity, 0.0], 0, dt);
+            this.vecCopy(this.prevPos, i, this.pos, i);
+            this.vecAdd(this.pos, i, this.vel, i, dt);
+        }
+
+        // Hard pins are in place before the elements are solved, which can't move them (zero inverse mass)
+        this.applyPins(dt, true);
+    }
+
+    solveElems(dt) {
+        this.volError = 0.0;
+        for (let i = 0; i < this.numElems; i++)
+            this.solveElem(i, dt);
+        this.volError /= this.numElems;
+    }
+
+    collide(dt, physicsParams) {
+        let colliders = physicsParams.colliders || [];
+
+        // the ground is the plane dot(pos, groundNormal) = groundHeight; everything below it is solid
+
+        let n = this.groundNormal;
+        n[0] = 0.0; n[1] = 1.0; n[2] = 0.0;
+        if (physicsParams.groundNormal) {
+            let length = Math.hypot(physicsParams.groundNormal[0], physicsParams.groundNormal[1], physicsParams.groundNormal[2]);
+            for (let k = 0; k < 3; k++) { n[k] = physicsParams.groundNormal[k] / length; }
+        }
+        let groundHeight = physicsParams.groundHeight || 0.0;
+
+        for (let i = 0; i < this.numParticles; i++) {
+
+            this.vecSetClamped(this.pos, i, physicsParams.worldBounds, 0,
+                physicsParams.worldBounds, 1);
+
+            let height = this.pos[3 * i] * n[0] + this.pos[3 * i + 1] * n[1] + this.pos[3 * i + 2] * n[2] - groundHeight;
+            if (height < 0.0) {
+                this.vecAdd(this.pos, i, n, 0, -height);
+
+                // simple friction
+                this.applySurfaceFriction(i, n, dt, physicsParams.friction);
+
+                // this.pos[3 * i] = this.prevPos[3 * i];
+                // this.pos[3 * i + 2] = this.prevPos[3 * i + 2];
+            }
+
+            // rigid colliders (see Colliders.js), with the same friction along their surface
+
+            for (let c = 0; c < colliders.length; c++) {
+                let collider = colliders[c];
+                if (!collider.enabled || !collider.projectOut(this.pos, i, this.prevPos))
+                    continue;
+                this.applySurfaceFriction(i, collider.normal, dt, physicsParams.friction);
+            }
+
+        }
+
+        this.applyPins(dt, false);
+
+        if (this.grabId >= 0) {
+            this.vecCopy(this.pos, this.grabId, this.grabPos, 0);
+        }
+    }
+
+    /** Takes back part of particle i's motion this substep along a surface with normal n ("simple friction") */
+    applySurfaceFriction(i, n, dt, friction) {
+        this.vecSetDiff(this.F, 0, this.prevPos, i, this.pos, i);
+        let normalPart = this.F[0] * n[0] + this.F[1] * n[1] + this.F[2] * n[2];
+        this.F[0] -= normalPart * n[0];
+        this.F[1] -= normalPart * n[1];
+        this.F[2] -= normalPart * n[2];
+        this.vecAdd(this.pos, i, this.F, 0, Math.min(1.0, dt * friction));
+    }
+
+    updateVelocities(dt) {
+        // XPBD velocity update
+        for (let i = 0; i < this.pos.length; i++)
+            this.vecSetDiff(this.vel, i, this.pos, i, this.prevPos, i, 1.0 / dt);
+    }
+
+    // ----------------- end solver -----------------------------------------------------
+
+    /** Grabs the particle closest to `pos`; any object with x, y, z works (e.g. a THREE.Vector3) */
+    startGrab(pos) {
+        let p = [pos.x, pos.y, pos.z];
+        let minD2 = Number.MAX_VALUE;
+        this.grabId = -1;
+        for (let i = 0; i < this.numParticles; i++) {
+            let d2 = this.vecDistSquared(p, 0, this.pos, i);
+            if (d2 < minD2) {
+                minD2 = d2;
+                this.grabId = i;
+            }
+        }
+        this.vecCopy(this.grabPos, 0, p, 0);
+    }
+
+    moveGrabbed(pos) {
+        let p = [pos.x, pos.y, pos.z];
+        this.vecCopy(this.grabPos, 0, p, 0);
+    }
+
+    endGrab() { this.grabId = -1; }
+
+    get isGrabbing() { return this.grabId >= 0; }
+
+    // ----- pins (see SoftBodyBackend.js) ----------------------------------------------
+
+    /**
+     * Holds particles at world space targets: hard pins (compliance 0) get zero inverse mass and
+     * sit exactly on their targets, soft ones are pulled there by an XPBD attachment constraint
+     * @param {ArrayLike<number>} ids particle indices (see particlesInBox / particlesWithTetTag in TetMeshUtils.js)
+     * @param {{targets?: ArrayLike<number>, compliance?: number}} [options] targets holds 3 coordinates
+     *        per id and defaults to the particles' current positions; compliance defaults to 0
+     */
+    pin(ids, options = {}) {
+        options = Object.assign({ targets: null, compliance: 0.0 }, options);
+        for (let k = 0; k < ids.length; k++) {
+            let id = ids[k];
+            this.pinCompliance[id] = Math.max(0.0, options.compliance);
+            if (options.targets) { this.vecCopy(this.pinTargets, id, options.targets, k); }
+            else                 { this.vecCopy(this.pinTargets, id, this.pos, id); }
+        }
+        this.updatePins();
+    }
+
+    /** Releases the given particles, or every pinned one */
+    unpin(ids = this.pinnedIds) {
+        for (let k = 0; k < ids.length; k++) { this.pinCompliance[ids[k]] = -1.0; }
+        this.updatePins();
+    }
+
+    /** Moves the targets of pinned particles; 3 coordinates per id */
+    setPinTargets(ids, targets) {
+        for (let k = 0; k < ids.length; k++) { this.vecCopy(this.pinTargets, ids[k], targets, k); }
+    }
+
+    /** The pins as { ids, targets (3 per id), compliances }, e.g. to set them up again with pin() */
+    getPins() { return this.collectPins(this.pinCompliance, this.pinTargets); }
+
+    collectPins(pinCompliance, pinTargets) {
+        let ids = [];
+        for (let i = 0; i < this.numParticles; i++) { if (pinCompliance[i] >= 0.0) { ids.push(i); } }
+        let targets = new Float32Array(3 * ids.length), compliances = new Float32Array(ids.length);
+        for (let k = 0; k < ids.length; k++) {
+            this.vecCopy(targets, k, pinTargets, ids[k]);
+            compliances[k] = pinCompliance[ids[k]];
+        }
+        return { ids: Int32Array.from(ids), targets: targets, compliances: compliances };
+    }
+
+    /** Rebuilds the list of pinned particles and their inverse masses */
+    updatePins() {
+        this.pinnedIds = [];
+        for (let i = 0; i < this.numParticles; i++) {
+            if (this.pinCompliance[i] >= 0.0) { this.pinnedIds.push(i); }
+            this.invMass[i] = this.pinCompliance[i] === 0.0 ? 0.0 : this.freeInvMass[i];
+        }
+    }
+
+    /** Moves pinned particles onto (hard) or towards (soft, XPBD with the pin's compliance) their targets */
+    applyPins(dt, hardOnly) {
+        for (let k = 0; k < this.pinnedIds.length; k++) {
+            let id = this.pinnedIds[k], compliance = this.pinCompliance[id];
+            if (compliance === 0.0) {
+                this.vecCopy(this.pos, id, this.pinTargets, id);
+            } else if (!hardOnly) {
+                let w = this.invMass[id];
+                this.vecSetDiff(this.F, 0, this.pinTargets, id, this.pos, id);
+                this.vecAdd(this.pos, id, this.F, 0, w / (w + compliance / (dt * dt)));
+            }
+        }
+    }
+
+    // ----- state readback (see SoftBodyBackend.js) -------------------------------------
+
+    readPositions(target = new Float32Array(3 * this.numParticles)) {
+        target.set(this.pos);
+        return target;
+    }
+
+    readVelocities(target = new Float32Array(3 * this.numParticles)) {
+        target.set(this.vel);
+        return target;
+    }
+
+    /** The rotation of each tet from its rest pose, as x, y, z, w quaternions (the polar decomposition of F) */
+    readRotations(target = new Float32Array(4 * this.numElems)) {
+        if (!this.rotations) {
+            this.rotations = new Float32Array(4 * this.numElems);
+            for (let i = 0; i < this.numElems; i++) { this.rotations[4 * i + 3] = 1.0; }
+        }
+        for (let i = 0; i < this.numElems; i++) {
+            let id0 = this.tetIds[4 * i];
+            this.vecSetDiff(this.P, 0, this.pos, this.tetIds[4 * i + 1], this.pos, id0);
+            this.vecSetDiff(this.P, 1, this.pos, this.tetIds[4 * i + 2], this.pos, id0);
+            this.vecSetDiff(this.P, 2, this.pos, this.tetIds[4 * i + 3], this.pos, id0);
+            this.matSetMatProduct(this.F, 0, this.P, 0, this.invRestPose, i);
+            this.extractRotation(this.F, this.rotations, i); // warm started from the last readback
+        }
+        target.set(this.rotations);
+        return target;
+    }
+
+    // ----- state snapshots (see SoftBodyBackend.js) ------------------------------------
+
+    /** The simulated state, as copies; the grab and the pins are inputs and not included (see SoftBodyBackend.js) */
+    getState() {
+        return {
+            backend      : 'cpu',
+            numParticles : this.numParticles,
+            numElems     : this.numElems,
+            positions    : this.pos.slice(0),
+            prevPositions: this.prevPos.slice(0),
+            velocities   : this.vel.slice(0)
+        };
+    }
+
+    /** Restores a getState() snapshot of this mesh; the GPU backend's snapshots work too (their extra textures are ignored) */
+    setState(state) {
+        if (state.numParticles !== this.numParticles || state.numElems !== this.numElems) {
+            throw new Error('SoftBodySolver.setState: the state is of a mesh with ' + state.numParticles + ' particles and ' +
+                state.numElems + ' tets, not ' + this.numParticles + ' and ' + this.numElems);
+        }
+        this.pos    .set(state.positions);
+        this.prevPos.set(state.prevPositions);
+        this.vel    .set(state.velocities);
+        this.rotations = null; // readRotations() warm starts from the last readback, which no longer applies
+    }
+
+    /**
+     * Refines quaternion q (at qnr) towards the rotation of matrix A;
+     * Müller et al., "A Robust Method to Extract the Rotational Part of Deformations"
+     */
+    extractRotation(A, q, qnr, maxIter = 20) {
+        let R = this.dF, o = 4 * qnr;
+        for (let iter = 0; iter < maxIter; iter++) {
+            this.matSetQuat(R, q, qnr);
+            let ox = 0.0, oy = 0.0, oz = 0.0, dot = 0.0;
+            for (let c = 0; c < 3; c++) {
+                let r0 = R[3 * c], r1 = R[3 * c + 1], r2 = R[3 * c + 2];
+                let a0 = A[3 * c], a1 = A[3 * c + 1], a2 = A[3 * c + 2];
+                ox += r1 * a2 - r2 * a1;
+                oy += r2 * a0 - r0 * a2;
+                oz += r0 * a1 - r1 * a0;
+                dot += r0 * a0 + r1 * a1 + r2 * a2;
+            }
+            let scale = 1.0 / (Math.abs(dot) + 1.0e-9);
+            ox *= scale; oy *= scale; oz *= scale;
+            let w = Math.sqrt(ox * ox + oy * oy + oz * oz);
+            if (w < 1.0e-9) { break; }
+
+            // q = quat(axis = omega / w, angle = w) * q
+            let s = Math.sin(0.5 * w) / w, c = Math.cos(0.5 * w);
+            let px = ox * s, py = oy * s, pz = oz * s;
+            let qx = q[o], qy = q[o + 1], qz = q[o + 2], qw = q[o + 3];
+            let nx = c * qx + px * qw + py * qz - pz * qy;
+            let ny = c * qy - px * qz + py * qw + pz * qx;
+            let nz = c * qz + px * qy - py * qx + pz * qw;
+            let nw = c * qw - px * qx - py * qy - pz * qz;
+            let len = Math.sqrt(nx * nx + ny * ny + nz * nz + nw * nw);
+            q[o] = nx / len; q[o + 1] = ny / len; q[o + 2] = nz / len; q[o + 3] = nw / len;
+        }
+    }
+
+    // ----- vector math -------------------------------------------------------------
+
+    vecSetZero(a, anr) {
+        anr *= 3;
+        a[anr++] = 0.0;
+        a[anr++] = 0.0;
+        a[anr] = 0.0;
+    }
+
+    vecCopy(a, anr, b, bnr) {
+        anr *= 3; bnr *= 3;
+        a[anr++] = b[bnr++];
+        a[anr++] = b[bnr++];
+        a[anr] = b[bnr];
+    }
+
+    vecAdd(a, anr, b, bnr, scale = 1.0) {
+        anr *= 3; bnr *= 3;
+        a[anr++] += b[bnr++] * scale;
+        a[anr++] += b[bnr++] * scale;
+        a[anr] += b[bnr] * scale;
+    }
+
+    vecSetDiff(dst, dnr, a, anr, b, bnr, scale = 1.0) {
+        dnr *= 3; anr *= 3; bnr *= 3;
+        dst[dnr++] = (a[anr++] - b[bnr++]) * scale;
+        dst[dnr++] = (a[anr++] - b[bnr++]) * scale;
+        dst[dnr] = (a[anr] - b[bnr]) * scale;
+    }
+
+    vecLengthSquared(a, anr) {
+        anr *= 3;
+        let a0 = a[anr], a1 = a[anr + 1], a2 = a[anr + 2];
+        return a0 * a0 + a1 * a1 + a2 * a2;
+    }
+
+    vecDistSquared(a, anr, b, bnr) {
+        anr *= 3; bnr *= 3;
+        let a0 = a[anr] - b[bnr], a1 = a[anr + 1] - b[bnr + 1], a2 = a[anr + 2] - b[bnr + 2];
+        return a0 * a0 + a1 * a1 + a2 * a2;
+    }
+
+    /// a = b x c (nr = index)
+    vecSetCross(a, anr, b, bnr, c, cnr) {
+        anr *= 3; bnr *= 3; cnr *= 3;
+        a[anr++] = b[bnr + 1] * c[cnr + 2] - b[bnr + 2] * c[cnr + 1];
+        a[anr++] = b[bnr + 2] * c[cnr + 0] - b[bnr + 0] * c[cnr + 2];
+        a[anr] = b[bnr + 0] * c[cnr + 1] - b[bnr + 1] * c[cnr + 0];
+    }
+
+    vecSetClamped(dst, dnr, a, anr, b, bnr) {
+        dnr *= 3; anr *= 3; bnr *= 3;
+        dst[dnr] = Math.max(a[anr++], Math.min(b[bnr++], dst[dnr++]));
+        dst[dnr] = Math.max(a[anr++], Math.min(b[bnr++], dst[dnr++]));
+        dst[dnr] = Math.max(a[anr++], Math.min(b[bnr++], dst[dnr++]));
+    }
+
+    // ----- matrix math ----------------------------------
+
+    matIJ(A, anr, row, col) {
+        return A[9 * anr + 3 * col + row];
+    }
+
+    matSetVecProduct(dst, dnr, A, anr, b, bnr) {
+        bnr *= 3; anr *= 3;
+        let b0 = b[bnr++];
+        let b1 = b[bnr++];
+        let b2 = b[bnr];
+        this.vecSetZero(dst, dnr);
+        this.vecAdd(dst, dnr, A, anr++, b0);
+        this.vecAdd(dst, dnr, A, anr++, b1);
+        this.vecAdd(dst, dnr, A, anr, b2);
+    }
+
+    matSetMatProduct(Dst, dnr, A, anr, B, bnr) {
+        dnr *= 3; bnr *= 3;
+        this.matSetVecProduct(Dst, dnr++, A, anr, B, bnr++);
+        this.matSetVecProduct(Dst, dnr++, A, anr, B, bnr++);
+        this.matSetVecProduct(Dst, dnr++, A, anr, B, bnr++);
+    }
+
+    /** The (column major) rotation matrix of the quaternion at q[4 * qnr] */
+    matSetQuat(A, q, qnr) {
+        qnr *= 4;
+        let x = q[qnr], y = q[qnr + 1], z = q[qnr + 2], w = q[qnr + 3];
+        A[0] = 1.0 - 2.0 * (y * y + z * z); A[3] = 2.0 * (x * y - w * z);       A[6] = 2.0 * (x * z + w * y);
+        A[1] = 2.0 * (x * y + w * z);       A[4] = 1.0 - 2.0 * (x * x + z * z); A[7] = 2.0 * (y * z - w * x);
+        A[2] = 2.0 * (x * z - w * y);       A[5] = 2.0 * (y * z + w * x);       A[8] = 1.0 - 2.0 * (x * x + y * y);
+    }
+
+    matGetDeterminant(A, anr) {
+        anr *= 9;
+        let a11 = A[anr + 0], a12 = A[anr + 3], a13 = A[anr + 6];
+        let a21 = A[anr + 1], a22 = A[anr + 4], a23 = A[anr + 7];
+        let a31 = A[anr + 2], a32 = A[anr + 5], a33 = A[anr + 8];
+        return a11 * a22 * a33 + a12 * a23 * a31 + a13 * a21 * a32 - a13 * a22 * a31 - a12 * a21 * a33 - a11 * a23 * a32;
+    }
+
+    matSetInverse(A, anr) {
+        let det = this.matGetDeterminant(A, anr);
+        if (det == 0.0) {
+            for (let i = 0; i < 9; i++)
+                A[anr + i] = 0.0;
+            return;
+        }
+        let invDet = 1.0 / det;
+        anr *= 9;
+        let a11 = A[anr + 0], a12 = A[anr + 3], a13 = A[anr + 6];
+        let a21 = A[anr + 1], a22 = A[anr + 4], a23 = A[anr + 7];
+        let a31 = A[anr + 2], a32 = A[anr + 5], a33 = A[anr + 8]
+        A[anr + 0] = (a22 * a33 - a23 * a32) * invDet;
+        A[anr + 3] = -(a12 * a33 - a13 * a32) * invDet;
+        A[anr + 6] = (a12 * a23 - a13 * a22) * invDet;
+        A[anr + 1] = -(a21 * a33 - a23 * a31) * invDet;
+        A[anr + 4] = (a11 * a33 - a13 * a31) * invDet;
+        A[anr + 7] = -(a11 * a23 - a13 * a21) * invDet;
+        A[anr + 2] = (a21 * a32 - a22 * a31) * invDet;
+        A[anr + 5] = -(a11 * a32 - a12 * a31) * invDet;
+        A[anr + 8] = (a11 * a22 - a12 * a21) * invDet;
+    }
+
+}
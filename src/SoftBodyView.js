@@ -0,0 +1,77 @@
+import * as THREE from '../node_modules/three/build/three.module.js';
+
+/** The three.js representation of a SoftBodySolver: a tet edge wireframe and the embedded render mesh */
+export class SoftBodyView {
+    constructor(solver, tetEdgeIds, visVerts, visTriIds, visMaterial) {
+        this.solver = solver;
+
+        // visual edge mesh
+
+        this.edgeGeometry = new THREE.BufferGeometry();
+        this.edgeGeometry.setAttribute('position', new THREE.BufferAttribute(solver.pos.slice(0), 3));
+        this.edgeGeometry.setIndex(tetEdgeIds);
+        this.edgeMesh = new THREE.LineSegments(this.edgeGeometry);
+        this.edgeMesh.userData = solver;    // for raycasting
+        //                    this.edgeMesh.layers.enable(1);
+        this.edgeMesh.visible = true;
+
+        // visual embedded mesh
+
+        this.visVerts = visVerts;
+        this.numVisVerts = visVerts.length / 4;
+        this.visGeometry = new THREE.BufferGeometry();
+        this.visGeometry.setAttribute('position', new THREE.BufferAttribute(
+            new Float32Array(3 * this.numVisVerts), 3));
+        this.visGeometry.setIndex(visTriIds);
+        this.visMesh = new THREE.Mesh(this.visGeometry, visMaterial || new THREE.MeshPhysicalMaterial({ color: 0xf78a1d, roughness: 0.4 }));
+        this.visMesh.castShadow = true;
+        this.visMesh.userData = solver;    // for raycasting
+        this.visMesh.layers.enable(1);
+        this.visGeometry.computeVertexNormals();
+        this.updateVisMesh();
+    }
+
+    /** Copies the solver's current particle positions into both meshes */
+    update() {
+        this.updateEdgeMesh();
+        this.updateVisMesh();
+    }
+
+    updateEdgeMesh() {
+        //if (!showTetMesh)
+        //    return;
+        const pos = this.solver.pos;
+        const positions = this.edgeMesh.geometry.attributes.position.array;
+        for (let i = 0; i < pos.length; i++)
+            positions[i] = pos[i];
+        this.edgeMesh.geometry.attributes.position.needsUpdate = true;
+        this.edgeMesh.geometry.computeBoundingSphere();
+    }
+
+    updateVisMesh() {
+        const pos = this.solver.pos, tetIds = this.solver.tetIds;
+        const positions = this.visMesh.geometry.attributes.position.array;
+        let nr = 0;
+        for (let i = 0; i < this.numVisVerts; i++) {
+            let tetNr = this.visVerts[nr++] * 4;
+            let b0 = this.visVerts[nr++];
+            let b1 = this.visVerts[nr++];
+            let b2 = this.visVerts[nr++];
+            let b3 = 1.0 - b0 - b1 - b2;
+            let id0 = 3 * tetIds[tetNr++], id1 = 3 * tetIds[tetNr++];
+            let id2 = 3 * tetIds[tetNr++], id3 = 3 * tetIds[tetNr];
+            for (let c = 0; c < 3; c++) {
+                positions[3 * i + c] = pos[id0 + c] * b0 + pos[id1 + c] * b1 +
+                                       pos[id2 + c] * b2 + pos[id3 + c] * b3;
+            }
+        }
+        this.visMesh.geometry.computeVertexNormals();
+        this.visMesh.geometry.attributes.position.needsUpdate = true;
+        this.visMesh.geometry.computeBoundingSphere();
+    }
+
+    dispose() {
+        this.edgeGeometry.dispose();
+        this.visGeometry.dispose();
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Dense spatial hash for points, after Matthias Müller's "Ten Minute Physics" hash.
+ * `create()` buckets a flat [x, y, z, ...] array; `createFromBounds()` buckets boxes given as
+ * flat [minX, minY, minZ, maxX, maxY, maxZ, ...] into every cell they overlap.
+ * `query()` gathers the distinct ids in all cells within `maxDist` of a point into
+ * `queryIds[0 .. querySize - 1]`.
+ */
+export class SpatialHash {
+    constructor(spacing, maxNumObjects) {
+        this.spacing     = spacing;
+        this.tableSize   = 2 * maxNumObjects;
+        this.cellStart   = new Int32Array(this.tableSize + 1);
+        this.cellEntries = new Int32Array(maxNumObjects);
+        this.queryIds    = new Int32Array(maxNumObjects);
+        this.querySize   = 0;
+        this.queryMarks  = new Int32Array(maxNumObjects); // the query that last returned each id
+        this.queryNr     = 0;
+    }
+
+    hashCoords(xi, yi, zi) {
+        let h = (xi * 92837111) ^ (yi * 689287499) ^ (zi * 283923481); // fantasy function
+        return Math.abs(h) % this.tableSize;
+    }
+
+    intCoord(coord) { return Math.floor(coord / this.spacing); }
+
+    hashPos(pos, nr) {
+        return this.hashCoords(
+            this.intCoord(pos[3 * nr]),
+            this.intCoord(pos[3 * nr + 1]),
+            this.intCoord(pos[3 * nr + 2]));
+    }
+
+    create(pos, numObjects = pos.length / 3) {
+        numObjects = Math.min(numObjects, this.queryIds.length);
+
+        // determine cell sizes
+        this.cellStart.fill(0);
+        this.cellEntries.fill(0);
+        for (let i = 0; i < numObjects; i++) {
+            this.cellStart[this.hashPos(pos, i)]++;
+        }
+
+        // determine cell starts
+        let start = 0;
+        for (let i = 0; i < this.tableSize; i++) {
+            start += this.cellStart[i];
+            this.cellStart[i] = start;
+        }
+        this.cellStart[this.tableSize] = start; // guard
+
+        // fill in object ids
+        for (let i = 0; i < numObjects; i++) {
+            let h = this.hashPos(pos, i);
+            this.cellStart[h]--;
+            this.cellEntries[this.cellStart[h]] = i;
+        }
+    }
+
+    createFromBounds(bounds, numObjects = bounds.length / 6) {
+        numObjects = Math.min(numObjects, this.queryIds.length);
+
+        // determine cell sizes; a box lands in every cell it overlaps
+        this.cellStart.fill(0);
+        let numEntries = 0;
+        for (let i = 0; i < numObjects; i++) {
+            numEntries += this.forEachCell(bounds, i, (h) => { this.cellStart[h]++; });
+        }
+        if (numEntries > this.cellEntries.length) { this.cellEntries = new Int32Array(2 * numEntries); }
+
+        // determine cell starts
+        let start = 0;
+        for (let i = 0; i < this.tableSize; i++) {
+            start += this.cellStart[i];
+            this.cellStart[i] = start;
+        }
+        this.cellStart[this.tableSize] = start; // guard
+
+        // fill in object ids
+        for (let i = 0; i < numObjects; i++) {
+            this.forEachCell(bounds, i, (h) => { this.cellEntries[--this.cellStart[h]] = i; });
+        }
+    }
+
+    /** Calls `callback(hash)` for each cell overlapped by box `nr`; returns the number of cells */
+    forEachCell(bounds, nr, callback) {
+        let x0 = this.intCoord(bounds[6 * nr    ]), x1 = this.intCoord(bounds[6 * nr + 3]);
+        let y0 = this.intCoord(bounds[6 * nr + 1]), y1 = this.intCoord(bounds[6 * nr + 4]);
+        let z0 = this.intCoord(bounds[6 * nr + 2]), z1 = this.intCoord(bounds[6 * nr + 5]);
+        for (let xi = x0; xi <= x1; xi++) {
+            for (let yi = y0; yi <= y1; yi++) {
+                for (let zi = z0; zi <= z1; zi++) {
+                    callback(this.hashCoords(xi, yi, zi));
+                }
+            }
+        }
+        return (x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1);
+    }
+
+    query(pos, nr, maxDist) {
+        let x0 = this.intCoord(pos[3 * nr    ] - maxDist), x1 = this.intCoord(pos[3 * nr    ] + maxDist);
+        let y0 = this.intCoord(pos[3 * nr + 1] - maxDist), y1 = this.intCoord(pos[3 * nr + 1] + maxDist);
+        let z0 = this.intCoord(pos[3 * nr + 2] - maxDist), z1 = this.intCoord(pos[3 * nr + 2] + maxDist);
+
+        // distinct cells can share a bucket and boxes span cells, so skip ids this query already returned
+        this.queryNr++;
+        this.querySize = 0;
+        for (let xi = x0; xi <= x1; xi++) {
+            for (let yi = y0; yi <= y1; yi++) {
+                for (let zi = z0; zi <= z1; zi++) {
+                    let h = this.hashCoords(xi, yi, zi);
+                    let start = this.cellStart[h];
+                    let end = this.cellStart[h + 1];
+                    for (let i = start; i < end && this.querySize < this.queryIds.length; i++) {
+                        let id = this.cellEntries[i];
+                        if (this.queryMarks[id] === this.queryNr) { continue; }
+                        this.queryMarks[id] = this.queryNr;
+                        this.queryIds[this.querySize++] = id;
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * A SpatialHash whose cells repeat every `cellsPerAxis` cells along each axis instead of being
+ * scrambled, so shaders can compute the same cell index with plain float math:
+ *   ivec3 c = ivec3(mod(floor(pos / spacing), float(cellsPerAxis)));
+ *   int cell = c.x + cellsPerAxis * (c.y + cellsPerAxis * c.z);
+ */
+export class PeriodicSpatialHash extends SpatialHash {
+    constructor(spacing, maxNumObjects, cellsPerAxis = 32) {
+        super(spacing, maxNumObjects);
+        this.cellsPerAxis = cellsPerAxis;
+        this.tableSize    = cellsPerAxis * cellsPerAxis * cellsPerAxis;
+        this.cellStart    = new Int32Array(this.tableSize + 1);
+    }
+
+    hashCoords(xi, yi, zi) {
+        let n = this.cellsPerAxis;
+        return (((xi % n) + n) % n) + n * ((((yi % n) + n) % n) + n * (((zi % n) + n) % n));
+    }
+}
@@ -0,0 +1,143 @@
+import { SpatialHash } from './SpatialHash.js';
+import { extractSurfaceTriangles, surfaceVertexIds } from './TetMeshUtils.js';
+
+/**
+ * Embeds a render mesh in a tet mesh: every render vertex gets the tet containing it, or for
+ * vertices outside the tet mesh the nearest one, plus its barycentric weights in that tet.
+ * This is the `visVerts` layout the SoftBody / SoftBodyGPU constructors take (and `dragonAttachedVerts`
+ * holds): tetNr, b0, b1, b2 per vertex, with b3 = 1 - b0 - b1 - b2.
+ *
+ * After Matthias Müller's computeSkinningInfo ("Ten Minute Physics", tutorial 10): each tet
+ * queries a hash of the render vertices around its center.
+ *
+ * @param {ArrayLike<number>} tetVerts 3 coordinates per tet mesh vertex
+ * @param {ArrayLike<number>} tetIds   4 vertex ids per tet
+ * @param {THREE.BufferGeometry} geometry the render mesh, in the same space as tetVerts
+ * @returns {{visVerts: Float32Array, visTriIds: number[]}}
+ */
+export function computeSurfaceEmbedding(tetVerts, tetIds, geometry) {
+    let position = geometry.getAttribute('position');
+    let index    = geometry.getIndex();
+    let numVisVerts = position.count;
+    let verts = new Float32Array(3 * numVisVerts);
+    for (let i = 0; i < numVisVerts; i++) {
+        verts[3 * i] = position.getX(i); verts[3 * i + 1] = position.getY(i); verts[3 * i + 2] = position.getZ(i);
+    }
+
+    let numTets  = tetIds.length / 4;
+    let border   = averageEdgeLength(tetVerts, tetIds);
+    let visVerts = new Float32Array(4 * numVisVerts);
+    let minDist  = new Float32Array(numVisVerts).fill(Number.MAX_VALUE);
+    let hash = new SpatialHash(border, numVisVerts);
+    hash.create(verts);
+
+    // Each tet claims the vertices it contains, or is the least outside of so far
+    let center = [0, 0, 0], M = new Float64Array(9), bary = [0, 0, 0, 0];
+    for (let t = 0; t < numTets; t++) {
+        if (!setBarycentricMatrix(tetVerts, tetIds, t, M)) { continue; }
+        let radius = 0.0;
+        for (let k = 0; k < 3; k++) {
+            center[k] = 0.0;
+            for (let j = 0; j < 4; j++) { center[k] += 0.25 * tetVerts[3 * tetIds[4 * t + j] + k]; }
+        }
+        for (let j = 0; j < 4; j++) {
+            let id = 3 * tetIds[4 * t + j];
+            let dx = tetVerts[id] - center[0], dy = tetVerts[id + 1] - center[1], dz = tetVerts[id + 2] - center[2];
+            radius = Math.max(radius, Math.sqrt(dx * dx + dy * dy + dz * dz));
+        }
+        hash.query(center, 0, radius + border);
+        for (let q = 0; q < hash.querySize; q++) {
+            let id = hash.queryIds[q];
+            claimVertex(verts, id, tetVerts, tetIds, t, M, bary, visVerts, minDist);
+        }
+    }
+
+    // Vertices further out than `border` from every tet take the nearest one of all
+    for (let id = 0; id < numVisVerts; id++) {
+        if (minDist[id] < Number.MAX_VALUE) { continue; }
+        for (let t = 0; t < numTets; t++) {
+            if (setBarycentricMatrix(tetVerts, tetIds, t, M)) { claimVertex(verts, id, tetVerts, tetIds, t, M, bary, visVerts, minDist); }
+        }
+    }
+
+    let visTriIds = index ? Array.from(index.array) : Array.from({ length: numVisVerts }, (_, i) => i);
+    return { visVerts: visVerts, visTriIds: visTriIds };
+}
+
+/**
+ * Stores tet t as vertex id's tet if id is less far outside it than outside its current tet;
+ * "how far outside" is the most negative barycentric coordinate, 0 when inside
+ */
+function claimVertex(verts, id, tetVerts, tetIds, t, M, bary, visVerts, minDist) {
+    let id3 = 3 * tetIds[4 * t + 3];
+    let px = verts[3 * id] - tetVerts[id3], py = verts[3 * id + 1] - tetVerts[id3 + 1], pz = verts[3 * id + 2] - tetVerts[id3 + 2];
+    bary[0] = M[0] * px + M[3] * py + M[6] * pz;
+    bary[1] = M[1] * px + M[4] * py + M[7] * pz;
+    bary[2] = M[2] * px + M[5] * py + M[8] * pz;
+    bary[3] = 1.0 - bary[0] - bary[1] - bary[2];
+    let dist = Math.max(0.0, -bary[0], -bary[1], -bary[2], -bary[3]);
+    if (dist >= minDist[id]) { return; }
+    minDist[id] = dist;
+    visVerts[4 * id] = t;
+    visVerts[4 * id + 1] = bary[0];
+    visVerts[4 * id + 2] = bary[1];
+    visVerts[4 * id + 3] = bary[2];
+}
+
+/** M = [p0 - p3, p1 - p3, p2 - p3]^-1 (column major), mapping p - p3 to b0, b1, b2; false for flat tets */
+function setBarycentricMatrix(tetVerts, tetIds, t, M) {
+    let id3 = 3 * tetIds[4 * t + 3];
+    let A = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+    for (let c = 0; c < 3; c++) {
+        let id = 3 * tetIds[4 * t + c];
+        for (let r = 0; r < 3; r++) { A[3 * c + r] = tetVerts[id + r] - tetVerts[id3 + r]; }
+    }
+    let det = A[0] * (A[4] * A[8] - A[7] * A[5]) - A[3] * (A[1] * A[8] - A[7] * A[2]) + A[6] * (A[1] * A[5] - A[4] * A[2]);
+    if (det === 0.0) { return false; }
+    let s = 1.0 / det;
+    M[0] = (A[4] * A[8] - A[7] * A[5]) * s; M[3] = (A[6] * A[5] - A[3] * A[8]) * s; M[6] = (A[3] * A[7] - A[6] * A[4]) * s;
+    M[1] = (A[7] * A[2] - A[1] * A[8]) * s; M[4] = (A[0] * A[8] - A[6] * A[2]) * s; M[7] = (A[6] * A[1] - A[0] * A[7]) * s;
+    M[2] = (A[1] * A[5] - A[4] * A[2]) * s; M[5] = (A[3] * A[2] - A[0] * A[5]) * s; M[8] = (A[0] * A[4] - A[3] * A[1]) * s;
+    return true;
+}
+
+function averageEdgeLength(tetVerts, tetIds) {
+    let sum = 0.0, count = 0;
+    for (let i = 0; i < tetIds.length; i += 4) {
+        for (let a = 0; a < 4; a++) {
+            for (let b = a + 1; b < 4; b++) {
+                let ia = 3 * tetIds[i + a], ib = 3 * tetIds[i + b];
+                let dx = tetVerts[ia] - tetVerts[ib], dy = tetVerts[ia + 1] - tetVerts[ib + 1], dz = tetVerts[ia + 2] - tetVerts[ib + 2];
+                sum += Math.sqrt(dx * dx + dy * dy + dz * dz);
+                count++;
+            }
+        }
+    }
+    return count > 0 ? sum / count : 1.0;
+}
+
+/**
+ * The render mesh of a bare tet mesh: its boundary triangles, wound outwards, over the surface
+ * vertices, each embedded at its own corner of one of its tets
+ * @param {ArrayLike<number>} tetIds
+ * @param {ArrayLike<number>} tetVerts
+ * @returns {{visVerts: Float32Array, visTriIds: number[]}}
+ */
+export function embedBoundarySurface(tetIds, tetVerts) {
+    let triIds  = extractSurfaceTriangles(tetIds, tetVerts);
+    let vertIds = surfaceVertexIds(triIds);
+    let visIds  = new Map();
+    vertIds.forEach((id, i) => visIds.set(id, i));
+
+    let visVerts = new Float32Array(4 * vertIds.length);
+    for (let i = tetIds.length - 1; i >= 0; i--) { // backwards, so each vertex ends up with its first tet
+        let visId = visIds.get(tetIds[i]);
+        if (visId === undefined) { continue; }
+        let corner = i % 4;
+        visVerts[4 * visId]     = (i - corner) / 4;
+        visVerts[4 * visId + 1] = corner === 0 ? 1.0 : 0.0;
+        visVerts[4 * visId + 2] = corner === 1 ? 1.0 : 0.0;
+        visVerts[4 * visId + 3] = corner === 2 ? 1.0 : 0.0;
+    }
+    return { visVerts: visVerts, visTriIds: Array.from(triIds, (id) => visIds.get(id)) };
+}
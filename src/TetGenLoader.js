@@ -0,0 +1,130 @@
+import { computeTetEdgeIds, extractSurfaceTriangles, orientTets } from './TetMeshUtils.js';
+
+/**
+ * Reads TetGen's .node / .ele / .face files (https://wias-berlin.de/software/tetgen/fformats.html)
+ * into the arrays the SoftBody / SoftBodyGPU constructors expect.
+ *
+ * Point numbers may start at 0 or 1 (TetGen's -z switch); the numbering of the .node file is
+ * followed by the other files.  Quadratic (10 node) tets keep their 4 corner nodes.
+ */
+export class TetGenLoader {
+    /**
+     * Fetches `<basePath>.node`, `<basePath>.ele` and, if it exists, `<basePath>.face`
+     * @param {string} basePath e.g. 'meshes/bunny.1'
+     * @returns {Promise<TetGenMesh>}
+     */
+    async load(basePath) {
+        let [nodeText, eleText, faceText] = await Promise.all([
+            fetchText(basePath + '.node', true),
+            fetchText(basePath + '.ele' , true),
+            fetchText(basePath + '.face', false)]);
+        return this.parse(nodeText, eleText, faceText);
+    }
+
+    /**
+     * @param {string} nodeText
+     * @param {string} eleText
+     * @param {string} [faceText]
+     * @returns {TetGenMesh}
+     * @typedef {object} TetGenMesh
+     * @property {Float32Array} vertices        3 coordinates per node
+     * @property {number[]}     tetIds          4 node ids per tet, positively oriented
+     * @property {number[]}     tetEdgeIds      2 node ids per distinct tet edge
+     * @property {number[]}     surfaceTriIds   3 node ids per boundary triangle, wound outwards
+     * @property {Float32Array} nodeAttributes  numNodeAttributes values per node
+     * @property {number}       numNodeAttributes
+     * @property {Int32Array}   [nodeMarkers]   the boundary marker of every node, if the .node file has them
+     * @property {Float32Array} [tetAttributes] the region attribute of every tet, if the .ele file has them
+     * @property {number[]}     [faces]         3 node ids per face as listed in the .face file
+     * @property {Int32Array}   [faceMarkers]   the boundary marker of every face, if the .face file has them
+     */
+    parse(nodeText, eleText, faceText) {
+        // .node: <# of points> <dimension (3)> <# of attributes> <boundary markers (0 or 1)>
+        //        <point #> <x> <y> <z> [attributes] [boundary marker]
+        let nodeLines = dataLines(nodeText);
+        let [numNodes, dimension, numNodeAttributes, hasNodeMarkers] = nodeLines[0].map(Number);
+        if (dimension !== 3) { throw new Error('TetGenLoader: expected 3D nodes, got dimension ' + dimension); }
+        let vertices       = new Float32Array(3 * numNodes);
+        let nodeAttributes = new Float32Array(numNodeAttributes * numNodes);
+        let nodeMarkers    = hasNodeMarkers ? new Int32Array(numNodes) : undefined;
+        let firstIndex     = numNodes > 0 ? Number(nodeLines[1][0]) : 0; // 0- or 1-based
+        for (let i = 0; i < numNodes; i++) {
+            let fields = nodeLines[i + 1];
+            if (!fields) { throw new Error('TetGenLoader: .node ends after ' + i + ' of ' + numNodes + ' points'); }
+            let nr = Number(fields[0]) - firstIndex;
+            vertices[3 * nr    ] = Number(fields[1]);
+            vertices[3 * nr + 1] = Number(fields[2]);
+            vertices[3 * nr + 2] = Number(fields[3]);
+            for (let a = 0; a < numNodeAttributes; a++) { nodeAttributes[numNodeAttributes * nr + a] = Number(fields[4 + a]); }
+            if (nodeMarkers) { nodeMarkers[nr] = Number(fields[4 + numNodeAttributes]); }
+        }
+
+        // .ele: <# of tetrahedra> <nodes per tet (4 or 10)> <region attribute (0 or 1)>
+        //       <tet #> <node> <node> <node> <node> ... [attribute]
+        let eleLines = dataLines(eleText);
+        let [numTets, nodesPerTet, hasTetAttributes] = eleLines[0].map(Number);
+        let tetIds        = new Array(4 * numTets);
+        let tetAttributes = hasTetAttributes ? new Float32Array(numTets) : undefined;
+        for (let i = 0; i < numTets; i++) {
+            let fields = eleLines[i + 1];
+            if (!fields) { throw new Error('TetGenLoader: .ele ends after ' + i + ' of ' + numTets + ' tets'); }
+            for (let c = 0; c < 4; c++) { tetIds[4 * i + c] = this.nodeId(fields[1 + c], firstIndex, numNodes); }
+            if (tetAttributes) { tetAttributes[i] = Number(fields[1 + nodesPerTet]); }
+        }
+        orientTets(tetIds, vertices);
+
+        let mesh = {
+            vertices          : vertices,
+            tetIds            : tetIds,
+            tetEdgeIds        : computeTetEdgeIds(tetIds),
+            surfaceTriIds     : Array.from(extractSurfaceTriangles(tetIds, vertices)),
+            nodeAttributes    : nodeAttributes,
+            numNodeAttributes : numNodeAttributes,
+            nodeMarkers       : nodeMarkers,
+            tetAttributes     : tetAttributes
+        };
+
+        // .face: <# of faces> <boundary marker (0 or 1)>
+        //        <face #> <node> <node> <node> [boundary marker]
+        if (faceText) {
+            let faceLines = dataLines(faceText);
+            let [numFaces, hasFaceMarkers] = faceLines[0].map(Number);
+            mesh.faces       = new Array(3 * numFaces);
+            mesh.faceMarkers = hasFaceMarkers ? new Int32Array(numFaces) : undefined;
+            for (let i = 0; i < numFaces; i++) {
+                let fields = faceLines[i + 1];
+                if (!fields) { throw new Error('TetGenLoader: .face ends after ' + i + ' of ' + numFaces + ' faces'); }
+                for (let c = 0; c < 3; c++) { mesh.faces[3 * i + c] = this.nodeId(fields[1 + c], firstIndex, numNodes); }
+                if (mesh.faceMarkers) { mesh.faceMarkers[i] = Number(fields[4]); }
+            }
+        }
+        return mesh;
+    }
+
+    nodeId(field, firstIndex, numNodes) {
+        let id = Number(field) - firstIndex;
+        if (!(id >= 0 && id < numNodes)) { throw new Error('TetGenLoader: node ' + field + ' is out of range'); }
+        return id;
+    }
+}
+
+/** The whitespace separated fields of every line that isn't blank or a # comment */
+function dataLines(text) {
+    let lines = [];
+    for (let line of text.split('\n')) {
+        let comment = line.indexOf('#');
+        if (comment >= 0) { line = line.slice(0, comment); }
+        let fields = line.trim().split(/\s+/);
+        if (fields[0] !== '') { lines.push(fields); }
+    }
+    return lines;
+}
+
+async function fetchText(url, required) {
+    let response = required ? await fetch(url) : await fetch(url).catch(() => undefined);
+    if (!response || !response.ok) {
+        if (required) { throw new Error('TetGenLoader: could not load ' + url + ' (' + (response && response.status) + ')'); }
+        return undefined;
+    }
+    return response.text();
+}
@@ -0,0 +1,148 @@
+/**
+ * A compact binary container for everything a soft body needs, so meshes load as a few typed
+ * array copies instead of a parsed JS module (`.tetmesh`, written by TetMeshAssetExporter).
+ *
+ * Layout, little endian, every field 4 byte aligned:
+ *   'TETM', uint32 version, uint32 numChunks
+ *   per chunk: uint32 nameLength, name (UTF-8, padded)
+ *              uint32 type (see chunkTypes), uint32 numComponents, uint32 numValues, values (padded)
+ *
+ * Chunks: vertices (3), tetIds (4), tetEdgeIds (2), visVerts (4), visTriIds (3),
+ * optionally visUVs (2), visNormals (3) and any number of per tet attributes named
+ * 'tetAttributes.<name>'. Readers skip chunks they don't know, so chunks can be added
+ * without a version bump; the version only changes when existing chunks change meaning.
+ */
+export const TET_MESH_ASSET_VERSION = 1;
+
+const MAGIC = 0x4D544554; // 'TETM'
+
+const chunkTypes = {
+    1: Float32Array,
+    2: Uint32Array,
+    3: Uint16Array,
+    4: Int32Array
+};
+
+// The chunks the constructors take, and how many components each has
+const meshChunks = { vertices: 3, tetIds: 4, tetEdgeIds: 2, visVerts: 4, visTriIds: 3, visUVs: 2, visNormals: 3 };
+// Index chunks are handed out as plain arrays, which THREE.BufferGeometry.setIndex() expects
+const indexChunks = ['tetIds', 'tetEdgeIds', 'visTriIds'];
+
+export class TetMeshAssetLoader {
+    /**
+     * @param {string} url
+     * @returns {Promise<TetMeshAsset>}
+     */
+    async load(url) {
+        let response = await fetch(url);
+        if (!response.ok) { throw new Error('TetMeshAssetLoader: could not load ' + url + ' (' + response.status + ')'); }
+        return this.parse(await response.arrayBuffer());
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer
+     * @returns {TetMeshAsset}
+     * @typedef {object} TetMeshAsset
+     * @property {Float32Array} vertices    3 coordinates per particle
+     * @property {number[]}     tetIds      4 particle ids per tet
+     * @property {number[]}     tetEdgeIds  2 particle ids per edge
+     * @property {Float32Array} visVerts    tetNr, b0, b1, b2 per render vertex (see SurfaceEmbedding.js)
+     * @property {number[]}     visTriIds   3 render vertex ids per triangle
+     * @property {Float32Array} [visUVs]    2 per render vertex
+     * @property {Float32Array} [visNormals] 3 per render vertex
+     * @property {Object<string, {numComponents: number, values: ArrayLike<number>}>} tetAttributes
+     */
+    parse(buffer) {
+        let view = new DataView(buffer);
+        if (buffer.byteLength < 12 || view.getUint32(0, true) !== MAGIC) { throw new Error('TetMeshAssetLoader: not a .tetmesh file'); }
+        let version = view.getUint32(4, true);
+        if (version > TET_MESH_ASSET_VERSION) {
+            throw new Error('TetMeshAssetLoader: version ' + version + ' is newer than the supported ' + TET_MESH_ASSET_VERSION);
+        }
+
+        let mesh = { tetAttributes: {} };
+        let numChunks = view.getUint32(8, true);
+        let offset = 12;
+        for (let c = 0; c < numChunks; c++) {
+            let nameLength = view.getUint32(offset, true);
+            let name = new TextDecoder().decode(new Uint8Array(buffer, offset + 4, nameLength));
+            offset += 4 + align(nameLength);
+            let type          = view.getUint32(offset, true);
+            let numComponents = view.getUint32(offset + 4, true);
+            let numValues     = view.getUint32(offset + 8, true);
+            offset += 12;
+            let ArrayType = chunkTypes[type];
+            if (!ArrayType) { throw new Error('TetMeshAssetLoader: unknown type ' + type + ' of chunk ' + name); }
+            let byteLength = numValues * ArrayType.BYTES_PER_ELEMENT;
+            if (offset + byteLength > buffer.byteLength) { throw new Error('TetMeshAssetLoader: chunk ' + name + ' is truncated'); }
+            let values = new ArrayType(buffer.slice(offset, offset + byteLength));
+            offset += align(byteLength);
+
+            if (name in meshChunks) {
+                mesh[name] = indexChunks.includes(name) ? Array.from(values) : Float32Array.from(values);
+            } else if (name.startsWith('tetAttributes.')) {
+                mesh.tetAttributes[name.slice('tetAttributes.'.length)] = { numComponents: numComponents, values: values };
+            }
+        }
+        if (!mesh.vertices || !mesh.tetIds) { throw new Error('TetMeshAssetLoader: the file has no vertices or tetIds'); }
+        return mesh;
+    }
+}
+
+export class TetMeshAssetExporter {
+    /**
+     * @param {{vertices, tetIds, tetEdgeIds?, visVerts?, visTriIds?, visUVs?, visNormals?,
+     *          tetAttributes?: Object<string, {numComponents: number, values: ArrayLike<number>}>}} mesh
+     * @returns {ArrayBuffer} the .tetmesh file contents
+     */
+    parse(mesh) {
+        if (!mesh.vertices || !mesh.tetIds) { throw new Error('TetMeshAssetExporter: vertices and tetIds are required'); }
+        let chunks = [];
+        for (let name in meshChunks) {
+            if (!mesh[name]) { continue; }
+            chunks.push({ name: name, numComponents: meshChunks[name], values: indexChunks.includes(name) ? compactIds(mesh[name]) : Float32Array.from(mesh[name]) });
+        }
+        for (let name in mesh.tetAttributes || {}) {
+            let attribute = mesh.tetAttributes[name];
+            let values = attribute.values instanceof Float32Array || attribute.values instanceof Int32Array ||
+                         attribute.values instanceof Uint32Array  || attribute.values instanceof Uint16Array ? attribute.values : Float32Array.from(attribute.values);
+            chunks.push({ name: 'tetAttributes.' + name, numComponents: attribute.numComponents, values: values });
+        }
+
+        let encoder = new TextEncoder();
+        let byteLength = 12;
+        for (let chunk of chunks) {
+            chunk.nameBytes = encoder.encode(chunk.name);
+            byteLength += 4 + align(chunk.nameBytes.length) + 12 + align(chunk.values.byteLength);
+        }
+        let buffer = new ArrayBuffer(byteLength);
+        let view = new DataView(buffer), bytes = new Uint8Array(buffer);
+        view.setUint32(0, MAGIC, true);
+        view.setUint32(4, TET_MESH_ASSET_VERSION, true);
+        view.setUint32(8, chunks.length, true);
+        let offset = 12;
+        for (let chunk of chunks) {
+            view.setUint32(offset, chunk.nameBytes.length, true);
+            bytes.set(chunk.nameBytes, offset + 4);
+            offset += 4 + align(chunk.nameBytes.length);
+            let type = Object.keys(chunkTypes).find((key) => chunkTypes[key] === chunk.values.constructor);
+            view.setUint32(offset, Number(type), true);
+            view.setUint32(offset + 4, chunk.numComponents, true);
+            view.setUint32(offset + 8, chunk.values.length, true);
+            offset += 12;
+            // Typed arrays are little endian on every platform browsers run on
+            bytes.set(new Uint8Array(chunk.values.buffer, chunk.values.byteOffset, chunk.values.byteLength), offset);
+            offset += align(chunk.values.byteLength);
+        }
+        return buffer;
+    }
+}
+
+function align(byteLength) { return (byteLength + 3) & ~3; }
+
+/** Ids in the smallest unsigned type that holds them */
+function compactIds(ids) {
+    let max = 0;
+    for (let i = 0; i < ids.length; i++) { max = Math.max(max, ids[i]); }
+    return max < 65536 ? Uint16Array.from(ids) : Uint32Array.from(ids);
+}
@@ -0,0 +1,134 @@
+/** Topology helpers for tetrahedral meshes given as flat `tetIds` (4 vertex ids per tet) */
+
+// The faces of a positively oriented tet (a, b, c, d), wound so that their normals point out of it
+export const tetFaces = [[0, 2, 1], [0, 1, 3], [0, 3, 2], [1, 2, 3]];
+
+/**
+ * Finds the triangles that belong to exactly one tet, i.e. the boundary surface.
+ * Triangles are wound counter-clockwise when seen from outside; tets with a
+ * negative orientation are flipped using `vertices` when those are supplied.
+ * @param {ArrayLike<number>} tetIds
+ * @param {ArrayLike<number>} [vertices] flat [x, y, z, ...] positions
+ * @returns {Int32Array} 3 vertex ids per boundary triangle
+ */
+export function extractSurfaceTriangles(tetIds, vertices) {
+    let numElems = tetIds.length / 4;
+    let numVerts = 0;
+    for (let i = 0; i < tetIds.length; i++) { numVerts = Math.max(numVerts, tetIds[i] + 1); }
+
+    // Count how many tets share each face, keyed by its sorted vertex ids
+    let faceCounts = new Map();
+    let faces = new Int32Array(12 * numElems);
+    let sorted = [0, 0, 0];
+    for (let i = 0; i < numElems; i++) {
+        let flip = vertices && tetOrientation(tetIds, i, vertices) < 0.0;
+        for (let f = 0; f < 4; f++) {
+            let face = 3 * (4 * i + f);
+            faces[face    ] = tetIds[4 * i + tetFaces[f][0]];
+            faces[face + 1] = tetIds[4 * i + tetFaces[f][flip ? 2 : 1]];
+            faces[face + 2] = tetIds[4 * i + tetFaces[f][flip ? 1 : 2]];
+            sorted[0] = faces[face]; sorted[1] = faces[face + 1]; sorted[2] = faces[face + 2];
+            sorted.sort((a, b) => a - b);
+            let key = (sorted[0] * numVerts + sorted[1]) * numVerts + sorted[2];
+            faceCounts.set(key, (faceCounts.get(key) || 0) + 1);
+        }
+    }
+
+    let surface = [];
+    for (let face = 0; face < faces.length; face += 3) {
+        sorted[0] = faces[face]; sorted[1] = faces[face + 1]; sorted[2] = faces[face + 2];
+        sorted.sort((a, b) => a - b);
+        if (faceCounts.get((sorted[0] * numVerts + sorted[1]) * numVerts + sorted[2]) === 1) {
+            surface.push(faces[face], faces[face + 1], faces[face + 2]);
+        }
+    }
+    return new Int32Array(surface);
+}
+
+/** The distinct vertex ids referenced by a triangle list */
+export function surfaceVertexIds(triIds) {
+    let ids = Array.from(new Set(triIds));
+    ids.sort((a, b) => a - b);
+    return new Int32Array(ids);
+}
+
+/** Six times the signed volume of tet `elemNr`; positive when its vertices are ordered as the solvers expect */
+export function tetOrientation(tetIds, elemNr, vertices) {
+    let id0 = 3 * tetIds[4 * elemNr], id1 = 3 * tetIds[4 * elemNr + 1];
+    let id2 = 3 * tetIds[4 * elemNr + 2], id3 = 3 * tetIds[4 * elemNr + 3];
+    let ax = vertices[id1] - vertices[id0], ay = vertices[id1 + 1] - vertices[id0 + 1], az = vertices[id1 + 2] - vertices[id0 + 2];
+    let bx = vertices[id2] - vertices[id0], by = vertices[id2 + 1] - vertices[id0 + 1], bz = vertices[id2 + 2] - vertices[id0 + 2];
+    let cx = vertices[id3] - vertices[id0], cy = vertices[id3 + 1] - vertices[id0 + 1], cz = vertices[id3 + 2] - vertices[id0 + 2];
+    return (ay * bz - az * by) * cx + (az * bx - ax * bz) * cy + (ax * by - ay * bx) * cz;
+}
+
+/**
+ * The distinct edges of a tet mesh, e.g. for the tet wireframe
+ * @returns {number[]} 2 vertex ids per edge
+ */
+export function computeTetEdgeIds(tetIds) {
+    let numVerts = 0;
+    for (let i = 0; i < tetIds.length; i++) { numVerts = Math.max(numVerts, tetIds[i] + 1); }
+
+    let seen = new Set(), edgeIds = [];
+    for (let i = 0; i < tetIds.length; i += 4) {
+        for (let a = 0; a < 4; a++) {
+            for (let b = a + 1; b < 4; b++) {
+                let id0 = Math.min(tetIds[i + a], tetIds[i + b]), id1 = Math.max(tetIds[i + a], tetIds[i + b]);
+                let key = id0 * numVerts + id1;
+                if (seen.has(key)) { continue; }
+                seen.add(key);
+                edgeIds.push(id0, id1);
+            }
+        }
+    }
+    return edgeIds;
+}
+
+/** Swaps the last two vertices of every negatively oriented tet, in place, so all have positive volume */
+export function orientTets(tetIds, vertices) {
+    for (let i = 0; i < tetIds.length / 4; i++) {
+        if (tetOrientation(tetIds, i, vertices) < 0.0) {
+            let id2 = tetIds[4 * i + 2];
+            tetIds[4 * i + 2] = tetIds[4 * i + 3];
+            tetIds[4 * i + 3] = id2;
+        }
+    }
+    return tetIds;
+}
+
+// ----- particle selections, e.g. for pinning -----
+
+/**
+ * The vertices inside an axis aligned box
+ * @param {ArrayLike<number>} vertices 3 coordinates per vertex
+ * @param {ArrayLike<number>} min the box's smallest x, y, z (anything indexable, or with x, y, z)
+ * @param {ArrayLike<number>} max its largest
+ * @returns {Int32Array}
+ */
+export function particlesInBox(vertices, min, max) {
+    let lo = [min.x ?? min[0], min.y ?? min[1], min.z ?? min[2]];
+    let hi = [max.x ?? max[0], max.y ?? max[1], max.z ?? max[2]];
+    let ids = [];
+    for (let i = 0; i < vertices.length / 3; i++) {
+        let x = vertices[3 * i], y = vertices[3 * i + 1], z = vertices[3 * i + 2];
+        if (x >= lo[0] && x <= hi[0] && y >= lo[1] && y <= hi[1] && z >= lo[2] && z <= hi[2]) { ids.push(i); }
+    }
+    return new Int32Array(ids);
+}
+
+/**
+ * The vertices of every tet with the given tag (e.g. a GmshLoader physical group)
+ * @param {ArrayLike<number>} tetIds
+ * @param {ArrayLike<number>} tetTags one per tet
+ * @param {number} tag
+ * @returns {Int32Array}
+ */
+export function particlesWithTetTag(tetIds, tetTags, tag) {
+    let ids = new Set();
+    for (let t = 0; t < tetTags.length; t++) {
+        if (tetTags[t] !== tag) { continue; }
+        for (let j = 0; j < 4; j++) { ids.add(tetIds[4 * t + j]); }
+    }
+    return Int32Array.from(Array.from(ids).sort((a, b) => a - b));
+}
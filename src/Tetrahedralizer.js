@@ -0,0 +1,506 @@
+import { SpatialHash } from './SpatialHash.js';
+import { closestPointOnTriangle } from './SoftBodyContacts.js';
+import { computeTetEdgeIds, extractSurfaceTriangles, orientTets, tetFaces } from './TetMeshUtils.js';
+
+/**
+ * Fills a closed triangle mesh with tetrahedra, after Matthias Müller's Blender tetrahedralizer
+ * ("Ten Minute Physics", tutorial 10):
+ *  1. the surface vertices plus a slightly shaken grid of interior points (`resolution` cells along the longest side)
+ *     are Delaunay tetrahedralized (Bowyer-Watson) inside a big enclosing tet,
+ *  2. tets touching the enclosing tet and tets whose center lies outside the surface are removed,
+ *  3. tets whose quality is below 10^minQualityExp (1 is a regular tet) are peeled off the boundary
+ *     where that keeps the surface manifold; those deeper inside stay, as removing them would leave
+ *     internal voids (see removeSlivers).
+ *
+ * The output feeds straight into the SoftBody / SoftBodyGPU constructors.
+ */
+export class Tetrahedralizer {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.resolution=10]   interior grid cells along the longest side; 0 uses only the surface vertices
+     * @param {number} [options.minQualityExp=-3] tets with a quality below 10^minQualityExp are dropped
+     * @param {number} [options.seed=1]          seeds the tiny perturbation that breaks up degenerate (coplanar) points
+     */
+    constructor(options = {}) {
+        options = Object.assign({ resolution: 10, minQualityExp: -3, seed: 1 }, options);
+        this.resolution    = options.resolution;
+        this.minQualityExp = options.minQualityExp;
+        this.seed          = options.seed;
+    }
+
+    /**
+     * @param {THREE.BufferGeometry} geometry a watertight triangle mesh, indexed or not;
+     *        vertices split along seams (normals, uvs) are welded first
+     * @returns {{tetVerts: Float32Array, tetIds: number[], tetEdgeIds: number[], surfaceTriIds: number[]}}
+     */
+    tetrahedralize(geometry) {
+        let surface = weldVertices(geometry);
+        if (surface.triIds.length === 0) { throw new Error('Tetrahedralizer: the geometry has no triangles'); }
+
+        let bounds = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < surface.vertices.length; i++) {
+            bounds[i % 3]     = Math.min(bounds[i % 3],     surface.vertices[i]);
+            bounds[i % 3 + 3] = Math.max(bounds[i % 3 + 3], surface.vertices[i]);
+        }
+        let dims = [bounds[3] - bounds[0], bounds[4] - bounds[1], bounds[5] - bounds[2]];
+        let size = Math.sqrt(dims[0] * dims[0] + dims[1] * dims[1] + dims[2] * dims[2]);
+        let inside = new InsideTester(surface.vertices, surface.triIds, bounds);
+
+        // The points to connect: surface vertices, then interior grid points not too close to the surface
+        let random = mulberry32(this.seed);
+        let points = Array.from(surface.vertices);
+        if (this.resolution > 0) {
+            let h = Math.max(dims[0], dims[1], dims[2]) / this.resolution;
+            let hash = new SpatialHash(h, surface.triIds.length / 3);
+            hash.createFromBounds(triangleBounds(surface.vertices, surface.triIds));
+            let p = [0, 0, 0], bary = [0, 0, 0];
+            for (let x = bounds[0] + 0.5 * h; x < bounds[3]; x += h) {
+                for (let y = bounds[1] + 0.5 * h; y < bounds[4]; y += h) {
+                    for (let z = bounds[2] + 0.5 * h; z < bounds[5]; z += h) {
+                        // Shaken by a tenth of a cell: a regular grid has many cospherical points, whose
+                        // Delaunay tets include flat ones that could only be dropped by opening voids
+                        p[0] = x + 0.1 * h * (random() - 0.5); p[1] = y + 0.1 * h * (random() - 0.5); p[2] = z + 0.1 * h * (random() - 0.5);
+                        if (inside.isInside(p) && !nearSurface(p, 0.5 * h, hash, surface, bary)) { points.push(p[0], p[1], p[2]); }
+                    }
+                }
+            }
+        }
+        let numPoints = points.length / 3;
+
+        // Delaunay needs points in general position, so it works on a jittered copy
+        let jittered = new Float64Array(3 * (numPoints + 4));
+        for (let i = 0; i < points.length; i++) { jittered[i] = points[i] + 1.0e-5 * size * (random() - 0.5); }
+        let center = [0.5 * (bounds[0] + bounds[3]), 0.5 * (bounds[1] + bounds[4]), 0.5 * (bounds[2] + bounds[5])];
+        let bigTet = [1, 1, 1, 1, -1, -1, -1, -1, 1, -1, 1, -1]; // positively oriented
+        for (let i = 0; i < 12; i++) { jittered[3 * numPoints + i] = center[i % 3] + 5.0 * size * bigTet[i]; }
+
+        let delaunayIds = delaunay(jittered, numPoints + 4);
+
+        // Keep the tets inside the surface, then peel off the bad ones
+        let tetIds = [], qualities = [], c = [0, 0, 0];
+        for (let i = 0; i < delaunayIds.length; i += 4) {
+            let id0 = delaunayIds[i], id1 = delaunayIds[i + 1], id2 = delaunayIds[i + 2], id3 = delaunayIds[i + 3];
+            if (id0 >= numPoints || id1 >= numPoints || id2 >= numPoints || id3 >= numPoints) { continue; }
+            for (let k = 0; k < 3; k++) {
+                c[k] = 0.25 * (jittered[3 * id0 + k] + jittered[3 * id1 + k] + jittered[3 * id2 + k] + jittered[3 * id3 + k]);
+            }
+            if (inside.isInside(c)) {
+                tetIds.push(id0, id1, id2, id3);
+                qualities.push(tetQuality(jittered, id0, id1, id2, id3));
+            }
+        }
+        tetIds = removeSlivers(tetIds, qualities, Math.pow(10.0, this.minQualityExp), numPoints);
+
+        // Drop the points no tet uses
+        let newIds = new Int32Array(numPoints).fill(-1), numVerts = 0;
+        for (let i = 0; i < tetIds.length; i++) {
+            if (newIds[tetIds[i]] < 0) { newIds[tetIds[i]] = numVerts++; }
+        }
+        let tetVerts = new Float32Array(3 * numVerts);
+        for (let i = 0; i < numPoints; i++) {
+            if (newIds[i] < 0) { continue; }
+            tetVerts[3 * newIds[i]] = points[3 * i]; tetVerts[3 * newIds[i] + 1] = points[3 * i + 1]; tetVerts[3 * newIds[i] + 2] = points[3 * i + 2];
+        }
+        for (let i = 0; i < tetIds.length; i++) { tetIds[i] = newIds[tetIds[i]]; }
+        orientTets(tetIds, tetVerts);
+
+        return {
+            tetVerts     : tetVerts,
+            tetIds       : tetIds,
+            tetEdgeIds   : computeTetEdgeIds(tetIds),
+            surfaceTriIds: Array.from(extractSurfaceTriangles(tetIds, tetVerts))
+        };
+    }
+}
+
+/**
+ * Drops the tets below minQuality that can go without breaking the surface: one at a time, a bad tet
+ * is removed once one of its faces is on the surface and every edge of it still has 0 or 2 surface
+ * triangles around it afterwards. Removing them all at once would leave internal voids touching the
+ * rest of the surface only at edges, i.e. a non-manifold boundary.
+ * @returns {number[]} the remaining tets
+ */
+function removeSlivers(tetIds, qualities, minQuality, numPoints) {
+    let numTets = tetIds.length / 4;
+    let faceKey = (t, f) => {
+        let ids = [tetIds[4 * t + tetFaces[f][0]], tetIds[4 * t + tetFaces[f][1]], tetIds[4 * t + tetFaces[f][2]]].sort((a, b) => a - b);
+        return (ids[0] * numPoints + ids[1]) * numPoints + ids[2];
+    };
+    let edgeKey = (a, b) => Math.min(a, b) * numPoints + Math.max(a, b);
+    let faceEdges = (t, f) => {
+        let a = tetIds[4 * t + tetFaces[f][0]], b = tetIds[4 * t + tetFaces[f][1]], c = tetIds[4 * t + tetFaces[f][2]];
+        return [edgeKey(a, b), edgeKey(b, c), edgeKey(c, a)];
+    };
+
+    // How many tets share each face, and how many surface faces (those of one tet) meet at each edge
+    let faceCounts = new Map(), edgeCounts = new Map();
+    for (let t = 0; t < numTets; t++) {
+        for (let f = 0; f < 4; f++) { faceCounts.set(faceKey(t, f), (faceCounts.get(faceKey(t, f)) || 0) + 1); }
+    }
+    for (let t = 0; t < numTets; t++) {
+        for (let f = 0; f < 4; f++) {
+            if (faceCounts.get(faceKey(t, f)) !== 1) { continue; }
+            for (let e of faceEdges(t, f)) { edgeCounts.set(e, (edgeCounts.get(e) || 0) + 1); }
+        }
+    }
+
+    let removed = new Uint8Array(numTets), changes = new Map();
+    for (let peeled = true; peeled;) {
+        peeled = false;
+        for (let t = 0; t < numTets; t++) {
+            if (removed[t] || qualities[t] >= minQuality) { continue; }
+            // Its surface faces disappear, its inner faces become surface
+            changes.clear();
+            let onSurface = false;
+            for (let f = 0; f < 4; f++) {
+                let shared = faceCounts.get(faceKey(t, f)) > 1;
+                onSurface = onSurface || !shared;
+                for (let e of faceEdges(t, f)) { changes.set(e, (changes.get(e) || 0) + (shared ? 1 : -1)); }
+            }
+            if (!onSurface) { continue; }
+            let manifold = true;
+            for (let [e, change] of changes) {
+                let count = (edgeCounts.get(e) || 0) + change;
+                if (count !== 0 && count !== 2) { manifold = false; break; }
+            }
+            if (!manifold) { continue; }
+
+            removed[t] = 1;
+            peeled = true;
+            for (let f = 0; f < 4; f++) { faceCounts.set(faceKey(t, f), faceCounts.get(faceKey(t, f)) - 1); }
+            for (let [e, change] of changes) { edgeCounts.set(e, (edgeCounts.get(e) || 0) + change); }
+        }
+    }
+    return tetIds.filter((id, i) => !removed[i >> 2]);
+}
+
+/** Merges vertices at the same position; returns the distinct positions and the triangles between them */
+function weldVertices(geometry) {
+    let position = geometry.getAttribute('position');
+    let index    = geometry.getIndex();
+    let numTris  = (index ? index.count : position.count) / 3;
+
+    let bounds = 0;
+    for (let i = 0; i < position.count; i++) {
+        bounds = Math.max(bounds, Math.abs(position.getX(i)), Math.abs(position.getY(i)), Math.abs(position.getZ(i)));
+    }
+    let tolerance = 1.0e-6 * Math.max(bounds, 1.0e-30);
+
+    let keyToId = new Map(), ids = new Int32Array(position.count), vertices = [];
+    for (let i = 0; i < position.count; i++) {
+        let x = position.getX(i), y = position.getY(i), z = position.getZ(i);
+        let key = Math.round(x / tolerance) + ',' + Math.round(y / tolerance) + ',' + Math.round(z / tolerance);
+        let id = keyToId.get(key);
+        if (id === undefined) {
+            id = vertices.length / 3;
+            keyToId.set(key, id);
+            vertices.push(x, y, z);
+        }
+        ids[i] = id;
+    }
+
+    let triIds = [];
+    for (let i = 0; i < numTris; i++) {
+        let id0 = ids[index ? index.getX(3 * i) : 3 * i];
+        let id1 = ids[index ? index.getX(3 * i + 1) : 3 * i + 1];
+        let id2 = ids[index ? index.getX(3 * i + 2) : 3 * i + 2];
+        if (id0 !== id1 && id1 !== id2 && id2 !== id0) { triIds.push(id0, id1, id2); }
+    }
+    return { vertices: new Float64Array(vertices), triIds: new Int32Array(triIds) };
+}
+
+function triangleBounds(vertices, triIds) {
+    let bounds = new Float32Array(2 * triIds.length);
+    for (let i = 0; i < triIds.length / 3; i++) {
+        for (let k = 0; k < 3; k++) {
+            let a = vertices[3 * triIds[3 * i] + k], b = vertices[3 * triIds[3 * i + 1] + k], c = vertices[3 * triIds[3 * i + 2] + k];
+            bounds[6 * i + k]     = Math.min(a, b, c);
+            bounds[6 * i + 3 + k] = Math.max(a, b, c);
+        }
+    }
+    return bounds;
+}
+
+/** Whether point p lies within `minDist` of a surface triangle */
+function nearSurface(p, minDist, hash, surface, bary) {
+    let v = surface.vertices, t = surface.triIds;
+    hash.query(p, 0, minDist);
+    for (let q = 0; q < hash.querySize; q++) {
+        let tri = hash.queryIds[q];
+        let id0 = t[3 * tri], id1 = t[3 * tri + 1], id2 = t[3 * tri + 2];
+        closestPointOnTriangle(p, 0, v, id0, id1, id2, bary);
+        let d2 = 0.0;
+        for (let k = 0; k < 3; k++) {
+            let d = p[k] - (bary[0] * v[3 * id0 + k] + bary[1] * v[3 * id1 + k] + bary[2] * v[3 * id2 + k]);
+            d2 += d * d;
+        }
+        if (d2 < minDist * minDist) { return true; }
+    }
+    return false;
+}
+
+/**
+ * Inside / outside classification by ray parity: a point is inside when at least two of
+ * its rays along +x, +y and +z cross the surface an odd number of times. Each ray direction
+ * buckets the triangles into a 2D grid across it.
+ */
+class InsideTester {
+    constructor(vertices, triIds, bounds) {
+        this.vertices = vertices;
+        this.triIds   = triIds;
+        this.grids    = [0, 1, 2].map((axis) => this.createGrid(axis, bounds));
+    }
+
+    createGrid(axis, bounds) {
+        let u = (axis + 1) % 3, v = (axis + 2) % 3;
+        let numTris = this.triIds.length / 3;
+        let n = Math.max(1, Math.ceil(Math.sqrt(numTris)));
+        let grid = {
+            u: u, v: v, n: n,
+            minU: bounds[u], minV: bounds[v],
+            cellU: Math.max(bounds[u + 3] - bounds[u], 1.0e-30) / n,
+            cellV: Math.max(bounds[v + 3] - bounds[v], 1.0e-30) / n,
+            cellStart: new Int32Array(n * n + 1),
+            cellEntries: null
+        };
+
+        let forEachCell = (tri, callback) => {
+            let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+            for (let k = 0; k < 3; k++) {
+                let id = this.triIds[3 * tri + k];
+                minU = Math.min(minU, this.vertices[3 * id + u]); maxU = Math.max(maxU, this.vertices[3 * id + u]);
+                minV = Math.min(minV, this.vertices[3 * id + v]); maxV = Math.max(maxV, this.vertices[3 * id + v]);
+            }
+            let u0 = this.cellIndex(grid, minU, 'u'), u1 = this.cellIndex(grid, maxU, 'u');
+            let v0 = this.cellIndex(grid, minV, 'v'), v1 = this.cellIndex(grid, maxV, 'v');
+            for (let ui = u0; ui <= u1; ui++) {
+                for (let vi = v0; vi <= v1; vi++) { callback(ui + n * vi); }
+            }
+        };
+        let numEntries = 0;
+        for (let i = 0; i < numTris; i++) { forEachCell(i, (cell) => { grid.cellStart[cell]++; numEntries++; }); }
+        let start = 0;
+        for (let i = 0; i < n * n; i++) {
+            start += grid.cellStart[i];
+            grid.cellStart[i] = start;
+        }
+        grid.cellStart[n * n] = start; // guard
+        grid.cellEntries = new Int32Array(numEntries);
+        for (let i = 0; i < numTris; i++) { forEachCell(i, (cell) => { grid.cellEntries[--grid.cellStart[cell]] = i; }); }
+        return grid;
+    }
+
+    cellIndex(grid, coord, uv) {
+        let i = uv === 'u' ? Math.floor((coord - grid.minU) / grid.cellU) : Math.floor((coord - grid.minV) / grid.cellV);
+        return Math.max(0, Math.min(grid.n - 1, i));
+    }
+
+    /** The number of surface crossings of the ray from p along +axis */
+    countCrossings(p, axis) {
+        let grid = this.grids[axis], u = grid.u, v = grid.v, vs = this.vertices;
+        let pu = p[u], pv = p[v];
+        if (pu < grid.minU || pu > grid.minU + grid.n * grid.cellU || pv < grid.minV || pv > grid.minV + grid.n * grid.cellV) { return 0; }
+        let cell = this.cellIndex(grid, pu, 'u') + grid.n * this.cellIndex(grid, pv, 'v');
+        let crossings = 0;
+        for (let i = grid.cellStart[cell]; i < grid.cellStart[cell + 1]; i++) {
+            let tri = grid.cellEntries[i];
+            let a = 3 * this.triIds[3 * tri], b = 3 * this.triIds[3 * tri + 1], c = 3 * this.triIds[3 * tri + 2];
+            // 2D edge functions across the ray: the barycentric coordinates of the hit, unnormalized
+            let wa = (vs[b + u] - pu) * (vs[c + v] - pv) - (vs[c + u] - pu) * (vs[b + v] - pv);
+            let wb = (vs[c + u] - pu) * (vs[a + v] - pv) - (vs[a + u] - pu) * (vs[c + v] - pv);
+            let wc = (vs[a + u] - pu) * (vs[b + v] - pv) - (vs[b + u] - pu) * (vs[a + v] - pv);
+            if (!((wa > 0.0 && wb > 0.0 && wc > 0.0) || (wa < 0.0 && wb < 0.0 && wc < 0.0))) { continue; }
+            let hit = (wa * vs[a + axis] + wb * vs[b + axis] + wc * vs[c + axis]) / (wa + wb + wc);
+            if (hit > p[axis]) { crossings++; }
+        }
+        return crossings;
+    }
+
+    isInside(p) {
+        let votes = 0;
+        for (let axis = 0; axis < 3; axis++) { votes += this.countCrossings(p, axis) % 2; }
+        return votes >= 2;
+    }
+}
+
+/**
+ * Bowyer-Watson Delaunay tetrahedralization of points[0 .. numPoints - 1], whose last four
+ * points must form a positively oriented tet enclosing all the others.
+ * @returns {number[]} 4 point ids per tet, positively oriented, including tets touching the enclosing tet
+ */
+function delaunay(points, numPoints) {
+    let tetIds    = [numPoints - 4, numPoints - 3, numPoints - 2, numPoints - 1];
+    let neighbors = [-1, -1, -1, -1]; // the tet across face f (see tetFaces) of each tet
+    let spheres   = [];               // circumcenter and squared radius of each tet
+    let marks     = [0];
+    let mark      = 0;
+    let freeTets  = [];
+    setCircumsphere(points, tetIds, 0, spheres);
+
+    let p = [0, 0, 0], lastTet = 0;
+    let cavity = [], stack = [], boundary = [], edges = new Map();
+    for (let i = 0; i < numPoints - 4; i++) {
+        p[0] = points[3 * i]; p[1] = points[3 * i + 1]; p[2] = points[3 * i + 2];
+
+        // The tet containing p, by walking from the last one created; a scan as a fallback
+        mark++;
+        let tetNr = locate(points, tetIds, neighbors, marks, mark, lastTet, p);
+        for (let t = 0; tetNr < 0 && t < marks.length; t++) {
+            if (tetIds[4 * t] >= 0 && inSphere(spheres, t, p)) { tetNr = t; }
+        }
+        if (tetNr < 0) { continue; }
+
+        // The cavity: all connected tets whose circumsphere contains p
+        mark++;
+        cavity.length = 0;
+        stack.length = 0;
+        stack.push(tetNr);
+        marks[tetNr] = mark;
+        while (stack.length > 0) {
+            let t = stack.pop();
+            cavity.push(t);
+            for (let f = 0; f < 4; f++) {
+                let n = neighbors[4 * t + f];
+                if (n < 0 || marks[n] === mark || !inSphere(spheres, n, p)) { continue; }
+                marks[n] = mark;
+                stack.push(n);
+            }
+        }
+
+        // Its boundary faces, wound out of the cavity, each with the tet outside it and
+        // the slot in that tet's neighbors which points back into the cavity
+        boundary.length = 0;
+        for (let t of cavity) {
+            for (let f = 0; f < 4; f++) {
+                let n = neighbors[4 * t + f];
+                if (n >= 0 && marks[n] === mark) { continue; }
+                let backSlot = -1;
+                for (let g = 0; n >= 0 && g < 4; g++) { if (neighbors[4 * n + g] === t) { backSlot = 4 * n + g; } }
+                boundary.push(tetIds[4 * t + tetFaces[f][0]], tetIds[4 * t + tetFaces[f][1]], tetIds[4 * t + tetFaces[f][2]], n, backSlot);
+            }
+        }
+        for (let t of cavity) {
+            tetIds[4 * t] = -1;
+            freeTets.push(t);
+        }
+
+        // Connect p to every boundary face
+        edges.clear();
+        for (let b = 0; b < boundary.length; b += 5) {
+            let newTet = freeTets.length > 0 ? freeTets.pop() : marks.length;
+            marks[newTet] = 0;
+            // (f0, f2, f1, p) is positive, and its face 0 is the boundary face
+            let id0 = boundary[b], id1 = boundary[b + 2], id2 = boundary[b + 1];
+            tetIds[4 * newTet] = id0; tetIds[4 * newTet + 1] = id1; tetIds[4 * newTet + 2] = id2; tetIds[4 * newTet + 3] = i;
+            setCircumsphere(points, tetIds, newTet, spheres);
+
+            neighbors[4 * newTet] = boundary[b + 3];
+            if (boundary[b + 4] >= 0) { neighbors[boundary[b + 4]] = newTet; }
+            // Faces 1, 2, 3 hold p and edges (id0, id1), (id0, id2), (id1, id2); new tets sharing an edge are neighbors
+            linkAcrossEdge(edges, neighbors, numPoints, id0, id1, newTet, 1);
+            linkAcrossEdge(edges, neighbors, numPoints, id0, id2, newTet, 2);
+            linkAcrossEdge(edges, neighbors, numPoints, id1, id2, newTet, 3);
+            lastTet = newTet;
+        }
+    }
+
+    let result = [];
+    for (let t = 0; t < marks.length; t++) {
+        if (tetIds[4 * t] >= 0) { result.push(tetIds[4 * t], tetIds[4 * t + 1], tetIds[4 * t + 2], tetIds[4 * t + 3]); }
+    }
+    return result;
+}
+
+function linkAcrossEdge(edges, neighbors, numPoints, id0, id1, tet, face) {
+    let key = Math.min(id0, id1) * numPoints + Math.max(id0, id1);
+    let other = edges.get(key);
+    if (other === undefined) {
+        edges.set(key, 4 * tet + face);
+        neighbors[4 * tet + face] = -1;
+    } else {
+        neighbors[4 * tet + face] = other >> 2;
+        neighbors[other] = tet;
+        edges.delete(key);
+    }
+}
+
+/** Walks from tet `start` towards p, each time leaving through the face the ray from the tet's center to p exits */
+function locate(points, tetIds, neighbors, marks, mark, start, p) {
+    let tetNr = start;
+    while (tetNr >= 0 && marks[tetNr] !== mark) {
+        marks[tetNr] = mark;
+        let c = [0, 0, 0];
+        for (let k = 0; k < 3; k++) {
+            for (let j = 0; j < 4; j++) { c[k] += 0.25 * points[3 * tetIds[4 * tetNr + j] + k]; }
+        }
+        let minT = Infinity, minFace = -1;
+        for (let f = 0; f < 4; f++) {
+            let i0 = 3 * tetIds[4 * tetNr + tetFaces[f][0]], i1 = 3 * tetIds[4 * tetNr + tetFaces[f][1]], i2 = 3 * tetIds[4 * tetNr + tetFaces[f][2]];
+            let ax = points[i1] - points[i0], ay = points[i1 + 1] - points[i0 + 1], az = points[i1 + 2] - points[i0 + 2];
+            let bx = points[i2] - points[i0], by = points[i2 + 1] - points[i0 + 1], bz = points[i2 + 2] - points[i0 + 2];
+            let nx = ay * bz - az * by, ny = az * bx - ax * bz, nz = ax * by - ay * bx;
+            let hp = nx * (p[0] - points[i0]) + ny * (p[1] - points[i0 + 1]) + nz * (p[2] - points[i0 + 2]);
+            let hc = nx * (c[0] - points[i0]) + ny * (c[1] - points[i0 + 1]) + nz * (c[2] - points[i0 + 2]);
+            if (hp <= 0.0 || hp === hc) { continue; } // p is not beyond this face
+            let t = -hc / (hp - hc);
+            if (t < minT) { minT = t; minFace = f; }
+        }
+        if (minFace < 0) { return tetNr; }
+        tetNr = neighbors[4 * tetNr + minFace];
+    }
+    return -1;
+}
+
+function setCircumsphere(points, tetIds, tetNr, spheres) {
+    let i0 = 3 * tetIds[4 * tetNr], i1 = 3 * tetIds[4 * tetNr + 1], i2 = 3 * tetIds[4 * tetNr + 2], i3 = 3 * tetIds[4 * tetNr + 3];
+    let ax = points[i1] - points[i0], ay = points[i1 + 1] - points[i0 + 1], az = points[i1 + 2] - points[i0 + 2];
+    let bx = points[i2] - points[i0], by = points[i2 + 1] - points[i0 + 1], bz = points[i2 + 2] - points[i0 + 2];
+    let cx = points[i3] - points[i0], cy = points[i3 + 1] - points[i0 + 1], cz = points[i3 + 2] - points[i0 + 2];
+    // center = p0 + (|a|^2 (b x c) + |b|^2 (c x a) + |c|^2 (a x b)) / (2 a . (b x c))
+    let bcx = by * cz - bz * cy, bcy = bz * cx - bx * cz, bcz = bx * cy - by * cx;
+    let cax = cy * az - cz * ay, cay = cz * ax - cx * az, caz = cx * ay - cy * ax;
+    let abx = ay * bz - az * by, aby = az * bx - ax * bz, abz = ax * by - ay * bx;
+    let det = 2.0 * (ax * bcx + ay * bcy + az * bcz);
+    let a2 = ax * ax + ay * ay + az * az, b2 = bx * bx + by * by + bz * bz, c2 = cx * cx + cy * cy + cz * cz;
+    let s = 4 * tetNr;
+    if (det === 0.0) { // Flat: treat its sphere as infinite, so the next point removes it
+        spheres[s] = points[i0]; spheres[s + 1] = points[i0 + 1]; spheres[s + 2] = points[i0 + 2]; spheres[s + 3] = Infinity;
+        return;
+    }
+    let ox = (a2 * bcx + b2 * cax + c2 * abx) / det;
+    let oy = (a2 * bcy + b2 * cay + c2 * aby) / det;
+    let oz = (a2 * bcz + b2 * caz + c2 * abz) / det;
+    spheres[s] = points[i0] + ox; spheres[s + 1] = points[i0 + 1] + oy; spheres[s + 2] = points[i0 + 2] + oz;
+    spheres[s + 3] = ox * ox + oy * oy + oz * oz;
+}
+
+function inSphere(spheres, tetNr, p) {
+    let s = 4 * tetNr;
+    let dx = p[0] - spheres[s], dy = p[1] - spheres[s + 1], dz = p[2] - spheres[s + 2];
+    return dx * dx + dy * dy + dz * dz < spheres[s + 3];
+}
+
+/** 1 for a regular tet, towards 0 for slivers, negative when inverted */
+function tetQuality(points, id0, id1, id2, id3) {
+    let p0 = 3 * id0, p1 = 3 * id1, p2 = 3 * id2, p3 = 3 * id3;
+    let d = (a, b, k) => points[b + k] - points[a + k];
+    let pairs = [[p0, p1], [p0, p2], [p0, p3], [p1, p2], [p2, p3], [p3, p1]];
+    let ms = 0.0;
+    for (let [a, b] of pairs) { ms += d(a, b, 0) * d(a, b, 0) + d(a, b, 1) * d(a, b, 1) + d(a, b, 2) * d(a, b, 2); }
+    let rms = Math.sqrt(ms / 6.0);
+    let ax = d(p0, p1, 0), ay = d(p0, p1, 1), az = d(p0, p1, 2);
+    let bx = d(p0, p2, 0), by = d(p0, p2, 1), bz = d(p0, p2, 2);
+    let cx = d(p0, p3, 0), cy = d(p0, p3, 1), cz = d(p0, p3, 2);
+    let vol = ((ay * bz - az * by) * cx + (az * bx - ax * bz) * cy + (ax * by - ay * bx) * cz) / 6.0;
+    return 12.0 / Math.sqrt(2.0) * vol / (rms * rms * rms);
+}
+
+/** A small seeded random number generator, so the same input always gives the same tets */
+function mulberry32(seed) {
+    return () => {
+        seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,122 @@
+/**
+ * Transport controls for a PhysicsScene: pause / resume, stepping one frame or one substep,
+ * slow motion, and a ring buffer of recent states (PhysicsScene.getState) to step back through.
+ *
+ * The application calls `update(frameDt)` once per rendered frame instead of `scene.step()`:
+ *   let timeline = new Timeline(scene, { historySize: 120 });
+ *   ...every frame: timeline.update(physicsParams.timeStep);
+ *
+ * Slow motion steps the scene on every 1 / speed rendered frames, so the simulation itself
+ * (and any recording of it) is the same as at full speed; physicsParams.timeScale, in contrast,
+ * changes the simulated time per frame.
+ *
+ * Adding or removing a body forgets the history, as its states no longer fit the scene.
+ */
+export class Timeline {
+    /**
+     * @param {PhysicsScene} scene
+     * @param {object} [options]
+     * @param {number} [options.historySize=120]   how many states to keep for stepping back
+     * @param {number} [options.historyInterval=1] keep the state after every this many frames
+     *        (snapshots read the GPU backend's textures back, so it is worth thinning out there)
+     */
+    constructor(scene, options = {}) {
+        options = Object.assign({ historySize: 120, historyInterval: 1 }, options);
+        this.scene           = scene;
+        this.historySize     = options.historySize;
+        this.historyInterval = options.historyInterval;
+        this.paused          = false;
+        this.speed           = 1.0;  // Frames stepped per rendered frame, up to 1
+        this.accumulator     = 0.0;
+        this.history         = new Array(this.historySize);
+        this.historyStart    = 0;    // The ring buffer index of the oldest state
+        this.historyLength   = 0;
+        this.cursor          = -1;   // How far back (in states) the shown state is; -1 while live
+
+        // States taken with other bodies in the scene can't be restored into it
+        scene.on('add',    () => this.clear());
+        scene.on('remove', () => this.clear());
+    }
+
+    pause()  { this.paused = true;  }
+    resume() { this.paused = false; }
+    togglePause() { this.paused = !this.paused; }
+
+    /** Advances the scene as far as this rendered frame calls for */
+    update(frameDt = this.scene.physicsParams.timeStep) {
+        if (this.paused) { return; }
+        this.accumulator += Math.min(this.speed, 1.0);
+        if (this.accumulator < 1.0 - 1.0e-9) { return; }
+        this.accumulator -= 1.0;
+        this.step(frameDt);
+    }
+
+    /** Advances the scene by one frame (e.g. while paused) */
+    step(frameDt = this.scene.physicsParams.timeStep) {
+        if (this.historyLength === 0) { this.capture(); } // So the very first frame can be stepped back to
+        this.resumeFromCursor();
+        this.scene.step(frameDt);
+        if (this.scene.stepCount % this.historyInterval === 0) { this.capture(); }
+    }
+
+    /** Advances the scene by a single substep of a frame of length frameDt */
+    stepSubstep(frameDt = this.scene.physicsParams.timeStep) {
+        this.resumeFromCursor();
+        this.scene.substep(this.scene.substepDt(frameDt));
+        this.scene.endFrame();
+    }
+
+    /** The number of states kept */
+    get numStates() { return this.historyLength; }
+
+    /**
+     * Shows the state `statesBack` captures before the newest (0 is the newest), and pauses;
+     * stepping from there drops the newer states
+     */
+    seek(statesBack) {
+        if (this.historyLength === 0) { return; }
+        statesBack = Math.max(0, Math.min(Math.round(statesBack), this.historyLength - 1));
+        this.scene.setState(this.history[(this.historyStart + this.historyLength - 1 - statesBack) % this.historySize]);
+        this.scene.endFrame();
+        this.cursor = statesBack;
+        this.paused = true;
+    }
+
+    /** How far back the shown state is (0 while live); setting it seeks there */
+    get statesBack() { return Math.max(this.cursor, 0); }
+    set statesBack(statesBack) { this.seek(statesBack); }
+
+    /** Goes back to the state before the one shown */
+    stepBack() {
+        if (this.cursor < 0) {
+            // Live: go to the newest state, unless it is the one shown already
+            let newest = this.history[(this.historyStart + this.historyLength - 1) % this.historySize];
+            this.seek(newest && newest.substepCount === this.scene.substepCount ? 1 : 0);
+        } else {
+            this.seek(this.cursor + 1);
+        }
+    }
+
+    /** Forgets every state */
+    clear() {
+        this.history.fill(undefined);
+        this.historyStart  = 0;
+        this.historyLength = 0;
+        this.cursor        = -1;
+    }
+
+    /** Stores the scene's current state as the newest, overwriting the oldest once full */
+    capture() {
+        let index = (this.historyStart + this.historyLength) % this.historySize;
+        this.history[index] = this.scene.getState();
+        if (this.historyLength < this.historySize) { this.historyLength++; }
+        else { this.historyStart = (this.historyStart + 1) % this.historySize; }
+    }
+
+    /** Stepping on from a state in the past forks the timeline there */
+    resumeFromCursor() {
+        if (this.cursor < 0) { return; }
+        this.historyLength -= this.cursor;
+        this.cursor = -1;
+    }
+}
@@ -0,0 +1,156 @@
+import { VTK_TETRA } from './VTKLoader.js';
+
+/**
+ * Writes the current state of a soft body (any backend, see SoftBodyBackend.js) as a VTK
+ * unstructured grid of tets, for inspection in ParaView.
+ *
+ * Point data:  Velocity (3)
+ * Cell data:   VolumeError (1) - det(F) - 1, the relative volume change of the tet
+ *              Strain (9)      - the Green strain 0.5 (F^T F - I), row major
+ *              Rotation (4)    - the x, y, z, w quaternion rotating the tet from its rest pose
+ * where F is the deformation gradient of each tet relative to the body's rest positions.
+ */
+export class VTKExporter {
+    /**
+     * @param {object} body a SoftBody or SoftBodyGPU
+     * @param {{format?: 'vtu'|'vtk'}} [options] XML (.vtu, the default) or legacy (.vtk) ASCII
+     * @returns {string} the file contents
+     */
+    parse(body, options = {}) {
+        let format = options.format || 'vtu';
+        if (format !== 'vtu' && format !== 'vtk') { throw new Error('VTKExporter: unknown format ' + format); }
+
+        let positions  = body.readPositions();
+        let velocities = body.readVelocities();
+        let rotations  = body.readRotations();
+        let volumeError = new Float32Array(body.numElems);
+        let strain      = new Float32Array(9 * body.numElems);
+        computeStrains(body.tetIds, body.restPos, positions, volumeError, strain);
+
+        let grid = {
+            numPoints : body.numParticles,
+            numCells  : body.numElems,
+            points    : positions,
+            tetIds    : body.tetIds,
+            pointData : [{ name: 'Velocity', numComponents: 3, values: velocities }],
+            cellData  : [
+                { name: 'VolumeError', numComponents: 1, values: volumeError },
+                { name: 'Strain',      numComponents: 9, values: strain },
+                { name: 'Rotation',    numComponents: 4, values: rotations }]
+        };
+        return format === 'vtu' ? writeXML(grid) : writeLegacy(grid);
+    }
+}
+
+/** Per tet: F = [x1 - x0, x2 - x0, x3 - x0] * [X1 - X0, X2 - X0, X3 - X0]^-1 */
+function computeStrains(tetIds, restPos, pos, volumeError, strain) {
+    let D = new Float64Array(9), P = new Float64Array(9), F = new Float64Array(9);
+    for (let i = 0; i < tetIds.length / 4; i++) {
+        let id0 = tetIds[4 * i];
+        for (let c = 0; c < 3; c++) {
+            let id = tetIds[4 * i + 1 + c];
+            for (let r = 0; r < 3; r++) {
+                D[3 * c + r] = restPos[3 * id + r] - restPos[3 * id0 + r];
+                P[3 * c + r] = pos[3 * id + r] - pos[3 * id0 + r];
+            }
+        }
+        invert(D);
+        for (let c = 0; c < 3; c++) { // Column major, like the solver's matrices
+            for (let r = 0; r < 3; r++) {
+                F[3 * c + r] = P[r] * D[3 * c] + P[3 + r] * D[3 * c + 1] + P[6 + r] * D[3 * c + 2];
+            }
+        }
+        volumeError[i] = determinant(F) - 1.0;
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                let FtF = F[3 * r] * F[3 * c] + F[3 * r + 1] * F[3 * c + 1] + F[3 * r + 2] * F[3 * c + 2];
+                strain[9 * i + 3 * r + c] = 0.5 * (FtF - (r === c ? 1.0 : 0.0));
+            }
+        }
+    }
+}
+
+function determinant(A) {
+    return A[0] * (A[4] * A[8] - A[7] * A[5]) - A[3] * (A[1] * A[8] - A[7] * A[2]) + A[6] * (A[1] * A[5] - A[4] * A[2]);
+}
+
+function invert(A) {
+    let det = determinant(A);
+    let s = det === 0.0 ? 0.0 : 1.0 / det;
+    let a = Array.from(A);
+    A[0] = (a[4] * a[8] - a[7] * a[5]) * s; A[3] = (a[6] * a[5] - a[3] * a[8]) * s; A[6] = (a[3] * a[7] - a[6] * a[4]) * s;
+    A[1] = (a[7] * a[2] - a[1] * a[8]) * s; A[4] = (a[0] * a[8] - a[6] * a[2]) * s; A[7] = (a[6] * a[1] - a[0] * a[7]) * s;
+    A[2] = (a[1] * a[5] - a[4] * a[2]) * s; A[5] = (a[3] * a[2] - a[0] * a[5]) * s; A[8] = (a[0] * a[4] - a[3] * a[1]) * s;
+}
+
+/** Formats values `perLine` to a line */
+function valueLines(values, perLine, indent = '') {
+    let lines = [];
+    for (let i = 0; i < values.length; i += perLine) {
+        lines.push(indent + Array.prototype.slice.call(values, i, i + perLine).join(' '));
+    }
+    return lines.join('\n');
+}
+
+function writeXML(grid) {
+    let indent = '          ';
+    let dataArray = (array, type) =>
+        '        <DataArray type="' + type + '" Name="' + array.name + '" NumberOfComponents="' + array.numComponents + '" format="ascii">\n' +
+        valueLines(array.values, Math.max(array.numComponents, 4), indent) + '\n' +
+        '        </DataArray>\n';
+    let offsets = new Int32Array(grid.numCells).map((_, i) => 4 * (i + 1));
+
+    return '<?xml version="1.0"?>\n' +
+        '<VTKFile type="UnstructuredGrid" version="1.0" byte_order="LittleEndian" header_type="UInt32">\n' +
+        '  <UnstructuredGrid>\n' +
+        '    <Piece NumberOfPoints="' + grid.numPoints + '" NumberOfCells="' + grid.numCells + '">\n' +
+        '      <PointData>\n' + grid.pointData.map((array) => dataArray(array, 'Float32')).join('') + '      </PointData>\n' +
+        '      <CellData>\n'  + grid.cellData.map((array) => dataArray(array, 'Float32')).join('')  + '      </CellData>\n' +
+        '      <Points>\n' + dataArray({ name: 'Points', numComponents: 3, values: grid.points }, 'Float32') + '      </Points>\n' +
+        '      <Cells>\n' +
+        dataArray({ name: 'connectivity', numComponents: 1, values: grid.tetIds }, 'Int32') +
+        dataArray({ name: 'offsets', numComponents: 1, values: offsets }, 'Int32') +
+        dataArray({ name: 'types', numComponents: 1, values: new Uint8Array(grid.numCells).fill(VTK_TETRA) }, 'UInt8') +
+        '      </Cells>\n' +
+        '    </Piece>\n' +
+        '  </UnstructuredGrid>\n' +
+        '</VTKFile>\n';
+}
+
+function writeLegacy(grid) {
+    let cells = new Int32Array(5 * grid.numCells);
+    for (let i = 0; i < grid.numCells; i++) {
+        cells[5 * i] = 4;
+        for (let k = 0; k < 4; k++) { cells[5 * i + 1 + k] = grid.tetIds[4 * i + k]; }
+    }
+    let out = [
+        '# vtk DataFile Version 4.2',
+        'Soft body state',
+        'ASCII',
+        'DATASET UNSTRUCTURED_GRID',
+        'POINTS ' + grid.numPoints + ' float', valueLines(grid.points, 3),
+        'CELLS ' + grid.numCells + ' ' + cells.length, valueLines(cells, 5),
+        'CELL_TYPES ' + grid.numCells, valueLines(new Int32Array(grid.numCells).fill(VTK_TETRA), 1)];
+
+    // Legacy attributes: 1 component -> SCALARS, 3 -> VECTORS, 9 -> TENSORS, anything else -> FIELD
+    let attributes = (arrays) => {
+        let fields = arrays.filter((array) => ![1, 3, 9].includes(array.numComponents));
+        for (let array of arrays) {
+            if (array.numComponents === 1) { out.push('SCALARS ' + array.name + ' float 1', 'LOOKUP_TABLE default', valueLines(array.values, 1)); }
+            if (array.numComponents === 3) { out.push('VECTORS ' + array.name + ' float', valueLines(array.values, 3)); }
+            if (array.numComponents === 9) { out.push('TENSORS ' + array.name + ' float', valueLines(array.values, 3)); }
+        }
+        if (fields.length > 0) {
+            out.push('FIELD FieldData ' + fields.length);
+            for (let array of fields) {
+                out.push(array.name + ' ' + array.numComponents + ' ' + array.values.length / array.numComponents + ' float',
+                    valueLines(array.values, array.numComponents));
+            }
+        }
+    };
+    out.push('POINT_DATA ' + grid.numPoints);
+    attributes(grid.pointData);
+    out.push('CELL_DATA ' + grid.numCells);
+    attributes(grid.cellData);
+    return out.join('\n') + '\n';
+}
@@ -0,0 +1,284 @@
+import { ByteReader } from './ByteReader.js';
+import { computeTetEdgeIds, extractSurfaceTriangles, orientTets } from './TetMeshUtils.js';
+
+/**
+ * Reads the tetrahedra of a VTK unstructured grid, either XML (.vtu) or legacy (.vtk),
+ * into the arrays the SoftBody / SoftBodyGPU constructors expect.
+ *
+ * .vtu: ascii, inline binary and appended (raw or base64) data arrays; no compression.
+ *       The point and cell data arrays come along in `pointData` / `cellData`.
+ * .vtk: ASCII or BINARY, with either the classic CELLS layout or the OFFSETS/CONNECTIVITY
+ *       one of format 5.1; only the geometry is read.
+ *
+ * Only the points used by tets are kept, renumbered in file order; quadratic tets
+ * (VTK_QUADRATIC_TETRA) contribute their 4 corners.
+ */
+export class VTKLoader {
+    /**
+     * @param {string} url
+     * @returns {Promise<VTKMesh>}
+     */
+    async load(url) {
+        let response = await fetch(url);
+        if (!response.ok) { throw new Error('VTKLoader: could not load ' + url + ' (' + response.status + ')'); }
+        return this.parse(await response.arrayBuffer());
+    }
+
+    /**
+     * @param {ArrayBuffer|Uint8Array|string} data the file contents; binary files must be passed as bytes
+     * @returns {VTKMesh}
+     * @typedef {object} VTKMesh
+     * @property {Float32Array} vertices      3 coordinates per point
+     * @property {number[]}     tetIds        4 point ids per tet, positively oriented
+     * @property {number[]}     tetEdgeIds    2 point ids per distinct tet edge
+     * @property {number[]}     surfaceTriIds 3 point ids per boundary triangle, wound outwards
+     * @property {Object<string, {numComponents: number, values: Float32Array}>} pointData per kept point
+     * @property {Object<string, {numComponents: number, values: Float32Array}>} cellData  per tet
+     */
+    parse(data) {
+        if (typeof data === 'string') { data = new TextEncoder().encode(data); }
+        let bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        let head  = new TextDecoder('latin1').decode(bytes.subarray(0, 256));
+        let grid  = head.trimStart().startsWith('# vtk') ? this.parseLegacy(bytes) : this.parseXML(bytes);
+        return this.buildMesh(grid);
+    }
+
+    /** @returns {{points, connectivity, offsets, types, pointData, cellData}} */
+    parseLegacy(bytes) {
+        let reader = new ByteReader(bytes, 'VTKLoader');
+        reader.skipLine(); reader.skipLine(); // version and title
+        let binary = reader.token() === 'BINARY';
+        reader.littleEndian = false; // Legacy binary data is big endian
+        let grid = { points: null, connectivity: null, offsets: null, types: null, pointData: {}, cellData: {} };
+
+        let readValues = (type, count) => {
+            reader.skipLine(); // Binary data starts on the next line
+            let values = new Float64Array(count);
+            let read   = binaryReaders[type.toLowerCase()];
+            if (binary && !read) { throw new Error('VTKLoader: unsupported legacy data type ' + type); }
+            for (let i = 0; i < count; i++) { values[i] = binary ? read(reader) : reader.number(); }
+            return values;
+        };
+
+        for (let keyword = reader.token(); keyword !== null; keyword = reader.token()) {
+            if (keyword === 'DATASET') {
+                let dataset = reader.token();
+                if (dataset !== 'UNSTRUCTURED_GRID') { throw new Error('VTKLoader: expected an UNSTRUCTURED_GRID, got ' + dataset); }
+            } else if (keyword === 'POINTS') {
+                let count = reader.number();
+                grid.points = readValues(reader.token(), 3 * count);
+            } else if (keyword === 'CELLS') {
+                let first = reader.number(), second = reader.number();
+                let next = reader.offset, nextWord = reader.token();
+                if (nextWord === 'OFFSETS') { // 5.1: CELLS <#offsets> <#connectivity>, then OFFSETS and CONNECTIVITY
+                    grid.offsets = readValues(reader.token(), first);
+                    reader.expect('CONNECTIVITY');
+                    grid.connectivity = readValues(reader.token(), second);
+                } else {                      // Classic: CELLS <#cells> <size>, each cell as <n> <id> ... <id>
+                    reader.offset = next;
+                    let cells = readValues('int', second);
+                    grid.offsets = new Float64Array(first + 1);
+                    grid.connectivity = new Float64Array(second - first);
+                    let c = 0, n = 0;
+                    for (let i = 0; i < first; i++) {
+                        let size = cells[c++];
+                        for (let k = 0; k < size; k++) { grid.connectivity[n++] = cells[c++]; }
+                        grid.offsets[i + 1] = n;
+                    }
+                }
+            } else if (keyword === 'CELL_TYPES') {
+                grid.types = readValues('int', reader.number());
+            } else if (keyword === 'METADATA') {
+                while (reader.offset < bytes.length && reader.line().trim() !== '') {} // Ends at a blank line
+            } else if (keyword === 'POINT_DATA' || keyword === 'CELL_DATA') {
+                break; // Attributes aren't read from legacy files
+            }
+        }
+        if (!grid.points || !grid.connectivity || !grid.types) { throw new Error('VTKLoader: missing POINTS, CELLS or CELL_TYPES'); }
+        return grid;
+    }
+
+    /** @returns {{points, connectivity, offsets, types, pointData, cellData}} */
+    parseXML(bytes) {
+        // latin1 keeps string indices equal to byte offsets, which raw appended data needs
+        let text = new TextDecoder('latin1').decode(bytes);
+        let file = attributes(/<VTKFile([^>]*)>/.exec(text), 'VTKFile');
+        if (file.type !== 'UnstructuredGrid') { throw new Error('VTKLoader: expected an UnstructuredGrid, got ' + file.type); }
+        if (file.compressor) { throw new Error('VTKLoader: compressed files are not supported (' + file.compressor + ')'); }
+        let format = {
+            littleEndian: file.byte_order !== 'BigEndian',
+            headerSize  : file.header_type === 'UInt64' ? 8 : 4,
+            appended    : null
+        };
+        let appended = /<AppendedData([^>]*)>\s*_/.exec(text);
+        if (appended) {
+            format.appended = { start: appended.index + appended[0].length, encoding: attributes(appended, 'AppendedData').encoding };
+        }
+
+        let piece = attributes(/<Piece([^>]*)>/.exec(text), 'Piece');
+        let numPoints = Number(piece.NumberOfPoints), numCells = Number(piece.NumberOfCells);
+        let section = (name) => {
+            let match = new RegExp('<' + name + '[^>]*>([\\s\\S]*?)</' + name + '>').exec(text);
+            return match ? dataArrays(match[1], bytes, format) : [];
+        };
+
+        let points = section('Points')[0];
+        let cells  = section('Cells');
+        let byName = (name) => cells.find((array) => array.name === name);
+        if (!points || !byName('connectivity') || !byName('offsets') || !byName('types')) {
+            throw new Error('VTKLoader: missing Points or Cells arrays');
+        }
+        let grid = {
+            points      : points.values,
+            connectivity: byName('connectivity').values,
+            offsets     : [0, ...byName('offsets').values], // .vtu offsets are the ends of the cells
+            types       : byName('types').values,
+            pointData   : {},
+            cellData    : {}
+        };
+        for (let array of section('PointData')) { if (array.values.length === numPoints * array.numComponents) { grid.pointData[array.name] = array; } }
+        for (let array of section('CellData' )) { if (array.values.length === numCells  * array.numComponents) { grid.cellData [array.name] = array; } }
+        return grid;
+    }
+
+    /** Compacts the tets and the points they use, carrying the data arrays along */
+    buildMesh(grid) {
+        let tetCells = [];
+        for (let i = 0; i < grid.types.length; i++) {
+            if (grid.types[i] === VTK_TETRA || grid.types[i] === VTK_QUADRATIC_TETRA) { tetCells.push(i); }
+        }
+        let numPoints = grid.points.length / 3;
+        let pointToId = new Int32Array(numPoints).fill(-1);
+        for (let cell of tetCells) {
+            for (let k = 0; k < 4; k++) { pointToId[grid.connectivity[grid.offsets[cell] + k]] = 0; }
+        }
+        let numIds = 0;
+        for (let i = 0; i < numPoints; i++) { if (pointToId[i] === 0) { pointToId[i] = numIds++; } }
+
+        let vertices = new Float32Array(3 * numIds);
+        for (let i = 0; i < numPoints; i++) {
+            let id = pointToId[i];
+            if (id >= 0) { vertices[3 * id] = grid.points[3 * i]; vertices[3 * id + 1] = grid.points[3 * i + 1]; vertices[3 * id + 2] = grid.points[3 * i + 2]; }
+        }
+        let tetIds = new Array(4 * tetCells.length);
+        for (let t = 0; t < tetCells.length; t++) {
+            for (let k = 0; k < 4; k++) { tetIds[4 * t + k] = pointToId[grid.connectivity[grid.offsets[tetCells[t]] + k]]; }
+        }
+        orientTets(tetIds, vertices);
+
+        let pointData = {}, cellData = {};
+        for (let name in grid.pointData) {
+            let array = grid.pointData[name], n = array.numComponents, values = new Float32Array(n * numIds);
+            for (let i = 0; i < numPoints; i++) {
+                if (pointToId[i] >= 0) { for (let c = 0; c < n; c++) { values[n * pointToId[i] + c] = array.values[n * i + c]; } }
+            }
+            pointData[name] = { numComponents: n, values: values };
+        }
+        for (let name in grid.cellData) {
+            let array = grid.cellData[name], n = array.numComponents, values = new Float32Array(n * tetCells.length);
+            for (let t = 0; t < tetCells.length; t++) {
+                for (let c = 0; c < n; c++) { values[n * t + c] = array.values[n * tetCells[t] + c]; }
+            }
+            cellData[name] = { numComponents: n, values: values };
+        }
+
+        return {
+            vertices     : vertices,
+            tetIds       : tetIds,
+            tetEdgeIds   : computeTetEdgeIds(tetIds),
+            surfaceTriIds: Array.from(extractSurfaceTriangles(tetIds, vertices)),
+            pointData    : pointData,
+            cellData     : cellData
+        };
+    }
+}
+
+export const VTK_TETRA           = 10;
+export const VTK_QUADRATIC_TETRA = 24;
+
+// Legacy type names -> big endian binary readers
+const binaryReaders = {
+    float : (r) => r.float32(), double: (r) => r.float64(),
+    int   : (r) => r.int32(),   unsigned_int: (r) => r.uint32(),
+    long  : (r) => r.int64(),   unsigned_long: (r) => r.uint64(),
+    vtktypeint32: (r) => r.int32(), vtktypeint64: (r) => r.int64() };
+
+// XML type names -> [byte size, DataView getter]
+const xmlTypes = {
+    Int8   : [1, 'getInt8'   ], UInt8  : [1, 'getUint8'   ], Int16  : [2, 'getInt16' ], UInt16: [2, 'getUint16'],
+    Int32  : [4, 'getInt32'  ], UInt32 : [4, 'getUint32'  ], Float32: [4, 'getFloat32'], Float64: [8, 'getFloat64'],
+    Int64  : [8, 'getBigInt64'], UInt64: [8, 'getBigUint64'] };
+
+function attributes(match, tag) {
+    if (!match) { throw new Error('VTKLoader: no <' + tag + '> element'); }
+    let result = {}, pattern = /(\w+)\s*=\s*"([^"]*)"/g, attribute;
+    while ((attribute = pattern.exec(match[1])) !== null) { result[attribute[1]] = attribute[2]; }
+    return result;
+}
+
+/** The DataArrays in a section of the XML as {name, numComponents, values} */
+function dataArrays(sectionText, bytes, format) {
+    let arrays = [], pattern = /<DataArray([^>]*?)(\/>|>([\s\S]*?)<\/DataArray>)/g, match;
+    while ((match = pattern.exec(sectionText)) !== null) {
+        let attrs = attributes(match, 'DataArray');
+        let type  = xmlTypes[attrs.type];
+        if (!type) { throw new Error('VTKLoader: unsupported DataArray type ' + attrs.type); }
+        let values;
+        if (attrs.format === 'ascii') {
+            values = Float64Array.from(match[3].trim().split(/\s+/).filter((s) => s !== ''), Number);
+        } else if (attrs.format === 'binary') {
+            values = decodeBase64Block(match[3], type, format);
+        } else if (attrs.format === 'appended') {
+            if (!format.appended) { throw new Error('VTKLoader: appended DataArray without <AppendedData>'); }
+            let start = format.appended.start + Number(attrs.offset);
+            if (format.appended.encoding === 'base64') {
+                let end = bytes.indexOf(0x3C /* < */, start);
+                values = decodeBase64Block(new TextDecoder('latin1').decode(bytes.subarray(start, end)), type, format);
+            } else {
+                values = decodeBlock(bytes, start, type, format);
+            }
+        } else {
+            throw new Error('VTKLoader: unsupported DataArray format ' + attrs.format);
+        }
+        arrays.push({ name: attrs.Name, numComponents: Number(attrs.NumberOfComponents || 1), values: values });
+    }
+    return arrays;
+}
+
+/** Reads a binary block: a byte count header followed by the values */
+function decodeBlock(bytes, start, type, format) {
+    let view  = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let count = format.headerSize === 8 ? Number(view.getBigUint64(start, format.littleEndian)) : view.getUint32(start, format.littleEndian);
+    let values = new Float64Array(count / type[0]);
+    for (let i = 0, offset = start + format.headerSize; i < values.length; i++, offset += type[0]) {
+        values[i] = Number(view[type[1]](offset, format.littleEndian));
+    }
+    return values;
+}
+
+/**
+ * Base64 blocks are written either as one stream or with the header encoded on its own (then
+ * the header ends in '=' padding); `text` may run on into the following blocks
+ */
+function decodeBase64Block(text, type, format) {
+    text = text.replace(/\s+/g, '');
+    let headerChars = 4 * Math.ceil(format.headerSize / 3);
+    let header = base64Bytes(text.slice(0, headerChars)).subarray(0, format.headerSize);
+    let view   = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    let count  = format.headerSize === 8 ? Number(view.getBigUint64(0, format.littleEndian)) : view.getUint32(0, format.littleEndian);
+
+    if (text[headerChars - 1] !== '=') {
+        return decodeBlock(base64Bytes(text.slice(0, 4 * Math.ceil((format.headerSize + count) / 3))), 0, type, format);
+    }
+    let bytes = new Uint8Array(format.headerSize + count);
+    bytes.set(header);
+    bytes.set(base64Bytes(text.slice(headerChars, headerChars + 4 * Math.ceil(count / 3))), format.headerSize);
+    return decodeBlock(bytes, 0, type, format);
+}
+
+function base64Bytes(text) {
+    let binary = atob(text);
+    let bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) { bytes[i] = binary.charCodeAt(i); }
+    return bytes;
+}
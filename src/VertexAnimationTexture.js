@@ -0,0 +1,170 @@
+import * as THREE from '../node_modules/three/build/three.module.js';
+import { vertexNormals } from './MeshExporter.js';
+import { getValueByIndexFromTexture } from './ShaderChunks.js';
+
+/**
+ * Bakes a recorded render mesh (e.g. an AnimationBaker's frames) into vertex animation textures:
+ * float RGBA textures holding every vertex's position and normal, one frame after the other.
+ * Playing them back is a couple of texture fetches per vertex, so any number of pre-simulated
+ * copies cost no simulation at all:
+ *   let vat = new VertexAnimationTexture(baker);
+ *   scene.add(vat.createMesh(100, { color: 0xf78a1d }));
+ *   ...every frame: vat.setTime(clock.getElapsedTime());
+ *
+ * Layout: vertex v of frame f is texel f * frameStride + v, counting row by row (the
+ * getValueByIndexFromTexture addressing), so each frame starts on a new row of `width` texels;
+ * with fewer vertices than maxTextureSize that is exactly one row per frame. The textures'
+ * `image.data` can be written out for engines with their own VAT shaders.
+ */
+export class VertexAnimationTexture {
+    /**
+     * @param {{frames: Float32Array[], triIds: ArrayLike<number>, frameRate: number}} recording
+     *        3 coordinates per vertex per frame, as AnimationBaker records them
+     * @param {object} [options]
+     * @param {number} [options.maxTextureSize=4096] the largest the textures may be in either direction
+     *        (keep it within renderer.capabilities.maxTextureSize)
+     * @param {boolean} [options.loop=true] wrap around after the last frame, instead of holding it
+     */
+    constructor(recording, options = {}) {
+        options = Object.assign({ maxTextureSize: 4096, loop: true }, options);
+        if (recording.frames.length === 0) { throw new Error('VertexAnimationTexture: nothing was recorded'); }
+        this.numFrames    = recording.frames.length;
+        this.numVertices  = recording.frames[0].length / 3;
+        this.frameRate    = recording.frameRate;
+        this.triIds       = Array.from(recording.triIds);
+        this.width        = Math.min(this.numVertices, options.maxTextureSize);
+        this.rowsPerFrame = Math.ceil(this.numVertices / this.width);
+        this.frameStride  = this.rowsPerFrame * this.width;
+        if (this.numFrames * this.rowsPerFrame > options.maxTextureSize) {
+            throw new Error('VertexAnimationTexture: ' + this.numFrames + ' frames need ' + (this.numFrames * this.rowsPerFrame) +
+                ' rows, more than the ' + options.maxTextureSize + ' allowed');
+        }
+
+        let positions = new Float32Array(4 * this.frameStride * this.numFrames);
+        let normals   = new Float32Array(4 * this.frameStride * this.numFrames);
+        this.boundingBox = new THREE.Box3();
+        let point = new THREE.Vector3();
+        recording.frames.forEach((frame, f) => {
+            let frameNormals = vertexNormals(frame, recording.triIds);
+            for (let v = 0; v < this.numVertices; v++) {
+                let texel = 4 * (f * this.frameStride + v);
+                positions.set(frame       .subarray(3 * v, 3 * v + 3), texel); positions[texel + 3] = 1.0;
+                normals  .set(frameNormals.subarray(3 * v, 3 * v + 3), texel);
+                this.boundingBox.expandByPoint(point.fromArray(frame, 3 * v));
+            }
+        });
+        this.positionTexture = createDataTexture(positions, this.width, this.rowsPerFrame * this.numFrames);
+        this.normalTexture   = createDataTexture(normals,   this.width, this.rowsPerFrame * this.numFrames);
+
+        // Shared by every material this creates, so one setTime() drives them all
+        this.uniforms = {
+            vatPositions  : { value: this.positionTexture },
+            vatNormals    : { value: this.normalTexture },
+            vatTime       : { value: 0.0 },
+            vatFrameRate  : { value: this.frameRate },
+            vatNumFrames  : { value: this.numFrames },
+            vatFrameStride: { value: this.frameStride },
+            vatLoop       : { value: options.loop }
+        };
+        this.disposables = []; // The geometries and materials createGeometry() and createMesh() made
+    }
+
+    /** Seconds into the recording to show (plus each instance's vatTimeOffset) */
+    setTime(time) { this.uniforms.vatTime.value = time; }
+
+    /**
+     * The triangles over the baked vertices; positions and normals come from the textures, so the
+     * position attribute only sizes the draw, and the bounds cover every frame
+     * @returns {THREE.BufferGeometry}
+     */
+    createGeometry() {
+        let geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3 * this.numVertices), 3));
+        geometry.setIndex(this.triIds);
+        geometry.boundingBox    = this.boundingBox.clone();
+        geometry.boundingSphere = this.boundingBox.getBoundingSphere(new THREE.Sphere());
+        this.disposables.push(geometry);
+        return geometry;
+    }
+
+    /**
+     * Patches `material` (a built-in three.js mesh material) to take its vertices from the textures
+     * @param {THREE.Material} material
+     * @param {boolean} [instanced=false] read a per instance `vatTimeOffset` attribute
+     * @returns {THREE.Material} the same material
+     */
+    applyToMaterial(material, instanced = false) {
+        if (instanced) { material.defines = Object.assign(material.defines || {}, { VAT_INSTANCED: '' }); }
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.uniforms);
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\n' + vatVertexShaderInit)
+                .replace('#include <beginnormal_vertex>', '#include <beginnormal_vertex>\nobjectNormal = normalize(vatSample(vatNormals));')
+                .replace('#include <begin_vertex>', '#include <begin_vertex>\ntransformed = vatSample(vatPositions);');
+        };
+        return material;
+    }
+
+    /**
+     * A ready to add mesh playing the animation: a Mesh for one copy, or an InstancedMesh whose
+     * instances start at random points of the recording (set their matrices to place them)
+     * @param {number} [count=1]
+     * @param {object} [materialParameters] for the MeshPhysicalMaterial
+     * @returns {THREE.Mesh|THREE.InstancedMesh}
+     */
+    createMesh(count = 1, materialParameters = {}) {
+        let instanced = count > 1;
+        let geometry  = this.createGeometry();
+        let material  = this.applyToMaterial(new THREE.MeshPhysicalMaterial(
+            Object.assign({ color: 0xf78a1d, roughness: 0.4 }, materialParameters)), instanced);
+        let mesh;
+        if (instanced) {
+            let duration = this.numFrames / this.frameRate;
+            geometry.setAttribute('vatTimeOffset', new THREE.InstancedBufferAttribute(
+                Float32Array.from({ length: count }, () => Math.random() * duration), 1));
+            mesh = new THREE.InstancedMesh(geometry, material, count);
+        } else {
+            mesh = new THREE.Mesh(geometry, material);
+        }
+        mesh.castShadow = true;
+        mesh.customDepthMaterial = this.applyToMaterial(new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking }), instanced);
+        this.disposables.push(material, mesh.customDepthMaterial);
+        return mesh;
+    }
+
+    /** Frees the textures, and the geometries and materials made here (not those passed to applyToMaterial) */
+    dispose() {
+        this.positionTexture.dispose();
+        this.normalTexture.dispose();
+        for (let disposable of this.disposables) { disposable.dispose(); }
+        this.disposables = [];
+    }
+}
+
+function createDataTexture(data, width, height) {
+    let texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Linearly blends the two frames around the current time; gl_VertexID is the index buffer's vertex id
+const vatVertexShaderInit = `
+uniform sampler2D vatPositions, vatNormals;
+uniform float vatTime, vatFrameRate;
+uniform int vatNumFrames, vatFrameStride;
+uniform bool vatLoop;
+#ifdef VAT_INSTANCED
+attribute float vatTimeOffset;
+#endif
+${getValueByIndexFromTexture}
+vec3 vatSample(sampler2D tex) {
+    float time = vatTime;
+    #ifdef VAT_INSTANCED
+    time += vatTimeOffset;
+    #endif
+    float frame = time * vatFrameRate;
+    frame = vatLoop ? mod(frame, float(vatNumFrames)) : clamp(frame, 0.0, float(vatNumFrames - 1));
+    int a = int(frame), b = vatLoop ? (a + 1) % vatNumFrames : min(a + 1, vatNumFrames - 1);
+    return mix(getValueByIndexFromTexture(tex, a * vatFrameStride + gl_VertexID).xyz,
+               getValueByIndexFromTexture(tex, b * vatFrameStride + gl_VertexID).xyz, fract(frame)); }
+`;
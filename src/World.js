@@ -57,13 +57,16 @@ export default class World {
 
         this.ground.rotation.x = - Math.PI / 2; // rotates X/Y to X/Z
         this.ground.receiveShadow = true;
-        this.scene.add( this.ground );
         
         this.helper = new THREE.GridHelper( 20, 20 );
         this.helper.material.opacity = 1.0;
         this.helper.material.transparent = true;
         this.helper.position.set(0, 0.002, 0);
-        this.scene.add( this.helper );
+
+        // The ground and its grid move together, see setGround()
+        this.floor = new THREE.Group();
+        this.floor.add( this.ground, this.helper );
+        this.scene.add( this.floor );
 
         // renderer
         this.renderer = new THREE.WebGLRenderer( { antialias: true } ); //, alpha: true
@@ -105,6 +108,16 @@ export default class World {
 
     }
 
+    /**
+     * Moves the ground plane and grid onto the plane dot(p, normal) = height
+     * (physicsParams.groundNormal and groundHeight)
+     */
+    setGround(height, normal) {
+        this.vec.fromArray(normal).normalize();
+        this.floor.quaternion.setFromUnitVectors(this.floor.up, this.vec);
+        this.floor.position.copy(this.vec).multiplyScalar(height);
+    }
+
     /** **INTERNAL**: This function recalculates the viewport based on the new window size. */
     _onWindowResize() {
         let width = window.innerWidth, height = window.innerHeight;
@@ -1,8 +1,19 @@
 import * as THREE from '../node_modules/three/build/three.module.js';
 import { GUI } from '../node_modules/three/examples/jsm/libs/lil-gui.module.min.js';
-import { SoftBody, Grabber } from './Softbody.js';
-import { SoftBodyGPU, GPUGrabber } from './SoftbodyGPU.js';
-import { dragonTetVerts, dragonTetIds, dragonTetEdgeIds, dragonAttachedVerts, dragonAttachedTriIds } from './Dragon.js';
+import { selectSoftBodyBackend, createSoftBodies } from './SoftBodyBackend.js';
+import { Grabber } from './Grabber.js';
+import { PhysicsScene } from './PhysicsScene.js';
+import { VTKExporter } from './VTKExporter.js';
+import { MeshExporter, meshExportMimeTypes } from './MeshExporter.js';
+import { AnimationBaker } from './AnimationBaker.js';
+import { VertexAnimationTexture } from './VertexAnimationTexture.js';
+import { TetMeshAssetLoader } from './TetMeshAsset.js';
+import { particlesInBox } from './TetMeshUtils.js';
+import { SphereCollider, BoxCollider, CapsuleCollider } from './Colliders.js';
+import { MeshCollider } from './MeshCollider.js';
+import { SDFCollider } from './SDFCollider.js';
+import { Timeline } from './Timeline.js';
+import { SessionRecorder, SessionPlayer, SessionRecordingExporter, SessionRecordingLoader } from './SessionRecorder.js';
 import World from './World.js';
 
 /** The fundamental set up and animation structures for 3D Visualization */
@@ -17,76 +28,157 @@ export default class Main {
         });
         console.error = this.fakeError.bind(this);
 
+        // Construct the render world
+        this.world = new World(this);
+
+        // Pick the soft body backend; ?cpu=true or ?cpu=false states a preference,
+        // otherwise the fastest backend this device supports is used
+        let query    = new URLSearchParams(window.location.search);
+        let cpuQuery = query.get('cpu');
+        let Backend  = selectSoftBodyBackend(this.world.renderer,
+            cpuQuery === 'true' ? 'cpu' : cpuQuery === 'false' ? 'gpu' : undefined);
+        let numDragons = Math.max(1, parseInt(query.get('count')) || 1); // ?count=N drops N dragons side by side
+
         // Configure Settings
-        let cpuSim = new URLSearchParams(window.location.search).get('cpu') === 'true';
         this.physicsParams = {
             gravity       : -9.81,
             timeScale     : 1.0,
             timeStep      : 1.0 / 60.0,
-            numSubsteps   : cpuSim?5:20,
-            dt            : 1.0 / (60.0 * (cpuSim?5:20)),
+            numSubsteps   : Backend.defaultNumSubsteps,
+            dt            : 1.0 / (60.0 * Backend.defaultNumSubsteps),
             friction      : 1000.0,
             density       : 1000.0,
             devCompliance : 1.0/100000.0,
             volCompliance : 0.0,
+            bodyCollisions: true,   // CPU bodies collide with each other
+            contactThickness: 0.01,
+            contactCompliance: 0.0,
+            selfCollision : false,  // Off by default; costs a readback per frame on the GPU
+            selfCollisionThickness: 0.01,
             worldBounds   : [-2.5,-1.0, -2.5, 2.5, 10.0, 2.5],
+            groundHeight  : 0.0,              // The ground is the plane dot(p, groundNormal) = groundHeight
+            groundNormal  : [0.0, 1.0, 0.0],
             computeNormals: true,
             ShowTetMesh   : false,
-            cpuSim        : cpuSim
+            backend       : Backend.backendName
         };
         this.gui = new GUI();
         this.gui.add(this.physicsParams, 'gravity', -20.0, 0.0, 1);
         this.gui.add(this.physicsParams, 'timeScale', 0.1, 2.0, 0.01);
-        this.gui.add(this.physicsParams, 'numSubsteps', 1, cpuSim?10:100, 1);
+        this.gui.add(this.physicsParams, 'numSubsteps', 1, Backend.maxNumSubsteps, 1);
         this.gui.add(this.physicsParams, 'friction', 0.0, 6000.0, 100.0);
         this.gui.add(this.physicsParams, 'ShowTetMesh');
+        if (Backend.backendName === 'cpu') { this.gui.add(this.physicsParams, 'bodyCollisions'); }
+        this.gui.add(this.physicsParams, 'selfCollision');
+        this.gui.add(this.physicsParams, 'selfCollisionThickness', 0.0, 0.05, 0.001);
+        this.sceneParams = { pinTop: false, swing: false, obstacles: false, stairs: false, knot: false };
+        this.gui.add(this.sceneParams, 'pinTop').name('pin top of dragons').onChange(() => this.updatePins());
+        this.gui.add(this.sceneParams, 'swing').name('swing from a handle').onChange(() => this.updateSwing());
+        this.gui.add(this.sceneParams, 'obstacles').name('obstacle course').onChange(() => this.updateObstacles());
+        this.gui.add(this.sceneParams, 'stairs').name('staircase').onChange(() => this.updateStairs());
+        this.gui.add(this.sceneParams, 'knot').name('torus knot (SDF)').onChange(() => this.updateKnot());
+        this.gui.add(this, 'saveCheckpoint').name('Save Checkpoint');
+        this.gui.add(this, 'restoreCheckpoint').name('Restore Checkpoint');
+        this.exportParams = { format: 'glb', cage: false, bakeSeconds: 10.0, bakeFormat: 'glb' };
+        let exportFolder = this.gui.addFolder('Export');
+        exportFolder.add(this.exportParams, 'format', ['glb', 'obj', 'ply', 'vtu']);
+        exportFolder.add(this.exportParams, 'cage').name('include tet cage');
+        exportFolder.add(this, 'exportDragons').name('Download');
+        exportFolder.add(this.exportParams, 'bakeSeconds', 1.0, 30.0, 1.0).name('bake seconds');
+        exportFolder.add(this.exportParams, 'bakeFormat', ['glb', 'pc2', 'vat']).name('bake format');
+        exportFolder.add(this, 'bakeDragon').name('Bake Animation');
+        exportFolder.close();
+        let sessionFolder = this.gui.addFolder('Session');
+        sessionFolder.add(this, 'toggleRecording').name('Record / Stop & Download');
+        sessionFolder.add(this, 'replaySession').name('Replay Recording...');
+        sessionFolder.close();
+        // The bounds and the ground plane, as sliders that are turned into physicsParams by updateWorld()
+        let bounds = this.physicsParams.worldBounds;
+        this.worldParams = { minX: bounds[0], minY: bounds[1], minZ: bounds[2], maxX: bounds[3], maxY: bounds[4], maxZ: bounds[5],
+                             groundHeight: this.physicsParams.groundHeight, groundTiltX: 0.0, groundTiltZ: 0.0 };
+        let worldFolder = this.gui.addFolder('World');
+        for (let axis of ['X', 'Y', 'Z']) {
+            worldFolder.add(this.worldParams, 'min' + axis, -10.0, 0.0, 0.1).name('bounds min ' + axis.toLowerCase());
+            worldFolder.add(this.worldParams, 'max' + axis,   0.0, 10.0, 0.1).name('bounds max ' + axis.toLowerCase());
+        }
+        worldFolder.add(this.worldParams, 'groundHeight', -1.0, 2.0, 0.01).name('ground height');
+        worldFolder.add(this.worldParams, 'groundTiltX', -30.0, 30.0, 1.0).name('ground tilt x°');
+        worldFolder.add(this.worldParams, 'groundTiltZ', -30.0, 30.0, 1.0).name('ground tilt z°');
+        worldFolder.onChange(() => this.updateWorld());
+        worldFolder.close();
+        // Parameter changes go through the scene, so sessions can record them
+        this.gui.onChange((event) => {
+            if (event.object === this.physicsParams) { this.physicsScene.setParams({ [event.property]: event.value }); }
+        });
         //this.gui.add(this.physicsParams, 'density', 0.0, 10000.0, 100.0);
         //this.gui.add(this.physicsParams, 'devCompliance', 1.0 / 2000000.0, 1.0 / 1000.0, 0.00001);
         //this.gui.add(this.physicsParams, 'volCompliance', 0.0, 0.001, 0.00001);
 
-        // Construct the render world
-        this.world = new World(this);
-
         // Construct the physics world
-        this.physicsScene = { softBodies: [] };
-        if (this.physicsParams.cpuSim) {
-            this.dragon = new SoftBody(dragonTetVerts, dragonTetIds, dragonTetEdgeIds, this.physicsParams,
-                dragonAttachedVerts, dragonAttachedTriIds, new THREE.MeshPhysicalMaterial({ color: 0xf78a1d }));
-            this.physicsScene.softBodies.push(this.dragon);
-            this.grabber = new Grabber(
-                this.world.scene, this.world.renderer, this.world.camera,
-                this.world.container.parentElement, this.world.controls);
-        } else {
-            this.dragon = new SoftBodyGPU(dragonTetVerts, dragonTetIds, dragonTetEdgeIds, this.physicsParams,
-                dragonAttachedVerts, dragonAttachedTriIds, new THREE.MeshPhysicalMaterial({ color: 0xf78a1d, roughness:0.4 }), this.world);
-            this.physicsScene.softBodies.push(this.dragon);
-            this.grabber = new GPUGrabber(
-                this.world.scene, this.world.renderer, this.world.camera,
-                this.world.container.parentElement, this.world.controls);
-        }
-        this.world.scene.add(this.dragon.edgeMesh);
-        this.world.scene.add(this.dragon.visMesh);
+        this.physicsScene = new PhysicsScene(this.physicsParams);
+        this.physicsScene.on('add', (body) => {
+            this.world.scene.add(body.edgeMesh);
+            this.world.scene.add(body.visMesh);
+        });
+        this.physicsScene.on('remove', (body) => {
+            this.world.scene.remove(body.edgeMesh);
+            this.world.scene.remove(body.visMesh);
+        });
+        // The visible ground, the props and the scene toggles follow the simulation (also when a replayed session changes it)
+        this.physicsScene.on('input', (event) => this.syncScene(event));
+        // Pause, single-step, slow motion and stepping back (snapshots are readbacks on the GPU, so fewer there)
+        this.timeline = new Timeline(this.physicsScene, { historySize: 120, historyInterval: Backend.backendName === 'gpu' ? 10 : 1 });
+        let timelineFolder = this.gui.addFolder('Timeline');
+        timelineFolder.add(this.timeline, 'paused').listen();
+        timelineFolder.add(this.timeline, 'speed', 0.05, 1.0, 0.05).name('slow motion');
+        timelineFolder.add(this.timeline, 'step').name('Step Frame');
+        timelineFolder.add(this.timeline, 'stepSubstep').name('Step Substep');
+        timelineFolder.add(this.timeline, 'stepBack').name('Step Back');
+        timelineFolder.add(this.timeline, 'statesBack', 0, this.timeline.historySize - 1, 1).name('rewind').listen();
+        this.dragons = []; // Filled in once the dragon asset has loaded
+        this.loadDragons(numDragons).catch((error) => console.error(error.message));
+        this.grabber = new Grabber(
+            this.world.scene, this.world.renderer, this.world.camera,
+            this.world.container.parentElement, this.world.controls, this.physicsScene);
 
         //this.previousTime = (performance.now()*0.001) - 1/60.0;
     }
 
+    /** Fetches the dragon asset and drops `numDragons` copies of it side by side */
+    async loadDragons(numDragons) {
+        let dragon = await new TetMeshAssetLoader().load('./assets/dragon.tetmesh');
+        let dragonMeshes = [];
+        for (let i = 0; i < numDragons; i++) {
+            let vertices = dragon.vertices.slice(0);
+            for (let v = 0; v < vertices.length; v += 3) { vertices[v] += (i - (numDragons - 1) * 0.5) * 1.5; }
+            dragonMeshes.push({
+                vertices   : vertices,
+                tetIds     : dragon.tetIds,
+                tetEdgeIds : dragon.tetEdgeIds,
+                visVerts   : dragon.visVerts,
+                visTriIds  : dragon.visTriIds,
+                visMaterial: new THREE.MeshPhysicalMaterial({ color: 0xf78a1d, roughness:0.4 })
+            });
+        }
+        this.dragons = createSoftBodies(dragonMeshes, this.physicsParams, this.world, this.physicsParams.backend);
+        this.dragon  = this.dragons[0];
+        for (let i = 0; i < this.dragons.length; i++) { this.physicsScene.add(this.dragons[i]); }
+    }
+
     /** Update the simulation */
     update() {
         //this.physicsParams.timeStep += (((performance.now()*0.001) - this.previousTime) - this.physicsParams.timeStep) * 0.01;
         //this.previousTime = performance.now()*0.001;
 
-        // Simulate all of the soft bodies in the scene
-        let dt = (this.physicsParams.timeScale * this.physicsParams.timeStep) / this.physicsParams.numSubsteps;
-        for (let step = 0; step < this.physicsParams.numSubsteps; step++) {
-            for (let i = 0; i < this.physicsScene.softBodies.length; i++) {
-                this.physicsScene.softBodies[i].simulate(dt, this.physicsParams);
-            }
-        }
-
-        // Update their visual representations
-        for (let i = 0; i < this.physicsScene.softBodies.length; i++) {
-            this.physicsScene.softBodies[i].endFrame();
+        // Simulate all of the soft bodies in the scene and update their visual representations
+        // (the timeline skips this while paused, and on some frames in slow motion)
+        this.timeline.update(this.physicsParams.timeStep);
+        if (this.vat) { this.vat.setTime(this.physicsScene.time); }
+        if (this.handle) {
+            let t = this.physicsScene.time;
+            this.handle.position.set(0.8 * Math.sin(2.0 * t), 2.2 + 0.2 * Math.sin(4.0 * t), 0.4 * Math.cos(2.0 * t) - 0.4);
         }
+        if (this.spinner) { this.spinner.rotation.y = this.physicsScene.time; }
 
         // Render the scene and update the framerate counter
         this.world.controls.update();
@@ -95,6 +187,270 @@ export default class Main {
 
     }
 
+    /** Hands the World folder's bounds and ground plane to the scene */
+    updateWorld() {
+        let p = this.worldParams;
+        let normal = new THREE.Vector3(0.0, 1.0, 0.0).applyEuler(
+            new THREE.Euler(THREE.MathUtils.degToRad(p.groundTiltX), 0.0, THREE.MathUtils.degToRad(p.groundTiltZ)));
+        this.physicsScene.setParams({
+            worldBounds : [p.minX, p.minY, p.minZ, p.maxX, p.maxY, p.maxZ],
+            groundHeight: p.groundHeight,
+            groundNormal: normal.toArray()
+        });
+    }
+
+    /** Nails the top tenth of every dragon in place, or releases it */
+    updatePins() {
+        for (let dragon of this.dragons) {
+            if (this.sceneParams.pinTop) { this.physicsScene.pin(dragon, this.topParticles(dragon)); }
+            else                         { this.physicsScene.unpin(dragon); }
+        }
+    }
+
+    /** Attaches the top tenth of every dragon to a handle that update() moves around, or drops them */
+    updateSwing() {
+        this.createHandle();
+        for (let dragon of this.dragons) {
+            if (this.sceneParams.swing) { this.physicsScene.attach(dragon, this.topParticles(dragon), this.handle, { compliance: 1.0e-4 }); }
+            else                        { this.physicsScene.detach(dragon, this.handle); }
+        }
+    }
+
+    /** Adds or removes a ball, a ramp and a spinning bar; the colliders follow their meshes */
+    updateObstacles() {
+        this.createObstacles();
+        for (let collider of this.colliders) {
+            if (this.sceneParams.obstacles) { this.physicsScene.addCollider(collider); }
+            else                            { this.physicsScene.removeCollider(collider); }
+        }
+    }
+
+    /** Adds or removes a staircase, which collides as a triangle mesh (as a loaded environment would) */
+    updateStairs() {
+        this.createStairs();
+        if (this.sceneParams.stairs) { this.physicsScene.addCollider(this.stairsCollider); }
+        else                         { this.physicsScene.removeCollider(this.stairsCollider); }
+    }
+
+    /** Adds or removes a torus knot, which collides as a signed distance field baked from its mesh */
+    updateKnot() {
+        this.createKnot();
+        if (this.sceneParams.knot) { this.physicsScene.addCollider(this.knotCollider); }
+        else                       { this.physicsScene.removeCollider(this.knotCollider); }
+    }
+
+    /** Matches the ground, the props' visibility and the scene toggles to an input (also one a replayed session makes) */
+    syncScene(event) {
+        if (event.type === 'params') {
+            this.world.setGround(this.physicsParams.groundHeight, this.physicsParams.groundNormal);
+            return;
+        }
+        if (event.type === 'pin' || event.type === 'unpin') {
+            this.sceneParams.pinTop = event.type === 'pin';
+        } else if (event.type === 'attach' || event.type === 'detach') {
+            this.sceneParams.swing = event.type === 'attach';
+            if (this.handle) { this.handle.visible = this.sceneParams.swing; }
+        } else if (event.type === 'addCollider' || event.type === 'removeCollider') {
+            let colliders = this.physicsScene.colliders;
+            if (this.obstacles) { this.sceneParams.obstacles = this.obstacles.visible = this.colliders.some((collider) => colliders.includes(collider)); }
+            if (this.stairs   ) { this.sceneParams.stairs    = this.stairs.visible    = colliders.includes(this.stairsCollider); }
+            if (this.knot     ) { this.sceneParams.knot      = this.knot.visible      = colliders.includes(this.knotCollider); }
+        } else {
+            return;
+        }
+        this.gui.controllersRecursive().forEach((controller) => controller.updateDisplay());
+    }
+
+    // ----- props: made on first use, and named so that recorded sessions can refer to them -----
+
+    /** Everything a recorded session may refer to */
+    createProps() {
+        this.createHandle();
+        this.createObstacles();
+        this.createStairs();
+        this.createKnot();
+    }
+
+    createHandle() {
+        if (this.handle) { return; }
+        this.handle = new THREE.Mesh(new THREE.SphereGeometry(0.05), new THREE.MeshPhongMaterial({ color: 0xffaa00 }));
+        this.handle.position.set(0.0, 2.2, 0.0);
+        this.handle.visible = false;
+        this.world.scene.add(this.handle);
+        this.physicsScene.register('handle', this.handle);
+    }
+
+    createObstacles() {
+        if (this.obstacles) { return; }
+        let material = new THREE.MeshPhongMaterial({ color: 0x8899aa });
+        let ball = new THREE.Mesh(new THREE.SphereGeometry(0.3, 32, 16), material);
+        ball.position.set(-1.0, 0.3, 0.8);
+        let ramp = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.1, 1.0), material);
+        ramp.position.set(1.0, 0.4, 0.5);
+        ramp.rotation.z = 0.35;
+        this.spinner = new THREE.Group();
+        this.spinner.position.set(0.0, 0.15, -0.8);
+        let bar = new THREE.Mesh(new THREE.CapsuleGeometry(0.08, 2.0, 4, 16), material);
+        bar.rotation.z = Math.PI / 2;
+        this.spinner.add(bar);
+        this.obstacles = new THREE.Group();
+        this.obstacles.add(ball, ramp, this.spinner);
+        this.obstacles.traverse((object) => { object.castShadow = object.receiveShadow = true; });
+        this.obstacles.visible = false;
+        this.world.scene.add(this.obstacles);
+        this.colliders = [this.physicsScene.register('ball', new SphereCollider(0.3).follow(ball)),
+                          this.physicsScene.register('ramp', new BoxCollider([0.8, 0.05, 0.5]).follow(ramp)),
+                          this.physicsScene.register('spinning bar', new CapsuleCollider(0.08, 1.0).follow(bar))];
+    }
+
+    createStairs() {
+        if (this.stairs) { return; }
+        let material = new THREE.MeshPhongMaterial({ color: 0xaa9988 });
+        this.stairs = new THREE.Group();
+        for (let i = 0; i < 5; i++) {
+            let step = new THREE.Mesh(new THREE.BoxGeometry(3.0, 0.15 * (i + 1), 0.4), material);
+            step.position.set(0.0, 0.075 * (i + 1), 0.8 - 0.4 * i);
+            step.castShadow = step.receiveShadow = true;
+            this.stairs.add(step);
+        }
+        this.stairs.visible = false;
+        this.world.scene.add(this.stairs);
+        this.stairsCollider = this.physicsScene.register('stairs', MeshCollider.fromObject(this.stairs, { thickness: 0.02 }));
+    }
+
+    createKnot() {
+        if (this.knot) { return; }
+        this.knot = new THREE.Mesh(new THREE.TorusKnotGeometry(0.4, 0.12, 128, 16), new THREE.MeshPhongMaterial({ color: 0x88aa88 }));
+        this.knot.castShadow = this.knot.receiveShadow = true;
+        this.knot.visible = false;
+        this.world.scene.add(this.knot);
+        // Bake in the knot's own frame, so the collider can follow it around
+        this.knotCollider = this.physicsScene.register('torus knot', SDFCollider.fromObject(this.knot, { resolution: 40 }).follow(this.knot));
+        this.knot.position.set(0.0, 0.6, 0.0);
+    }
+
+    /** The particles in the top tenth of a dragon's rest pose */
+    topParticles(dragon) {
+        let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < dragon.restPos.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], dragon.restPos[i]);
+            max[i % 3] = Math.max(max[i % 3], dragon.restPos[i]);
+        }
+        min[1] = max[1] - 0.1 * (max[1] - min[1]);
+        return particlesInBox(dragon.restPos, min, max);
+    }
+
+    /** Remembers the whole simulation state, to return to with restoreCheckpoint() */
+    saveCheckpoint() { this.checkpoint = this.physicsScene.getState(); }
+
+    restoreCheckpoint() {
+        if (this.checkpoint) { this.physicsScene.setState(this.checkpoint); }
+    }
+
+    /** Starts recording the session's inputs, or stops and downloads the recording (see SessionRecorder.js) */
+    toggleRecording() {
+        if (this.recorder && this.recorder.isRecording) {
+            let text = new SessionRecordingExporter().parse(this.recorder.stop());
+            this.download(text, 'session_' + this.recorder.recording.startStep + '.json', 'application/json');
+        } else {
+            this.recorder = new SessionRecorder(this.physicsScene).start();
+        }
+    }
+
+    /** Asks for a recording file and replays it, with the pointer locked out until it ends */
+    replaySession() {
+        let input = window.document.createElement('input');
+        input.type   = 'file';
+        input.accept = '.json';
+        input.onchange = async () => {
+            if (!input.files[0]) { return; }
+            let recording = new SessionRecordingLoader().parse(await input.files[0].text());
+            this.grabber.end();
+            this.grabber.enabled = false;
+            this.createProps();
+            let player = new SessionPlayer(this.physicsScene, recording).start();
+            this.gui.controllersRecursive().forEach((controller) => controller.updateDisplay());
+            let finish = this.physicsScene.on('afterStep', () => {
+                if (!player.isDone) { return; }
+                this.physicsScene.off('afterStep', finish);
+                player.stop();
+                this.grabber.enabled = true;
+                this.gui.controllersRecursive().forEach((controller) => controller.updateDisplay());
+            });
+        };
+        input.click();
+    }
+
+    /**
+     * Downloads the current pose of every dragon: its render mesh (and tet cage) as glb, obj or ply,
+     * or its full state as a .vtu file for ParaView
+     */
+    exportDragons() {
+        let format = this.exportParams.format;
+        for (let i = 0; i < this.dragons.length; i++) {
+            let data = format === 'vtu' ?
+                new VTKExporter().parse(this.dragons[i]) :
+                new MeshExporter().parse(this.dragons[i], { format: format, cage: this.exportParams.cage });
+            this.download(data, 'dragon' + i + '_' + this.physicsScene.stepCount + '.' + format,
+                format === 'vtu' ? 'application/xml' : meshExportMimeTypes[format]);
+        }
+    }
+
+    /**
+     * Records the first dragon for exportParams.bakeSeconds of simulated time at 30 fps, then downloads
+     * the recording, or for 'vat' plays it back as a crowd (see addDragonCrowd)
+     */
+    bakeDragon() {
+        if (this.baker || this.dragons.length === 0) { return; }
+        let start = this.physicsScene.time;
+        this.baker = new AnimationBaker(this.dragons[0],
+            { frameRate: 30, startTime: start, endTime: start + this.exportParams.bakeSeconds }).attach(this.physicsScene);
+        let finish = this.physicsScene.on('afterStep', () => {
+            if (!this.baker.isDone) { return; }
+            this.physicsScene.off('afterStep', finish);
+            this.baker.detach();
+            if (this.exportParams.bakeFormat === 'vat') {
+                this.addDragonCrowd(this.baker);
+                this.baker = null;
+                return;
+            }
+            let glb = this.exportParams.bakeFormat === 'glb';
+            this.download(glb ? this.baker.toGLB() : this.baker.toPointCache(), 'dragon_baked.' + this.exportParams.bakeFormat,
+                glb ? meshExportMimeTypes.glb : 'application/octet-stream');
+            this.baker = null;
+        });
+    }
+
+    /** Plays a recording back as a ring of instanced dragons around the simulated ones, each starting at a random time */
+    addDragonCrowd(recording, count = 24, radius = 7.0) {
+        if (this.crowd) {
+            this.world.scene.remove(this.crowd);
+            this.vat.dispose();
+        }
+        this.vat   = new VertexAnimationTexture(recording, { maxTextureSize: this.world.renderer.capabilities.maxTextureSize });
+        this.crowd = this.vat.createMesh(count);
+        let center = this.vat.boundingBox.getCenter(new THREE.Vector3());
+        let matrix = new THREE.Matrix4(), rotation = new THREE.Matrix4();
+        for (let i = 0; i < count; i++) {
+            let angle = 2.0 * Math.PI * i / count;
+            rotation.makeRotationY(-angle);
+            matrix.makeTranslation(radius * Math.cos(angle), 0.0, radius * Math.sin(angle))
+                .multiply(rotation).multiply(new THREE.Matrix4().makeTranslation(-center.x, 0.0, -center.z));
+            this.crowd.setMatrixAt(i, matrix);
+        }
+        this.crowd.computeBoundingSphere();
+        this.world.scene.add(this.crowd);
+    }
+
+    /** Saves `data` (text or bytes) as a file through the browser */
+    download(data, fileName, type) {
+        let link = window.document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([data], { type: type }));
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
     // Log Errors as <div>s over the main viewport
     fakeError(...args) {
         if (args.length > 0 && args[0]) { this.display(JSON.stringify(args[0])); }
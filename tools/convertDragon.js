@@ -0,0 +1,17 @@
+// Converts the array literals of src/Dragon.js into assets/dragon.tetmesh (see src/TetMeshAsset.js)
+// Run with: npm run convert-dragon
+import { mkdirSync, writeFileSync } from 'fs';
+import { dragonTetVerts, dragonTetIds, dragonTetEdgeIds, dragonAttachedVerts, dragonAttachedTriIds } from '../src/Dragon.js';
+import { TetMeshAssetExporter } from '../src/TetMeshAsset.js';
+
+let buffer = new TetMeshAssetExporter().parse({
+    vertices  : dragonTetVerts,
+    tetIds    : dragonTetIds,
+    tetEdgeIds: dragonTetEdgeIds,
+    visVerts  : dragonAttachedVerts,
+    visTriIds : dragonAttachedTriIds
+});
+let outFile = new URL('../assets/dragon.tetmesh', import.meta.url);
+mkdirSync(new URL('.', outFile), { recursive: true });
+writeFileSync(outFile, new Uint8Array(buffer));
+console.log('Wrote ' + outFile.pathname + ' (' + buffer.byteLength + ' bytes)');